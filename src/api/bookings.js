@@ -3,24 +3,55 @@ const router = express.Router();
 const {
     getBookings,
     getBooking,
+    getBookingIcs,
+    getBookingReceipt,
+    getMonthlyStatement,
     createBooking,
     updateBooking,
-    cancelBooking
+    cancelBooking,
+    rescheduleBooking,
+    updateChecklist,
+    checkInBooking,
+    bulkUpdateBookings,
+    getNoShowStats
 } = require('../controllers/bookingController');
+const {
+    uploadReports,
+    getReports,
+    downloadReport,
+    deleteReport,
+    enterResults,
+    getResults
+} = require('../controllers/reportController');
 const { protect } = require('../middleware/authMiddleware');
 const { authorize } = require('../middleware/roleMiddleware');
 const { activityLoggers } = require('../middleware/activityLogMiddleware');
+const { uploadReportFiles } = require('../middleware/uploadMiddleware');
 
 // All booking routes are protected
 router.use(protect);
 
 // Customer routes
 router.get('/', getBookings);
+router.get('/no-shows', authorize('HCS Admin', 'Superadmin'), getNoShowStats); // Must come before /:id
+router.get('/statements/:month.pdf', authorize('Customer', 'Superadmin'), getMonthlyStatement); // Must come before /:id
 router.get('/:id', getBooking);
+router.get('/:id/ics', getBookingIcs);
+router.get('/:id/receipt.pdf', authorize('Customer', 'HCS Admin', 'Superadmin'), getBookingReceipt);
+router.get('/:id/reports', authorize('Customer', 'HCS Admin', 'Superadmin'), getReports);
+router.get('/:id/reports/:reportId/download', authorize('Customer', 'HCS Admin', 'Superadmin'), downloadReport);
+router.get('/:id/results', authorize('Customer', 'HCS Admin', 'Superadmin'), getResults);
 router.post('/', authorize('Customer'), activityLoggers.bookingCreate, createBooking);
 router.put('/:id/cancel', authorize('Customer', 'HCS Admin', 'Superadmin'), activityLoggers.bookingUpdate, cancelBooking);
+router.put('/:id/reschedule', authorize('Customer', 'HCS Admin', 'Superadmin'), activityLoggers.bookingUpdate, rescheduleBooking);
+router.put('/:id/checklist', authorize('Customer'), updateChecklist);
 
 // HCS Admin and Superadmin routes
+router.post('/check-in', authorize('HCS Admin'), activityLoggers.bookingUpdate, checkInBooking);
+router.post('/bulk', authorize('HCS Admin', 'Superadmin'), bulkUpdateBookings); // Logs each booking itself
 router.put('/:id', authorize('HCS Admin', 'Superadmin'), activityLoggers.bookingUpdate, updateBooking);
+router.post('/:id/reports', authorize('HCS Admin'), uploadReportFiles, uploadReports); // Logs each file itself
+router.delete('/:id/reports/:reportId', authorize('HCS Admin', 'Superadmin'), deleteReport);
+router.put('/:id/results', authorize('HCS Admin'), activityLoggers.bookingUpdate, enterResults);
 
 module.exports = router;
\ No newline at end of file
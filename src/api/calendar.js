@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCalendarFeed,
+    resetCalendarFeed,
+    getCustomerFeed,
+    getHcsFeed
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+// Feed URLs are for calendar apps, which can't send an auth header; the token is the secret
+router.get('/customers/:token.ics', getCustomerFeed);
+router.get('/hcs/:token.ics', getHcsFeed);
+
+// Protected routes
+router.get('/feed', protect, authorize('Customer', 'HCS Admin'), getCalendarFeed);
+router.post('/feed/reset', protect, authorize('Customer', 'HCS Admin'), resetCalendarFeed);
+
+module.exports = router;
\ No newline at end of file
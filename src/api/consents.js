@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getConsents,
+    createConsent,
+    revokeConsent,
+    getConsentViews,
+    getSharedWithMe,
+    getConsentResults,
+    downloadConsentReport,
+    getLinkResults,
+    downloadLinkReport
+} = require('../controllers/consentController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+// Share links are public; the token in the URL is the credential
+router.get('/links/:token', getLinkResults);
+router.get('/links/:token/reports/:reportId/download', downloadLinkReport);
+
+// All other consent routes are protected
+router.use(protect);
+
+// Customer routes - specific paths must come before /:id
+router.get('/', authorize('Customer'), getConsents);
+router.post('/', authorize('Customer'), createConsent);
+router.get('/views', authorize('Customer'), getConsentViews);
+router.put('/:id/revoke', authorize('Customer'), revokeConsent);
+
+// Doctor routes
+router.get('/shared', authorize('Doctor'), getSharedWithMe);
+router.get('/:id/results', authorize('Doctor'), getConsentResults);
+router.get('/:id/reports/:reportId/download', authorize('Doctor'), downloadConsentReport);
+
+module.exports = router;
\ No newline at end of file
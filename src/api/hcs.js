@@ -8,7 +8,14 @@ const {
     deleteHealthcareCenter,
     getMyHCS,
     checkAvailability,
-    checkAllAvailability
+    checkAllAvailability,
+    getAvailabilityCalendar,
+    updateReschedulePolicy,
+    getHomeVisitRoute,
+    updateCancellationPolicy,
+    updateOperatingHours,
+    addClosure,
+    deleteClosure
 } = require('../controllers/hcsController');
 const { protect } = require('../middleware/authMiddleware');
 const { superadminOnly, hcsAdminOrSuperadmin } = require('../middleware/roleMiddleware');
@@ -19,12 +26,19 @@ router.get('/', getHealthcareCenters);
 
 // Protected routes - Specific routes must come before parameterized routes
 router.get('/my-hcs', protect, hcsAdminOrSuperadmin, getMyHCS);
+router.get('/my-hcs/home-visits', protect, hcsAdminOrSuperadmin, getHomeVisitRoute);
 router.get('/availability', checkAllAvailability);
+router.get('/availability/calendar', getAvailabilityCalendar);
 router.get('/:id/availability', checkAvailability);
 router.get('/:id', getHealthcareCenter);
 
 router.post('/', protect, superadminOnly, activityLoggers.hcsCreate, createHealthcareCenter);
 router.put('/:id', protect, hcsAdminOrSuperadmin, activityLoggers.hcsUpdate, updateHealthcareCenter);
+router.put('/:id/reschedule-policy', protect, hcsAdminOrSuperadmin, activityLoggers.hcsUpdate, updateReschedulePolicy);
+router.put('/:id/cancellation-policy', protect, hcsAdminOrSuperadmin, activityLoggers.hcsUpdate, updateCancellationPolicy);
+router.put('/:id/operating-hours', protect, hcsAdminOrSuperadmin, activityLoggers.hcsUpdate, updateOperatingHours);
+router.post('/:id/closures', protect, hcsAdminOrSuperadmin, activityLoggers.hcsUpdate, addClosure);
+router.delete('/:id/closures/:closureId', protect, hcsAdminOrSuperadmin, activityLoggers.hcsUpdate, deleteClosure);
 router.delete('/:id', protect, superadminOnly, activityLoggers.hcsDelete, deleteHealthcareCenter);
 
 module.exports = router;
\ No newline at end of file
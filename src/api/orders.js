@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getOrders,
+    getOrder,
+    createOrder
+} = require('../controllers/orderController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { activityLoggers } = require('../middleware/activityLogMiddleware');
+
+// All order routes are protected
+router.use(protect);
+
+router.get('/', getOrders);
+router.get('/:id', getOrder);
+router.post('/', authorize('Customer'), activityLoggers.bookingCreate, createOrder);
+
+module.exports = router;
\ No newline at end of file
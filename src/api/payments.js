@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPayments,
+    getBookingPayments,
+    payForBooking,
+    refundPayment,
+    handleWebhook
+} = require('../controllers/paymentController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+// Gateway callbacks are signed instead of authenticated - must come before protect
+router.post('/webhooks/:gateway', handleWebhook);
+
+router.use(protect);
+
+router.get('/', authorize('Customer', 'HCS Admin', 'Superadmin'), getPayments);
+router.get('/bookings/:bookingId', authorize('Customer', 'HCS Admin', 'Superadmin'), getBookingPayments);
+router.post('/bookings/:bookingId/pay', authorize('Customer', 'HCS Admin', 'Superadmin'), payForBooking);
+
+// HCS Admin and Superadmin routes
+router.post('/:id/refund', authorize('HCS Admin', 'Superadmin'), refundPayment);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPromotions,
+    getPromotion,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    validatePromoCode
+} = require('../controllers/promotionController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize, superadminOnly } = require('../middleware/roleMiddleware');
+
+// All promotion routes are protected
+router.use(protect);
+
+// Customer routes - must come before /:id
+router.post('/validate', authorize('Customer'), validatePromoCode);
+
+// Superadmin routes
+router.get('/', superadminOnly, getPromotions);
+router.get('/:id', superadminOnly, getPromotion);
+router.post('/', superadminOnly, createPromotion);
+router.put('/:id', superadminOnly, updatePromotion);
+router.delete('/:id', superadminOnly, deletePromotion);
+
+module.exports = router;
\ No newline at end of file
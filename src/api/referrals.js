@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getReferrals,
+    getReferral,
+    createReferral,
+    cancelReferral
+} = require('../controllers/referralController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+// All referral routes are protected
+router.use(protect);
+
+router.get('/', authorize('Doctor', 'Customer', 'Superadmin'), getReferrals);
+router.get('/:id', authorize('Doctor', 'Customer', 'Superadmin'), getReferral);
+
+// Doctor routes
+router.post('/', authorize('Doctor'), createReferral);
+router.put('/:id/cancel', authorize('Doctor'), cancelReferral);
+
+module.exports = router;
\ No newline at end of file
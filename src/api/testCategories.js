@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCategories,
+    getAllCategories,
+    getCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} = require('../controllers/testCategoryController');
+const { protect } = require('../middleware/authMiddleware');
+const { superadminOnly } = require('../middleware/roleMiddleware');
+
+// Public routes
+router.get('/', getCategories);
+
+// Must come before /:id
+router.get('/all', protect, superadminOnly, getAllCategories);
+
+router.get('/:id', getCategory);
+
+// Superadmin routes
+router.post('/', protect, superadminOnly, createCategory);
+router.put('/:id', protect, superadminOnly, updateCategory);
+router.delete('/:id', protect, superadminOnly, deleteCategory);
+
+module.exports = router;
\ No newline at end of file
@@ -5,6 +5,8 @@ const {
     getTest,
     createTest,
     updateTest,
+    updateTestAnalytes,
+    updateHcsPreparation,
     deleteTest,
     getTestTypes,
     assignTestToHCS,
@@ -33,6 +35,8 @@ router.get('/:id', getTest);
 router.post('/:id/request-assignment', protect, hcsAdminOrSuperadmin, requestTestAssignment);
 router.post('/:id/assign-hcs', protect, superadminOnly, assignTestToHCS);
 router.delete('/:id/remove-hcs/:hcsId', protect, superadminOnly, removeTestFromHCS);
+router.put('/:id/analytes', protect, superadminOnly, activityLoggers.testUpdate, updateTestAnalytes);
+router.put('/:id/hcs-preparation', protect, hcsAdminOrSuperadmin, activityLoggers.testUpdate, updateHcsPreparation);
 
 // Protected routes - General test management
 router.post('/', protect, hcsAdminOrSuperadmin, activityLoggers.testCreate, createTest);
@@ -10,8 +10,13 @@ const {
     getProfile,
     updateProfile,
     uploadProfilePhoto: uploadProfilePhotoController,
-    changeUserPassword
+    changeUserPassword,
+    getDependents,
+    addDependent,
+    updateDependent,
+    deleteDependent
 } = require('../controllers/userController');
+const { getAnalyteHistory } = require('../controllers/reportController');
 const { protect } = require('../middleware/authMiddleware');
 const { superadminOnly } = require('../middleware/roleMiddleware');
 const { activityLoggers } = require('../middleware/activityLogMiddleware');
@@ -22,6 +27,15 @@ router.get('/profile', protect, getProfile);
 router.put('/profile', protect, uploadMiddleware, processProfilePhoto, activityLoggers.profileUpdate, updateProfile);
 router.post('/profile/photo', protect, uploadMiddleware, processProfilePhoto, activityLoggers.profileUpdate, uploadProfilePhotoController);
 
+// Dependent routes (family members the user books tests for)
+router.get('/profile/dependents', protect, getDependents);
+router.post('/profile/dependents', protect, activityLoggers.profileUpdate, addDependent);
+router.put('/profile/dependents/:dependentId', protect, activityLoggers.profileUpdate, updateDependent);
+router.delete('/profile/dependents/:dependentId', protect, activityLoggers.profileUpdate, deleteDependent);
+
+// Structured lab results over time; ?patient=<dependentId> for a family member
+router.get('/profile/results/:analyte/history', protect, getAnalyteHistory);
+
 // Admin-only routes
 router.use(protect);
 router.use(superadminOnly);
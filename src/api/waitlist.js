@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getWaitlistEntries,
+    joinWaitlist,
+    leaveWaitlist,
+    claimWaitlistOffer
+} = require('../controllers/waitlistController');
+const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+
+// All waitlist routes are protected
+router.use(protect);
+
+router.get('/', getWaitlistEntries);
+router.post('/', authorize('Customer'), joinWaitlist);
+router.post('/:id/claim', authorize('Customer'), claimWaitlistOffer);
+router.delete('/:id', authorize('Customer'), leaveWaitlist);
+
+module.exports = router;
\ No newline at end of file
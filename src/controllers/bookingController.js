@@ -1,24 +1,107 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Test = require('../models/Test');
 const HealthcareCenter = require('../models/HealthcareCenter');
 const User = require('../models/User');
+const ActivityLog = require('../models/ActivityLog');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Referral = require('../models/Referral');
+const {
+    validateScheduledDate,
+    validateOpenDay,
+    validateTimeSlot,
+    formatDay,
+    getCenterTimeZone
+} = require('../lib/scheduling');
+const {
+    reserveSlot,
+    releaseSlot,
+    reserveHomeVisit,
+    releaseHomeVisit,
+    releaseBookingSlot,
+    slotUnavailableMessage,
+    takeSlotTime,
+    releaseSlotTime
+} = require('../lib/slotReservation');
+const { hasCoordinates, distanceKm } = require('../lib/geo');
+const { resolvePatient } = require('../lib/patients');
+const { buildCalendar, sendCalendar } = require('../lib/ical');
+const { checkPromoCode, calculateDiscount, redeemPromotion, releasePromotion } = require('../lib/promotions');
+const { getReferralBookingError, claimReferralTest, releaseReferralTest } = require('../lib/referrals');
+const { verifyCheckInToken } = require('../lib/checkIn');
+const { offerWaitlistSlots } = require('../lib/waitlist');
+const { refundCanceledBooking } = require('../lib/payments');
+const { buildReceipt, buildStatement, sendPdf } = require('../lib/pdf');
+const { DEFAULT_TIMEZONE } = require('../lib/timezone');
 
-// Helper function to count bookings for a specific date at an HCS
-const countBookingsForDate = async (hcsId, date) => {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    return await Booking.countDocuments({
-        hcs: hcsId,
-        scheduledAt: {
-            $gte: startOfDay,
-            $lte: endOfDay
-        },
-        status: { $ne: 'canceled' } // Don't count canceled bookings
-    });
+// Fields HCS admins may change through PUT /api/bookings/:id besides status
+const EDITABLE_FIELDS = ['extraFields'];
+
+// Statuses POST /api/bookings/bulk can move bookings to, and how many at once
+const BULK_STATUSES = ['confirmed', 'completed', 'canceled'];
+const MAX_BULK_BOOKINGS = 100;
+
+// Furthest any timezone is from UTC, for searching a calendar month at every center
+const MAX_ZONE_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+// Helper function to explain a rejected status change
+const invalidTransitionMessage = (from, to) => {
+    const allowed = Booking.STATUS_TRANSITIONS[from] || [];
+    if (allowed.length === 0) {
+        return `Cannot change status of a ${from} booking`;
+    }
+    return `Cannot change booking status from ${from} to ${to}. Allowed: ${allowed.join(', ')}`;
+};
+
+// Helper function to move a booking to a new status on behalf of staff.
+// Staff cancellations are never charged. Returns an error message, or null on success.
+const applyStatusChange = (booking, status, userId, reason) => {
+    if (!booking.canTransitionTo(status)) {
+        return invalidTransitionMessage(booking.status, status);
+    }
+
+    booking.transitionTo(status, userId, reason);
+
+    if (status === 'canceled') {
+        booking.cancellation = {
+            reason,
+            fee: 0,
+            late: false,
+            canceledBy: userId,
+            canceledAt: new Date()
+        };
+    }
+    return null;
+};
+
+// Helper function to give a canceled booking's capacity and promo code use back,
+// and offer the slot to the waitlist
+const freeBookingSlot = async (booking) => {
+    await releaseBookingSlot(booking);
+    await releasePromotion(booking);
+    if (booking.collectionType !== 'home') {
+        const timeZone = await getCenterTimeZone(booking.hcs);
+        await offerWaitlistSlots(booking.hcs, booking.test, formatDay(booking.scheduledAt, timeZone));
+    }
+};
+
+// Helper function to undo everything a cancellation affects: free the slot
+// and refund what was paid, less any cancellation fee. Returns the amount refunded.
+const settleCanceledBooking = async (booking, userId) => {
+    await freeBookingSlot(booking);
+    return refundCanceledBooking(booking, userId);
+};
+
+// Helper function to check a user runs a booking's populated HCS; centers can be left without an admin
+const isCenterAdmin = (hcs, userId) => !!hcs && !!hcs.admin && hcs.admin.toString() === userId;
+
+// Helper function to check a doctor wrote the referral a booking was made from
+const isReferringDoctor = async (booking, userId) => {
+    if (!booking.referral) {
+        return false;
+    }
+    return !!(await Referral.exists({ _id: booking.referral, doctor: userId }));
 };
 
 // @desc    Get all bookings
@@ -52,6 +135,9 @@ exports.getBookings = async (req, res, next) => {
                     data: []
                 });
             }
+        } else if (req.user.role === 'Doctor') {
+            // Doctors only see bookings made from their own referrals
+            query.referral = { $in: await Referral.distinct('_id', { doctor: req.user.id }) };
         }
 
         // Add status filter
@@ -128,14 +214,16 @@ exports.getBooking = async (req, res, next) => {
             })
             .populate({
                 path: 'test',
-                select: 'title type price duration hcsPricing',
+                select: 'title type price duration hcsPricing preparation',
                 options: { strictPopulate: false }
             })
             .populate({
                 path: 'hcs',
                 select: 'name address contact availableSlotsPerDay',
                 options: { strictPopulate: false }
-            });
+            })
+            .populate('statusHistory.changedBy', 'name role')
+            .populate('rescheduleHistory.changedBy', 'name role');
 
         if (!booking) {
             return res.status(404).json({
@@ -152,10 +240,191 @@ exports.getBooking = async (req, res, next) => {
             });
         }
 
+        if (req.user.role === 'Doctor' && !(await isReferringDoctor(booking, req.user.id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
         res.status(200).json({
             success: true,
-            data: booking
+            data: booking,
+            preparation: booking.test && booking.test.getPreparation
+                ? booking.test.getPreparation(booking.hcs && booking.hcs._id)
+                : undefined
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download a booking as an iCalendar event
+// @route   GET /api/bookings/:id/ics
+// @access  Private
+exports.getBookingIcs = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .populate('test', 'title duration')
+            .populate('hcs', 'name address admin');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Check authorization
+        if (req.user.role === 'Customer' && booking.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        if (req.user.role === 'HCS Admin' && !isCenterAdmin(booking.hcs, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        if (req.user.role === 'Doctor' && !(await isReferringDoctor(booking, req.user.id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        // Only the patient's own download carries the check-in code
+        const calendarName = booking.test ? booking.test.title : 'Appointment';
+        const calendar = buildCalendar(calendarName, [booking], { includeCheckInCode: req.user.role === 'Customer' });
+        sendCalendar(res, `booking-${booking._id}.ics`, calendar);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download a booking's receipt or invoice as a PDF
+// @route   GET /api/bookings/:id/receipt.pdf
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.getBookingReceipt = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.id)
+            .populate('user', 'name email')
+            .populate('test', 'title')
+            .populate('hcs', 'name address contact email admin timezone');
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Check authorization
+        if (req.user.role === 'Customer' && (!booking.user || booking.user._id.toString() !== req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        if (req.user.role === 'HCS Admin' && !isCenterAdmin(booking.hcs, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        // Invoices are numbered when a payment settles; until then there is nothing to receipt
+        const invoice = await Invoice.findOne({ booking: booking._id });
+        if (!invoice || !invoice.number) {
+            return res.status(400).json({
+                success: false,
+                message: 'A receipt is available once a payment for this booking has been received'
+            });
+        }
+
+        const payments = await Payment.find({ invoice: invoice._id }).sort({ paidAt: 1 });
+
+        const pdf = await buildReceipt({
+            invoice,
+            booking,
+            payments,
+            timeZone: booking.hcs.timezone || DEFAULT_TIMEZONE
         });
+        sendPdf(res, `receipt-${invoice.number}.pdf`, pdf);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+};
+
+// @desc    Download a monthly statement of a customer's paid bookings as a PDF
+// @route   GET /api/bookings/statements/:month.pdf
+// @access  Private (Customer, Superadmin)
+exports.getMonthlyStatement = async (req, res, next) => {
+    try {
+        const { month } = req.params;
+
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Month must be in YYYY-MM format'
+            });
+        }
+
+        // Superadmins pick the customer; customers always get their own statement
+        const userId = req.user.role === 'Superadmin' ? req.query.user : req.user.id;
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the customer to generate a statement for'
+            });
+        }
+
+        const user = await User.findById(userId).select('name email');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const [year, monthNumber] = month.split('-').map(Number);
+        const nextMonth = monthNumber === 12
+            ? `${year + 1}-01`
+            : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+
+        // Each invoice falls in the month it was paid in on its own center's calendar,
+        // so search a window wide enough for every timezone and sort them out after
+        const invoices = (await Invoice.find({
+            user: user._id,
+            status: { $in: ['paid', 'partially-refunded'] },
+            paidAt: {
+                $gte: new Date(Date.parse(`${month}-01T00:00:00Z`) - MAX_ZONE_OFFSET_MS),
+                $lt: new Date(Date.parse(`${nextMonth}-01T00:00:00Z`) + MAX_ZONE_OFFSET_MS)
+            }
+        })
+            .populate({
+                path: 'booking',
+                select: 'test scheduledAt',
+                populate: { path: 'test', select: 'title' }
+            })
+            .populate('hcs', 'name timezone')
+            .sort({ paidAt: 1 }))
+            .filter(invoice => formatDay(invoice.paidAt, (invoice.hcs && invoice.hcs.timezone) || DEFAULT_TIMEZONE).startsWith(month));
+
+        const timeZone = DEFAULT_TIMEZONE;
+        const pdf = await buildStatement({ user, month, invoices, timeZone });
+        sendPdf(res, `statement-${month}.pdf`, pdf);
     } catch (error) {
         next(error);
     }
@@ -166,7 +435,18 @@ exports.getBooking = async (req, res, next) => {
 // @access  Private (Customer)
 exports.createBooking = async (req, res, next) => {
     try {
-        const { test: testId, hcs: hcsId, scheduledAt, phone } = req.body;
+        const {
+            test: testId,
+            hcs: hcsId,
+            scheduledAt,
+            phone,
+            collectionType = 'at-center',
+            collectionAddress,
+            collectionLocation,
+            patient: patientId,
+            promoCode,
+            referral: referralId
+        } = req.body;
 
         // Validate required fields
         if (!testId || !hcsId || !scheduledAt) {
@@ -176,6 +456,44 @@ exports.createBooking = async (req, res, next) => {
             });
         }
 
+        if (!['at-center', 'home'].includes(collectionType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Collection type must be at-center or home'
+            });
+        }
+
+        // A booking made from a doctor's referral must be for a test it names
+        let referral;
+        if (referralId) {
+            referral = await Referral.findOne({ _id: referralId, customer: req.user.id })
+                .populate('tests.booking', 'status');
+            const referralError = getReferralBookingError(referral, testId);
+            if (referralError) {
+                return res.status(referral ? 400 : 404).json({
+                    success: false,
+                    message: referralError
+                });
+            }
+        }
+
+        // The patient is the account holder unless one of their dependents is given;
+        // referrals default to the patient the doctor named
+        const patient = resolvePatient(req.user, patientId || (referral && referral.patient.dependent));
+        if (!patient) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient must be you or one of your dependents'
+            });
+        }
+
+        if (referral && String(patient.dependent) !== String(referral.patient.dependent)) {
+            return res.status(400).json({
+                success: false,
+                message: `This referral is for ${referral.patient.name}`
+            });
+        }
+
         // Verify test exists and get test details
         const testDoc = await Test.findById(testId);
         if (!testDoc) {
@@ -197,6 +515,22 @@ exports.createBooking = async (req, res, next) => {
             });
         }
 
+        // Customers with too many no-shows at this HCS can't book again
+        const { maxNoShows } = hcsDoc.bookingRestrictions || {};
+        if (maxNoShows > 0) {
+            const noShows = await Booking.countDocuments({
+                user: req.user.id,
+                hcs: hcsToUse,
+                status: 'no-show'
+            });
+            if (noShows >= maxNoShows) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Booking is restricted at this healthcare center after ${noShows} missed appointment(s). Please contact the center.`
+                });
+            }
+        }
+
         // Check if test is approved for this HCS
         const hcsPricing = testDoc.hcsPricing.find(
             pricing => pricing.hcs.toString() === hcsToUse && pricing.status === 'approved'
@@ -208,31 +542,177 @@ exports.createBooking = async (req, res, next) => {
             });
         }
 
+        // Check the promo code applies to this customer, test and HCS
+        let promotion;
+        if (promoCode) {
+            const promoCheck = await checkPromoCode({
+                code: promoCode,
+                userId: req.user.id,
+                test: testDoc,
+                hcsId: hcsToUse
+            });
+            if (promoCheck.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: promoCheck.error
+                });
+            }
+            promotion = promoCheck.promotion;
+        }
+
         // Check if scheduled time is in the future
         const scheduledDate = new Date(scheduledAt);
-        if (isNaN(scheduledDate.getTime())) {
+        const scheduledDateError = validateScheduledDate(scheduledDate);
+        if (scheduledDateError) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid date format provided'
+                message: scheduledDateError
             });
         }
 
-        if (scheduledDate <= new Date()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Scheduled time must be in the future'
-            });
+        const bookingData = {
+            user: req.user.id,
+            test: testId,
+            hcs: hcsToUse,
+            scheduledAt: scheduledDate,
+            patient
+        };
+
+        // Promo codes and referrals are claimed for the booking before it is saved
+        if (promotion || referral) {
+            bookingData._id = new mongoose.Types.ObjectId();
+        }
+
+        if (referral) {
+            bookingData.referral = referral._id;
+        }
+
+        // The discount comes off the test price; the pre-save hook works out the final price
+        if (promotion) {
+            bookingData.promotion = promotion._id;
+            bookingData.promoCode = promotion.code;
+            bookingData.discount = calculateDiscount(promotion, hcsPricing.price);
         }
 
-        // Check if HCS has available slots for the selected date and test
-        const bookingCount = await countBookingsForDate(hcsToUse, scheduledDate);
         const availableSlots = hcsDoc.getSlotsForTest(testId);
 
-        if (bookingCount >= availableSlots) {
-            return res.status(400).json({
-                success: false,
-                message: `No available slots for the selected date. Maximum ${availableSlots} bookings allowed per day for this test.`
+        if (collectionType === 'home') {
+            // Home visits must be offered by the HCS and fall inside its service area
+            const { homeCollection } = hcsDoc;
+            if (!homeCollection || !homeCollection.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The selected healthcare center does not offer home sample collection'
+                });
+            }
+
+            if (!hasCoordinates(collectionLocation)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Collection location (lat, lng) is required for home sample collection'
+                });
+            }
+
+            if (!hasCoordinates(hcsDoc.location)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The selected healthcare center has not set up its home collection service area'
+                });
+            }
+
+            const distance = distanceKm(hcsDoc.location, collectionLocation);
+            if (distance > homeCollection.serviceRadiusKm) {
+                return res.status(400).json({
+                    success: false,
+                    message: `The collection address is outside the service area (${homeCollection.serviceRadiusKm} km) of the selected healthcare center`
+                });
+            }
+
+            // No home visits go out on days the center is closed
+            const closedError = validateOpenDay(hcsDoc, scheduledDate);
+            if (closedError) {
+                return res.status(400).json({
+                    success: false,
+                    message: closedError
+                });
+            }
+
+            // Home visits use their own daily capacity
+            const reserved = await reserveHomeVisit({
+                hcs: hcsToUse,
+                date: scheduledDate,
+                capacity: homeCollection.dailyCapacity
+            });
+            if (!reserved) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No home collection visits available for the selected date. Maximum ${homeCollection.dailyCapacity} visits allowed per day.`
+                });
+            }
+
+            bookingData.collectionType = 'home';
+            bookingData.collectionAddress = collectionAddress || req.user.address;
+            bookingData.collectionLocation = collectionLocation;
+            bookingData.homeVisitFee = homeCollection.fee;
+        } else {
+            // Check the selected time is on the slot grid and doesn't overlap another booking
+            const timeSlotError = await validateTimeSlot(hcsDoc, testDoc, scheduledDate);
+            if (timeSlotError) {
+                return res.status(400).json({
+                    success: false,
+                    message: timeSlotError
+                });
+            }
+
+            // Atomically reserve the slot so parallel requests can't overbook the day
+            const reservationError = await reserveSlot({
+                hcs: hcsToUse,
+                test: testId,
+                scheduledAt: scheduledDate,
+                duration: testDoc.duration,
+                capacity: availableSlots
+            });
+            if (reservationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: slotUnavailableMessage(reservationError, availableSlots),
+                    // A fully booked day can be joined through POST /api/waitlist
+                    canJoinWaitlist: reservationError === 'full'
+                });
+            }
+        }
+
+        // Count the promo code use; a parallel booking may have taken the last one
+        if (promotion) {
+            const redeemed = await redeemPromotion({
+                promotion,
+                userId: req.user.id,
+                bookingId: bookingData._id
+            });
+            if (!redeemed) {
+                await releaseBookingSlot(bookingData);
+                return res.status(400).json({
+                    success: false,
+                    message: 'This promo code is no longer available'
+                });
+            }
+        }
+
+        // Link the booking to its referred test; a parallel booking may have taken it
+        if (referral) {
+            const claimed = await claimReferralTest({
+                referral,
+                testId,
+                bookingId: bookingData._id
             });
+            if (!claimed) {
+                await releaseBookingSlot(bookingData);
+                await releasePromotion(bookingData);
+                return res.status(400).json({
+                    success: false,
+                    message: 'This referred test has already been booked'
+                });
+            }
         }
 
         // Update user's phone number if provided
@@ -240,12 +720,15 @@ exports.createBooking = async (req, res, next) => {
             await User.findByIdAndUpdate(req.user.id, { phone });
         }
 
-        const booking = await Booking.create({
-            user: req.user.id,
-            test: testId,
-            hcs: hcsToUse,
-            scheduledAt
-        });
+        let booking;
+        try {
+            booking = await Booking.create(bookingData);
+        } catch (error) {
+            await releaseBookingSlot(bookingData);
+            await releasePromotion(bookingData);
+            await releaseReferralTest(bookingData);
+            throw error;
+        }
 
         const populatedBooking = await Booking.findById(booking._id)
             .populate({
@@ -266,7 +749,8 @@ exports.createBooking = async (req, res, next) => {
 
         res.status(201).json({
             success: true,
-            data: populatedBooking
+            data: populatedBooking,
+            preparation: testDoc.getPreparation(hcsToUse)
         });
     } catch (error) {
         console.error('Error creating booking:', error);
@@ -299,32 +783,43 @@ exports.updateBooking = async (req, res, next) => {
             }
         }
 
-        // Store previous status for slot management
+        const { status, reason, ...updateData } = req.body;
+
+        // Only whitelisted fields may be edited; time changes go through reschedule
+        const invalidFields = Object.keys(updateData).filter(field => !EDITABLE_FIELDS.includes(field));
+        if (invalidFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `The following fields cannot be updated: ${invalidFields.join(', ')}`
+            });
+        }
+
         const previousStatus = booking.status;
-        const newStatus = req.body.status;
-
-        // If status is changing to confirmed, check slot availability
-        if (newStatus === 'confirmed' && previousStatus !== 'confirmed') {
-            // Check if HCS has available slots for the selected date and test
-            const scheduledDate = new Date(booking.scheduledAt);
-            const bookingCount = await countBookingsForDate(booking.hcs, scheduledDate);
-            const hcsDoc = await HealthcareCenter.findById(booking.hcs);
-            const availableSlots = hcsDoc.getSlotsForTest(booking.test);
 
-            // If we're confirming and there are no slots available, reject the update
-            if (bookingCount >= availableSlots) {
+        if (status !== undefined && status !== previousStatus) {
+            const transitionError = applyStatusChange(booking, status, req.user.id, reason);
+            if (transitionError) {
                 return res.status(400).json({
                     success: false,
-                    message: `No available slots for the selected date. Maximum ${availableSlots} bookings allowed per day for this test.`
+                    message: transitionError
                 });
             }
         }
 
-        // Update the booking
-        booking = await Booking.findByIdAndUpdate(req.params.id, req.body, {
-            new: true,
-            runValidators: true
-        })
+        EDITABLE_FIELDS.forEach(field => {
+            if (updateData[field] !== undefined) {
+                booking[field] = updateData[field];
+            }
+        });
+
+        await booking.save();
+
+        // Canceling frees the slot for other customers and refunds the customer
+        if (previousStatus !== 'canceled' && booking.status === 'canceled') {
+            await settleCanceledBooking(booking, req.user.id);
+        }
+
+        booking = await Booking.findById(booking._id)
             .populate({
                 path: 'user',
                 select: 'name email phone',
@@ -339,7 +834,8 @@ exports.updateBooking = async (req, res, next) => {
                 path: 'hcs',
                 select: 'name address contact availableSlotsPerDay testSlots',
                 options: { strictPopulate: false }
-            });
+            })
+            .populate('statusHistory.changedBy', 'name role');
 
         res.status(200).json({
             success: true,
@@ -350,6 +846,117 @@ exports.updateBooking = async (req, res, next) => {
     }
 };
 
+// @desc    Confirm, complete or cancel many bookings at once
+// @route   POST /api/bookings/bulk
+// @access  Private (HCS Admin, Superadmin)
+exports.bulkUpdateBookings = async (req, res, next) => {
+    try {
+        const { ids, status, reason } = req.body;
+
+        if (!BULK_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${BULK_STATUSES.join(', ')}`
+            });
+        }
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a list of booking ids'
+            });
+        }
+
+        const bookingIds = [...new Set(ids.map(String))];
+        if (bookingIds.length > MAX_BULK_BOOKINGS) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot update more than ${MAX_BULK_BOOKINGS} bookings at once`
+            });
+        }
+
+        // HCS admins may only touch their own center's bookings
+        let adminHcsId;
+        if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Healthcare center not found for this admin'
+                });
+            }
+            adminHcsId = hcs._id.toString();
+        }
+
+        // Each booking is handled on its own so one failure doesn't stop the rest
+        const results = [];
+        for (const id of bookingIds) {
+            const result = { id, success: false };
+            let previousStatus;
+
+            try {
+                const booking = mongoose.isValidObjectId(id) ? await Booking.findById(id) : null;
+
+                if (!booking) {
+                    result.message = 'Booking not found';
+                } else if (adminHcsId && booking.hcs.toString() !== adminHcsId) {
+                    result.message = 'Not authorized to update this booking';
+                } else if (booking.status === status) {
+                    result.message = `Booking is already ${status}`;
+                } else {
+                    previousStatus = booking.status;
+                    const transitionError = applyStatusChange(booking, status, req.user.id, reason);
+
+                    if (transitionError) {
+                        result.message = transitionError;
+                    } else {
+                        await booking.save();
+
+                        // Canceling frees the slot for other customers and refunds the customer
+                        if (status === 'canceled') {
+                            await settleCanceledBooking(booking, req.user.id);
+                        }
+
+                        result.success = true;
+                        result.status = booking.status;
+                    }
+                }
+            } catch (error) {
+                result.message = error.message;
+            }
+
+            results.push(result);
+
+            await ActivityLog.logActivity({
+                user: req.user._id,
+                action: 'BOOKING_STATUS_CHANGE',
+                resource: 'BOOKING',
+                resourceId: mongoose.isValidObjectId(id) ? id : undefined,
+                description: result.success
+                    ? `${req.user.name} changed booking status from ${previousStatus} to ${status} in a bulk update`
+                    : `${req.user.name} could not change booking status to ${status} in a bulk update`,
+                success: result.success,
+                errorMessage: result.success ? null : result.message,
+                severity: status === 'canceled' ? 'MEDIUM' : 'LOW'
+            });
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+
+        res.status(200).json({
+            success: true,
+            summary: {
+                requested: results.length,
+                succeeded,
+                failed: results.length - succeeded
+            },
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Cancel booking
 // @route   PUT /api/bookings/:id/cancel
 // @access  Private (Customer, HCS Admin, Superadmin)
@@ -382,9 +989,60 @@ exports.cancelBooking = async (req, res, next) => {
             }
         }
 
-        booking.status = 'canceled';
+        if (!booking.canTransitionTo('canceled')) {
+            return res.status(400).json({
+                success: false,
+                message: invalidTransitionMessage(booking.status, 'canceled')
+            });
+        }
+
+        const hcsDoc = await HealthcareCenter.findById(booking.hcs);
+        if (!hcsDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Apply the HCS cancellation policy
+        const terms = hcsDoc.getCancellationTerms(booking, req.user.role === 'Customer');
+        const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+
+        // Preview what canceling would cost without changing anything
+        if (dryRun) {
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                data: {
+                    allowed: terms.allowed,
+                    message: terms.message,
+                    late: terms.late,
+                    fee: terms.fee,
+                    freeCancelUntil: terms.freeCancelUntil,
+                    priceAtBooking: booking.priceAtBooking
+                }
+            });
+        }
+
+        if (!terms.allowed) {
+            return res.status(403).json({
+                success: false,
+                message: terms.message
+            });
+        }
+
+        booking.transitionTo('canceled', req.user.id, req.body.reason);
+        booking.cancellation = {
+            reason: req.body.reason,
+            fee: terms.fee,
+            late: terms.late,
+            canceledBy: req.user.id,
+            canceledAt: new Date()
+        };
         await booking.save();
 
+        const refundedAmount = await settleCanceledBooking(booking, req.user.id);
+
         const populatedBooking = await Booking.findById(booking._id)
             .populate('user', 'name email phone')
             .populate('test', 'title type price duration hcsPricing')
@@ -392,9 +1050,473 @@ exports.cancelBooking = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
+            refundedAmount,
             data: populatedBooking
         });
     } catch (error) {
         next(error);
     }
+};
+
+// @desc    Tick off preparation checklist items
+// @route   PUT /api/bookings/:id/checklist
+// @access  Private (Customer)
+exports.updateChecklist = async (req, res, next) => {
+    try {
+        const { items } = req.body;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the checklist items to update'
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this booking'
+            });
+        }
+
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `The checklist can't be changed for a ${booking.status} booking`
+            });
+        }
+
+        for (const { id, done } of items) {
+            const item = booking.preparationChecklist.id(id);
+            if (!item) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Checklist item ${id} not found`
+                });
+            }
+            item.done = Boolean(done);
+            item.doneAt = item.done ? new Date() : undefined;
+        }
+
+        await booking.save();
+
+        res.status(200).json({
+            success: true,
+            data: booking.preparationChecklist
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reschedule booking to a new time
+// @route   PUT /api/bookings/:id/reschedule
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.rescheduleBooking = async (req, res, next) => {
+    try {
+        const { scheduledAt } = req.body;
+
+        if (!scheduledAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'New scheduled date is required'
+            });
+        }
+
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Check authorization
+        if (req.user.role === 'Customer' && booking.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reschedule this booking'
+            });
+        }
+
+        const hcsDoc = await HealthcareCenter.findById(booking.hcs);
+        if (!hcsDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        if (req.user.role === 'HCS Admin' && hcsDoc.admin.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to reschedule this booking'
+            });
+        }
+
+        if (['canceled', 'completed', 'no-show'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot reschedule a ${booking.status} booking`
+            });
+        }
+
+        // Apply the HCS reschedule policy to customers
+        if (req.user.role === 'Customer') {
+            const { maxReschedules, minHoursBeforeAppointment } = hcsDoc.reschedulePolicy;
+
+            if (booking.rescheduleHistory.length >= maxReschedules) {
+                return res.status(400).json({
+                    success: false,
+                    message: `This booking has reached the maximum of ${maxReschedules} reschedule(s) allowed`
+                });
+            }
+
+            const hoursUntilAppointment = (new Date(booking.scheduledAt).getTime() - Date.now()) / (1000 * 3600);
+            if (hoursUntilAppointment < minHoursBeforeAppointment) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Bookings cannot be rescheduled less than ${minHoursBeforeAppointment} hour(s) before the appointment`
+                });
+            }
+        }
+
+        // Check if new scheduled time is in the future
+        const scheduledDate = new Date(scheduledAt);
+        const scheduledDateError = validateScheduledDate(scheduledDate);
+        if (scheduledDateError) {
+            return res.status(400).json({
+                success: false,
+                message: scheduledDateError
+            });
+        }
+
+        const previousScheduledAt = new Date(booking.scheduledAt);
+        if (scheduledDate.getTime() === previousScheduledAt.getTime()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking is already scheduled for this time'
+            });
+        }
+
+        const testDoc = await Test.findById(booking.test);
+        if (!testDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found'
+            });
+        }
+
+        const isHomeVisit = booking.collectionType === 'home';
+        const changesDay = formatDay(scheduledDate, hcsDoc.timezone) !== formatDay(previousScheduledAt, hcsDoc.timezone);
+
+        // Take the new slot before giving up the old one
+        if (isHomeVisit) {
+            // Home visits only hold a day's capacity, so moving within a day is free
+            if (changesDay) {
+                const closedError = validateOpenDay(hcsDoc, scheduledDate);
+                if (closedError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: closedError
+                    });
+                }
+
+                const capacity = hcsDoc.homeCollection.dailyCapacity;
+                const reserved = await reserveHomeVisit({ hcs: booking.hcs, date: scheduledDate, capacity });
+                if (!reserved) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `No home collection visits available for the selected date. Maximum ${capacity} visits allowed per day.`
+                    });
+                }
+            }
+        } else {
+            // Check the new time is on the slot grid and doesn't overlap another booking
+            const timeSlotError = await validateTimeSlot(hcsDoc, testDoc, scheduledDate, booking._id);
+            if (timeSlotError) {
+                return res.status(400).json({
+                    success: false,
+                    message: timeSlotError
+                });
+            }
+
+            // A booking moved within its day already counts against that day's capacity,
+            // so only the new start time has to be free
+            const availableSlots = hcsDoc.getSlotsForTest(booking.test);
+            let reservationError = null;
+            if (changesDay) {
+                reservationError = await reserveSlot({
+                    hcs: booking.hcs,
+                    test: booking.test,
+                    scheduledAt: scheduledDate,
+                    duration: testDoc.duration,
+                    capacity: availableSlots
+                });
+            } else {
+                const taken = await takeSlotTime({
+                    hcs: booking.hcs,
+                    test: booking.test,
+                    scheduledAt: scheduledDate,
+                    duration: testDoc.duration,
+                    ignore: previousScheduledAt
+                });
+                if (!taken) {
+                    reservationError = 'taken';
+                }
+            }
+            if (reservationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: slotUnavailableMessage(reservationError, availableSlots)
+                });
+            }
+        }
+
+        booking.scheduledAt = scheduledDate;
+        booking.rescheduleHistory.push({
+            from: previousScheduledAt,
+            to: scheduledDate,
+            changedBy: req.user.id
+        });
+
+        try {
+            await booking.save();
+        } catch (error) {
+            if (!isHomeVisit) {
+                const release = changesDay ? releaseSlot : releaseSlotTime;
+                await release({ hcs: booking.hcs, test: booking.test, scheduledAt: scheduledDate });
+            } else if (changesDay) {
+                await releaseHomeVisit({ hcs: booking.hcs, date: scheduledDate });
+            }
+            throw error;
+        }
+
+        if (changesDay) {
+            await freeBookingSlot({
+                hcs: booking.hcs,
+                test: booking.test,
+                scheduledAt: previousScheduledAt,
+                collectionType: booking.collectionType
+            });
+        } else if (!isHomeVisit) {
+            await releaseSlotTime({ hcs: booking.hcs, test: booking.test, scheduledAt: previousScheduledAt });
+        }
+
+        const populatedBooking = await Booking.findById(booking._id)
+            .populate('user', 'name email phone')
+            .populate('test', 'title type price duration hcsPricing')
+            .populate('hcs', 'name address contact availableSlotsPerDay')
+            .populate('rescheduleHistory.changedBy', 'name role');
+
+        res.status(200).json({
+            success: true,
+            data: populatedBooking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Check in an arriving patient by check-in code or QR token
+// @route   POST /api/bookings/check-in
+// @access  Private (HCS Admin)
+exports.checkInBooking = async (req, res, next) => {
+    try {
+        const { code, qrToken } = req.body;
+
+        if (!code && !qrToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Check-in code or QR token is required'
+            });
+        }
+
+        const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found for this admin'
+            });
+        }
+
+        const today = formatDay(new Date(), hcs.timezone);
+
+        let booking;
+        if (qrToken) {
+            const payload = verifyCheckInToken(qrToken);
+            if (!payload) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid QR code'
+                });
+            }
+            booking = await Booking.findOne({ _id: payload.booking, checkInCode: payload.code });
+        } else {
+            // Codes are short, so prefer today's booking if an old one shares the code
+            const matches = await Booking.find({
+                hcs: hcs._id,
+                checkInCode: code.trim().toUpperCase()
+            }).sort({ scheduledAt: -1 });
+            booking = matches.find(match => formatDay(match.scheduledAt, hcs.timezone) === today) || matches[0];
+
+            // Tell the desk when the code exists but belongs to another center
+            if (!booking && await Booking.exists({ checkInCode: code.trim().toUpperCase() })) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This check-in code belongs to another healthcare center'
+                });
+            }
+        }
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'No booking found for this check-in code'
+            });
+        }
+
+        if (booking.hcs.toString() !== hcs._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'This check-in code belongs to another healthcare center'
+            });
+        }
+
+        if (booking.status === 'canceled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This booking has been canceled'
+            });
+        }
+
+        if (booking.status !== 'confirmed') {
+            return res.status(400).json({
+                success: false,
+                message: `Only confirmed bookings can be checked in. This booking is ${booking.status}.`
+            });
+        }
+
+        const appointmentDay = formatDay(booking.scheduledAt, hcs.timezone);
+        if (appointmentDay !== today) {
+            return res.status(400).json({
+                success: false,
+                message: `This booking is for ${appointmentDay}, not today`
+            });
+        }
+
+        if (booking.checkedInAt) {
+            return res.status(400).json({
+                success: false,
+                message: `Patient already checked in at ${booking.checkedInAt.toISOString()}`
+            });
+        }
+
+        booking.checkedInAt = new Date();
+        booking.checkedInBy = req.user.id;
+        await booking.save();
+
+        const populatedBooking = await Booking.findById(booking._id)
+            .populate('user', 'name email phone')
+            .populate('test', 'title type price duration')
+            .populate('hcs', 'name address contact');
+
+        // Let the front desk see any preparation the patient hasn't confirmed
+        res.status(200).json({
+            success: true,
+            message: 'Patient checked in successfully',
+            data: populatedBooking,
+            outstandingPreparation: populatedBooking.preparationChecklist.filter(item => !item.done)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get no-show counts per customer
+// @route   GET /api/bookings/no-shows
+// @access  Private (HCS Admin, Superadmin)
+exports.getNoShowStats = async (req, res, next) => {
+    try {
+        const invalidFilter = ['hcs', 'user'].find(field => req.query[field] && !mongoose.isValidObjectId(req.query[field]));
+        if (invalidFilter) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid ${invalidFilter} id`
+            });
+        }
+
+        const match = { status: 'no-show' };
+
+        // HCS admins see no-shows at their own center
+        if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs) {
+                return res.status(200).json({
+                    success: true,
+                    count: 0,
+                    data: []
+                });
+            }
+            match.hcs = hcs._id;
+        } else if (req.query.hcs) {
+            match.hcs = new mongoose.Types.ObjectId(req.query.hcs);
+        }
+
+        if (req.query.user) {
+            match.user = new mongoose.Types.ObjectId(req.query.user);
+        }
+
+        const stats = await Booking.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$user',
+                    noShows: { $sum: 1 },
+                    lastNoShowAt: { $max: '$scheduledAt' }
+                }
+            },
+            { $sort: { noShows: -1, lastNoShowAt: -1 } },
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'user'
+                }
+            },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    _id: 0,
+                    user: {
+                        _id: '$user._id',
+                        name: '$user.name',
+                        email: '$user.email',
+                        phone: '$user.phone'
+                    },
+                    noShows: 1,
+                    lastNoShowAt: 1
+                }
+            }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: stats.length,
+            data: stats
+        });
+    } catch (error) {
+        next(error);
+    }
 };
\ No newline at end of file
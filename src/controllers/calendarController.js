@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const { buildCalendar, sendCalendar } = require('../lib/ical');
+const { getDayBounds } = require('../lib/scheduling');
+
+// Helper function to create a new unguessable feed token
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+// Helper function to find the document that owns the caller's feed:
+// the customer themselves, or the HCS an HCS admin runs
+const getFeedOwner = async (user) => {
+    if (user.role === 'HCS Admin') {
+        const hcs = await HealthcareCenter.findOne({ admin: user.id }).select('+calendarFeedToken');
+        return hcs ? { type: 'hcs', doc: hcs } : null;
+    }
+    const customer = await User.findById(user.id).select('+calendarFeedToken');
+    return customer ? { type: 'customers', doc: customer } : null;
+};
+
+// Helper function to build the public URL of a feed
+const getFeedUrl = (req, type, token) => `${req.protocol}://${req.get('host')}/api/calendar/${type}/${token}.ics`;
+
+// @desc    Get the caller's calendar feed URL, creating it on first use
+// @route   GET /api/calendar/feed
+// @access  Private (Customer, HCS Admin)
+exports.getCalendarFeed = async (req, res, next) => {
+    try {
+        const owner = await getFeedOwner(req.user);
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found for this admin'
+            });
+        }
+
+        if (!owner.doc.calendarFeedToken) {
+            owner.doc.calendarFeedToken = generateFeedToken();
+            await owner.doc.save({ validateBeforeSave: false });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                url: getFeedUrl(req, owner.type, owner.doc.calendarFeedToken)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Replace the caller's calendar feed URL, cutting off the old one
+// @route   POST /api/calendar/feed/reset
+// @access  Private (Customer, HCS Admin)
+exports.resetCalendarFeed = async (req, res, next) => {
+    try {
+        const owner = await getFeedOwner(req.user);
+        if (!owner) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found for this admin'
+            });
+        }
+
+        owner.doc.calendarFeedToken = generateFeedToken();
+        await owner.doc.save({ validateBeforeSave: false });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                url: getFeedUrl(req, owner.type, owner.doc.calendarFeedToken)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Read-only feed of a customer's upcoming bookings
+// @route   GET /api/calendar/customers/:token.ics
+// @access  Public (feed token)
+exports.getCustomerFeed = async (req, res, next) => {
+    try {
+        const customer = await User.findOne({ calendarFeedToken: req.params.token });
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const bookings = await Booking.find({
+            user: customer._id,
+            status: { $in: ['pending', 'confirmed'] },
+            scheduledAt: { $gte: new Date() }
+        })
+            .populate('test', 'title duration')
+            .populate('hcs', 'name address')
+            .sort({ scheduledAt: 1 });
+
+        sendCalendar(res, 'bookings.ics', buildCalendar(`${customer.name} - Appointments`, bookings));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Read-only feed of an HCS's confirmed bookings from today on
+// @route   GET /api/calendar/hcs/:token.ics
+// @access  Public (feed token)
+exports.getHcsFeed = async (req, res, next) => {
+    try {
+        const hcs = await HealthcareCenter.findOne({ calendarFeedToken: req.params.token });
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        const { startOfDay } = getDayBounds(new Date(), hcs.timezone);
+        const bookings = await Booking.find({
+            hcs: hcs._id,
+            status: 'confirmed',
+            scheduledAt: { $gte: startOfDay }
+        })
+            .populate('test', 'title duration')
+            .populate('hcs', 'name address')
+            .sort({ scheduledAt: 1 });
+
+        sendCalendar(res, 'schedule.ics', buildCalendar(`${hcs.name} - Schedule`, bookings));
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
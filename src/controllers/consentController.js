@@ -0,0 +1,457 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ResultConsent = require('../models/ResultConsent');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const LabResult = require('../models/LabResult');
+const TestReport = require('../models/TestReport');
+const ActivityLog = require('../models/ActivityLog');
+const { sendReportFile } = require('../lib/reportStorage');
+
+// Share links last a day unless the customer asks otherwise, and never more than a week
+const DEFAULT_LINK_HOURS = 24;
+const MAX_LINK_HOURS = 7 * 24;
+
+// Helper function to generate a share link token
+const generateShareToken = () => crypto.randomBytes(24).toString('hex');
+
+// Helper function to build the URL a share link is opened at
+const getShareUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/consents/links/${token}`;
+
+// Helper function to describe a consent for its customer
+const formatConsent = (consent) => ({
+    ...consent.toObject(),
+    status: consent.getStatus()
+});
+
+// Helper function to collect the shared bookings with their results and report files
+const getSharedResults = async (consent) => {
+    const bookings = await Booking.find({ _id: { $in: consent.bookings }, user: consent.customer })
+        .select('scheduledAt status patient.name test hcs')
+        .populate('test', 'title')
+        .populate('hcs', 'name')
+        .sort({ scheduledAt: -1 });
+
+    const bookingIds = bookings.map(booking => booking._id);
+    const [results, reports] = await Promise.all([
+        LabResult.find({ booking: { $in: bookingIds } })
+            .select('booking analyte name unit value flag referenceRange comment collectedAt')
+            .sort({ name: 1 }),
+        TestReport.find({ booking: { $in: bookingIds } })
+            .select('booking originalName mimeType size notes createdAt')
+            .sort({ createdAt: 1 })
+    ]);
+
+    return bookings.map(booking => ({
+        booking,
+        results: results.filter(result => result.booking.toString() === booking._id.toString()),
+        reports: reports.filter(report => report.booking.toString() === booking._id.toString())
+    }));
+};
+
+// Helper function to record that someone read results through a consent
+const logConsentAccess = (consent, viewer, description) => ActivityLog.logActivity({
+    user: viewer ? viewer._id : undefined,
+    action: 'CONSENT_ACCESS',
+    resource: 'CONSENT',
+    resourceId: consent._id,
+    description
+});
+
+// Helper function to find a shared report and send it, logging the download
+const sendSharedReport = async (req, res, consent, viewerName) => {
+    const report = await TestReport.findOne({
+        _id: req.params.reportId,
+        booking: { $in: consent.bookings },
+        user: consent.customer
+    }).select('+storedName');
+
+    if (!report) {
+        return res.status(404).json({
+            success: false,
+            message: 'Report not found'
+        });
+    }
+
+    await logConsentAccess(
+        consent,
+        req.user,
+        `${viewerName} downloaded report ${report.originalName} for booking ${report.booking}`
+    );
+
+    sendReportFile(res, report);
+};
+
+// Helper function to load an active share link by its token
+const findActiveLink = async (token) => {
+    const consent = await ResultConsent.findOne({ token, type: 'link' });
+    if (!consent || consent.getStatus() !== 'active') {
+        return null;
+    }
+
+    // The first visit starts the link's short viewing window
+    if (!consent.firstUsedAt) {
+        consent.firstUsedAt = new Date();
+        await ResultConsent.updateOne(
+            { _id: consent._id, firstUsedAt: { $exists: false } },
+            { firstUsedAt: consent.firstUsedAt }
+        );
+    }
+    return consent;
+};
+
+// @desc    Get the customer's consents
+// @route   GET /api/consents
+// @access  Private (Customer)
+exports.getConsents = async (req, res, next) => {
+    try {
+        const consents = await ResultConsent.find({ customer: req.user.id })
+            .populate('doctor', 'name email')
+            .populate({
+                path: 'bookings',
+                select: 'scheduledAt test',
+                populate: { path: 'test', select: 'title' }
+            })
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: consents.length,
+            data: consents.map(formatConsent)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Share selected bookings' results with a doctor or through a share link
+// @route   POST /api/consents
+// @access  Private (Customer)
+exports.createConsent = async (req, res, next) => {
+    try {
+        const { type, doctor: doctorId, doctorEmail, bookings, expiresAt, expiresInHours, note } = req.body;
+
+        if (!['doctor', 'link'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Consent type must be doctor or link'
+            });
+        }
+
+        if (!Array.isArray(bookings) || bookings.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Select at least one booking to share'
+            });
+        }
+
+        // Customers can only share their own bookings
+        const bookingIds = [...new Set(bookings.map(String))];
+        const ownedBookings = await Booking.countDocuments({ _id: { $in: bookingIds }, user: req.user.id });
+        if (ownedBookings !== bookingIds.length) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only share results of your own bookings'
+            });
+        }
+
+        const consentData = {
+            customer: req.user.id,
+            type,
+            bookings: bookingIds,
+            note
+        };
+
+        if (type === 'doctor') {
+            if (!doctorId && !doctorEmail) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please choose the doctor to share with'
+                });
+            }
+
+            const doctor = await User.findOne(doctorId
+                ? { _id: doctorId, role: 'Doctor' }
+                : { email: String(doctorEmail).toLowerCase(), role: 'Doctor' });
+            if (!doctor) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Doctor not found'
+                });
+            }
+
+            if (expiresAt && new Date(expiresAt) <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Expiry time must be in the future'
+                });
+            }
+
+            consentData.doctor = doctor._id;
+            consentData.expiresAt = expiresAt;
+        } else {
+            const hours = expiresInHours === undefined ? DEFAULT_LINK_HOURS : Number(expiresInHours);
+            if (!(hours > 0) || hours > MAX_LINK_HOURS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Share links can last between 1 and ${MAX_LINK_HOURS} hours`
+                });
+            }
+
+            consentData.token = generateShareToken();
+            consentData.expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+        }
+
+        const consent = await ResultConsent.create(consentData);
+
+        await ActivityLog.logActivity({
+            user: req.user.id,
+            action: 'CONSENT_CREATE',
+            resource: 'CONSENT',
+            resourceId: consent._id,
+            description: type === 'doctor'
+                ? `${req.user.name} shared results of ${bookingIds.length} booking(s) with a doctor`
+                : `${req.user.name} created a share link for results of ${bookingIds.length} booking(s)`,
+            severity: 'MEDIUM'
+        });
+
+        const data = formatConsent(consent);
+        delete data.token;
+
+        // The link is only shown now; it can't be looked up again later
+        if (type === 'link') {
+            data.shareUrl = getShareUrl(req, consentData.token);
+        }
+
+        res.status(201).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revoke a consent
+// @route   PUT /api/consents/:id/revoke
+// @access  Private (Customer)
+exports.revokeConsent = async (req, res, next) => {
+    try {
+        const consent = await ResultConsent.findOne({ _id: req.params.id, customer: req.user.id });
+
+        if (!consent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Consent not found'
+            });
+        }
+
+        if (!consent.revokedAt) {
+            consent.revokedAt = new Date();
+            await consent.save();
+
+            await ActivityLog.logActivity({
+                user: req.user.id,
+                action: 'CONSENT_REVOKE',
+                resource: 'CONSENT',
+                resourceId: consent._id,
+                description: `${req.user.name} revoked access to results of ${consent.bookings.length} booking(s)`,
+                severity: 'MEDIUM'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: formatConsent(consent)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    List who viewed the customer's shared results
+// @route   GET /api/consents/views
+// @access  Private (Customer)
+exports.getConsentViews = async (req, res, next) => {
+    try {
+        const consentQuery = { customer: req.user.id };
+        if (req.query.consent) {
+            if (!mongoose.isValidObjectId(req.query.consent)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid consent id'
+                });
+            }
+            consentQuery._id = req.query.consent;
+        }
+
+        const consents = await ResultConsent.find(consentQuery)
+            .populate('doctor', 'name email');
+        const consentsById = new Map(consents.map(consent => [consent._id.toString(), consent]));
+
+        const logs = await ActivityLog.find({
+            action: 'CONSENT_ACCESS',
+            resource: 'CONSENT',
+            resourceId: { $in: [...consentsById.keys()] }
+        })
+            .populate('user', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(500);
+
+        const data = logs.map(log => {
+            const consent = consentsById.get(log.resourceId.toString());
+            return {
+                consent: consent._id,
+                type: consent.type,
+                viewer: log.user || (consent.type === 'link' ? 'Share link' : null),
+                description: log.description,
+                viewedAt: log.createdAt
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get consents other customers have given the doctor
+// @route   GET /api/consents/shared
+// @access  Private (Doctor)
+exports.getSharedWithMe = async (req, res, next) => {
+    try {
+        const consents = await ResultConsent.find({ doctor: req.user.id, type: 'doctor', revokedAt: null })
+            .populate('customer', 'name email')
+            .populate({
+                path: 'bookings',
+                select: 'scheduledAt status patient.name test',
+                populate: { path: 'test', select: 'title' }
+            })
+            .sort({ createdAt: -1 });
+
+        const data = consents
+            .filter(consent => consent.getStatus() === 'active')
+            .map(formatConsent);
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Read results shared with the doctor through a consent
+// @route   GET /api/consents/:id/results
+// @access  Private (Doctor)
+exports.getConsentResults = async (req, res, next) => {
+    try {
+        const consent = await ResultConsent.findOne({ _id: req.params.id, doctor: req.user.id, type: 'doctor' });
+
+        if (!consent || consent.getStatus() !== 'active') {
+            return res.status(404).json({
+                success: false,
+                message: 'No active consent found'
+            });
+        }
+
+        const data = await getSharedResults(consent);
+
+        for (const item of data) {
+            await logConsentAccess(
+                consent,
+                req.user,
+                `Dr. ${req.user.name} viewed results of ${item.booking.test ? item.booking.test.title : 'a test'} (booking ${item.booking._id})`
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download a report file shared with the doctor
+// @route   GET /api/consents/:id/reports/:reportId/download
+// @access  Private (Doctor)
+exports.downloadConsentReport = async (req, res, next) => {
+    try {
+        const consent = await ResultConsent.findOne({ _id: req.params.id, doctor: req.user.id, type: 'doctor' });
+
+        if (!consent || consent.getStatus() !== 'active') {
+            return res.status(404).json({
+                success: false,
+                message: 'No active consent found'
+            });
+        }
+
+        await sendSharedReport(req, res, consent, `Dr. ${req.user.name}`);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Read results through a share link
+// @route   GET /api/consents/links/:token
+// @access  Public (share link holder)
+exports.getLinkResults = async (req, res, next) => {
+    try {
+        const consent = await findActiveLink(req.params.token);
+
+        if (!consent) {
+            return res.status(404).json({
+                success: false,
+                message: 'This share link is invalid, expired or has been revoked'
+            });
+        }
+
+        const data = await getSharedResults(consent);
+
+        for (const item of data) {
+            await logConsentAccess(
+                consent,
+                null,
+                `Share link viewed results of ${item.booking.test ? item.booking.test.title : 'a test'} (booking ${item.booking._id})`
+            );
+        }
+
+        res.status(200).json({
+            success: true,
+            expiresAt: consent.expiresAt,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download a report file through a share link
+// @route   GET /api/consents/links/:token/reports/:reportId/download
+// @access  Public (share link holder)
+exports.downloadLinkReport = async (req, res, next) => {
+    try {
+        const consent = await findActiveLink(req.params.token);
+
+        if (!consent) {
+            return res.status(404).json({
+                success: false,
+                message: 'This share link is invalid, expired or has been revoked'
+            });
+        }
+
+        await sendSharedReport(req, res, consent, 'Share link');
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
@@ -3,25 +3,78 @@ const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Test = require('../models/Test');
 const TestAssignmentRequest = require('../models/TestAssignmentRequest');
+const SlotReservation = require('../models/SlotReservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+    getFreeTimeSlots,
+    formatDay,
+    parseDay,
+    addDays,
+    toDayKey,
+    formatTime,
+    getDayBounds
+} = require('../lib/scheduling');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../lib/timezone');
+const { hasCoordinates, orderByNearestStop } = require('../lib/geo');
+const { getReservedCount, countReservedByDay } = require('../lib/slotReservation');
+
+// Most days the availability calendar will return at once
+const MAX_CALENDAR_DAYS = 60;
+
+// Check whether a test has an approved price at an HCS
+const offersTest = (testDoc, hcsId) => testDoc.hcsPricing.some(pricing =>
+    pricing.hcs.toString() === hcsId.toString() && pricing.status === 'approved'
+);
+
+// Get the span of instants covering a range of calendar days at every center,
+// since each timezone starts its days at a different moment
+const getCentersDaySpan = (centers, fromDay, toDay) => {
+    const zones = new Set(centers.map(hcs => hcs.timezone || DEFAULT_TIMEZONE));
+    if (zones.size === 0) {
+        zones.add(DEFAULT_TIMEZONE);
+    }
 
-// Helper function to count bookings for a specific date at an HCS
-const countBookingsForDate = async (hcsId, date) => {
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
+    let from;
+    let to;
+    for (const zone of zones) {
+        const start = parseDay(fromDay, zone);
+        const end = new Date(parseDay(addDays(toDay, 1), zone).getTime() - 1);
+        if (!from || start < from) from = start;
+        if (!to || end > to) to = end;
+    }
+    return { from, to };
+};
 
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+// Slot reservations are keyed by calendar day in the center's timezone, so the
+// timezone can only change while no upcoming booking or held slot depends on them
+const getTimezoneChangeError = async (hcs) => {
+    const [upcomingBooking, openOffer] = await Promise.all([
+        Booking.exists({
+            hcs: hcs._id,
+            scheduledAt: { $gte: new Date() },
+            status: { $in: ['pending', 'confirmed'] }
+        }),
+        WaitlistEntry.exists({ hcs: hcs._id, status: 'offered' })
+    ]);
+
+    if (upcomingBooking || openOffer) {
+        return 'The timezone cannot be changed while the center has upcoming bookings or open waitlist offers';
+    }
+    return null;
+};
 
-    return await Booking.countDocuments({
+// Drop reservations for days that are still to come in the old timezone,
+// so they are seeded again on the new calendar
+const clearUpcomingReservations = async (hcsId, previousTimeZone) => {
+    await SlotReservation.deleteMany({
         hcs: hcsId,
-        scheduledAt: {
-            $gte: startOfDay,
-            $lte: endOfDay
-        },
-        status: { $ne: 'canceled' } // Don't count canceled bookings
+        day: { $gte: addDays(formatDay(new Date(), previousTimeZone), -1) }
     });
 };
 
+// Get the daily booking capacity of an HCS, for a test or overall
+const getDailyCapacity = (hcs, testId) => (testId ? hcs.getSlotsForTest(testId) : hcs.availableSlotsPerDay || 10);
+
 // @desc    Get all healthcare centers
 // @route   GET /api/hcs
 // @access  Public
@@ -132,11 +185,27 @@ exports.updateHealthcareCenter = async (req, res, next) => {
             }
         }
 
+        const previousTimeZone = hcs.timezone;
+        const changesTimeZone = req.body.timezone !== undefined && req.body.timezone !== previousTimeZone;
+        if (changesTimeZone) {
+            const timezoneError = await getTimezoneChangeError(hcs);
+            if (timezoneError) {
+                return res.status(400).json({
+                    success: false,
+                    message: timezoneError
+                });
+            }
+        }
+
         hcs = await HealthcareCenter.findByIdAndUpdate(req.params.id, req.body, {
             new: true,
             runValidators: true
         }).populate('admin', 'name email');
 
+        if (changesTimeZone) {
+            await clearUpcomingReservations(hcs._id, previousTimeZone);
+        }
+
         res.status(200).json({
             success: true,
             data: hcs
@@ -169,8 +238,9 @@ exports.deleteHealthcareCenter = async (req, res, next) => {
         // Remove all test assignment requests for this HCS
         await TestAssignmentRequest.deleteMany({ hcs: hcs._id });
 
-        // Delete all bookings for this HCS
+        // Delete all bookings and slot reservations for this HCS
         await Booking.deleteMany({ hcs: hcs._id });
+        await SlotReservation.deleteMany({ hcs: hcs._id });
 
         await HealthcareCenter.findByIdAndDelete(req.params.id);
 
@@ -223,9 +293,18 @@ exports.checkAvailability = async (req, res, next) => {
             });
         }
 
-        // Validate date format
-        const selectedDate = new Date(date);
-        if (isNaN(selectedDate.getTime())) {
+        // Get HCS to check available slots
+        const hcs = await HealthcareCenter.findById(id);
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Validate date format; days are on the center's own calendar
+        const day = toDayKey(date, hcs.timezone);
+        if (!day) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid date format'
@@ -233,26 +312,40 @@ exports.checkAvailability = async (req, res, next) => {
         }
 
         // Check if date is in the past
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (selectedDate < today) {
+        if (day < formatDay(new Date(), hcs.timezone)) {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot check availability for past dates'
             });
         }
 
-        // Get HCS to check available slots
-        const hcs = await HealthcareCenter.findById(id);
-        if (!hcs) {
-            return res.status(404).json({
-                success: false,
-                message: 'Healthcare center not found'
-            });
+        const selectedDate = parseDay(day, hcs.timezone);
+
+        let testDoc;
+        if (test) {
+            testDoc = await Test.findById(test);
+            if (!testDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Test not found'
+                });
+            }
         }
 
-        // Count existing bookings for the date
-        const bookingCount = await countBookingsForDate(id, selectedDate);
+        // Count the capacity already taken, including slots held for waitlist offers
+        let bookingCount;
+        if (testDoc) {
+            bookingCount = await getReservedCount({ hcs: hcs._id, test: testDoc._id, date: selectedDate });
+        } else {
+            const { startOfDay, endOfDay } = getDayBounds(selectedDate, hcs.timezone);
+            const counts = await countReservedByDay({
+                from: startOfDay,
+                to: endOfDay,
+                days: [day],
+                centers: [hcs]
+            });
+            bookingCount = counts.get(`${hcs._id}:${day}`) || 0;
+        }
 
         // Get slots based on test-specific or global setting
         let availableSlots;
@@ -262,16 +355,44 @@ exports.checkAvailability = async (req, res, next) => {
             availableSlots = hcs.availableSlotsPerDay || 10;
         }
 
-        const available = Math.max(0, availableSlots - bookingCount);
+        // Closed days have no capacity at all
+        const hours = hcs.getHoursForDate(selectedDate);
+        if (hours.closed) {
+            availableSlots = 0;
+        }
+
+        let available = Math.max(0, availableSlots - bookingCount);
+
+        // For a specific test, list the free start times from the test's slot grid
+        let slots;
+        if (testDoc) {
+            const freeSlots = available > 0 ? await getFreeTimeSlots(hcs, testDoc, selectedDate) : [];
+            slots = freeSlots.map(slot => ({
+                time: formatTime(slot, hcs.timezone),
+                scheduledAt: slot.toISOString()
+            }));
+            available = Math.min(available, slots.length);
+        }
+
+        const data = {
+            date: day,
+            timezone: hcs.timezone,
+            total: availableSlots,
+            booked: bookingCount,
+            available: available,
+            closed: hours.closed,
+            closedReason: hours.closed ? hours.reason : null,
+            openingHours: hours.closed ? null : { open: hours.open, close: hours.close }
+        };
+
+        if (testDoc) {
+            data.duration = testDoc.duration;
+            data.slots = slots;
+        }
 
         res.status(200).json({
             success: true,
-            data: {
-                date: selectedDate.toISOString().split('T')[0],
-                total: availableSlots,
-                booked: bookingCount,
-                available: available
-            }
+            data
         });
     } catch (error) {
         console.error('Error in checkAvailability:', error);
@@ -293,9 +414,10 @@ exports.checkAllAvailability = async (req, res, next) => {
             });
         }
 
-        // Validate date format
-        const selectedDate = new Date(date);
-        if (isNaN(selectedDate.getTime())) {
+        // Validate date format. A bare day is the same calendar day at every center;
+        // an instant is placed on the platform's default calendar.
+        const day = toDayKey(date);
+        if (!day) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid date format'
@@ -303,57 +425,72 @@ exports.checkAllAvailability = async (req, res, next) => {
         }
 
         // Check if date is in the past
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (selectedDate < today) {
+        if (day < formatDay(new Date())) {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot check availability for past dates'
             });
         }
 
+        // If a specific test is requested, only centers offering it are counted
+        let testDoc;
+        if (test) {
+            testDoc = await Test.findById(test);
+            if (!testDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Test not found'
+                });
+            }
+        }
+
         // Get all healthcare centers
         const hcsList = await HealthcareCenter.find();
 
-        let totalSlots = 0;
-        let totalBooked = 0;
+        const openCenters = [];
+        const closedCenters = [];
 
         // Process each HCS
         for (const hcs of hcsList) {
-            // If a specific test is requested, check if this HCS offers that test
-            if (test) {
-                const testDoc = await Test.findById(test);
-                if (!testDoc) {
-                    return res.status(404).json({
-                        success: false,
-                        message: 'Test not found'
-                    });
-                }
-
-                // Check if this HCS offers the requested test
-                const hcsOffersTest = testDoc.hcsPricing.some(pricing =>
-                    pricing.hcs.toString() === hcs._id.toString() && pricing.status === 'approved'
-                );
-
-                // Skip this HCS if it doesn't offer the test
-                if (!hcsOffersTest) {
-                    continue;
-                }
+            // Skip this HCS if it doesn't offer the requested test
+            if (testDoc && !offersTest(testDoc, hcs._id)) {
+                continue;
             }
 
-            // Count existing bookings for the date at this HCS
-            const bookingCount = await countBookingsForDate(hcs._id, selectedDate);
+            // Skip centers where the day is already over
+            if (day < formatDay(new Date(), hcs.timezone)) {
+                continue;
+            }
 
-            // Get slots based on test-specific or global setting
-            let availableSlots;
-            if (test && hcs.testSlots) {
-                availableSlots = hcs.getSlotsForTest(test);
-            } else {
-                availableSlots = hcs.availableSlotsPerDay || 10;
+            // Closed centers contribute no capacity for the day
+            const hours = hcs.getHoursForDate(parseDay(day, hcs.timezone));
+            if (hours.closed) {
+                closedCenters.push({
+                    hcs: hcs._id,
+                    name: hcs.name,
+                    reason: hours.reason
+                });
+                continue;
             }
 
-            totalSlots += availableSlots;
-            totalBooked += bookingCount;
+            openCenters.push(hcs);
+        }
+
+        // Count the day's taken capacity at every open center in one go
+        const { from, to } = getCentersDaySpan(openCenters, day, day);
+        const bookingCounts = await countReservedByDay({
+            from,
+            to,
+            days: [day],
+            centers: openCenters,
+            testId: testDoc && testDoc._id
+        });
+
+        let totalSlots = 0;
+        let totalBooked = 0;
+        for (const hcs of openCenters) {
+            totalSlots += getDailyCapacity(hcs, test);
+            totalBooked += bookingCounts.get(`${hcs._id}:${day}`) || 0;
         }
 
         const totalAvailable = Math.max(0, totalSlots - totalBooked);
@@ -361,10 +498,11 @@ exports.checkAllAvailability = async (req, res, next) => {
         res.status(200).json({
             success: true,
             data: {
-                date: selectedDate.toISOString().split('T')[0],
+                date: day,
                 total: totalSlots,
                 booked: totalBooked,
-                available: totalAvailable
+                available: totalAvailable,
+                closedCenters
             }
         });
     } catch (error) {
@@ -372,3 +510,506 @@ exports.checkAllAvailability = async (req, res, next) => {
         next(error);
     }
 };
+
+// @desc    Get per-day availability across healthcare centers for a date range
+// @route   GET /api/hcs/availability/calendar
+// @access  Public
+exports.getAvailabilityCalendar = async (req, res, next) => {
+    try {
+        const { from, to, test, hcs: hcsId } = req.query;
+
+        if (!from || !to) {
+            return res.status(400).json({
+                success: false,
+                message: 'From and to parameters are required'
+            });
+        }
+
+        // Days are calendar days, the same at every center whatever its timezone
+        const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!dayPattern.test(from) || !dayPattern.test(to) || !toDayKey(from) || !toDayKey(to)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        if (to < from) {
+            return res.status(400).json({
+                success: false,
+                message: 'The to date must not be before the from date'
+            });
+        }
+
+        // Check if date is in the past
+        if (from < formatDay(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot check availability for past dates'
+            });
+        }
+
+        // Build the list of days in the range
+        const days = [];
+        for (let day = from; day <= to && days.length <= MAX_CALENDAR_DAYS; day = addDays(day, 1)) {
+            days.push(day);
+        }
+        if (days.length > MAX_CALENDAR_DAYS) {
+            return res.status(400).json({
+                success: false,
+                message: `Date range cannot be longer than ${MAX_CALENDAR_DAYS} days`
+            });
+        }
+
+        let testDoc;
+        if (test) {
+            testDoc = await Test.findById(test);
+            if (!testDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Test not found'
+                });
+            }
+        }
+
+        const hcsQuery = hcsId ? { _id: hcsId } : {};
+        let hcsList = await HealthcareCenter.find(hcsQuery)
+            .select('name timezone availableSlotsPerDay testSlots openingHours weeklyHours closures');
+        if (hcsId && hcsList.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Only centers offering the requested test are included
+        if (testDoc) {
+            hcsList = hcsList.filter(hcs => offersTest(testDoc, hcs._id));
+        }
+
+        // Count the taken capacity for every center and day in the range
+        const span = getCentersDaySpan(hcsList, from, to);
+        const bookingCounts = await countReservedByDay({
+            from: span.from,
+            to: span.to,
+            days,
+            centers: hcsList,
+            testId: testDoc && testDoc._id
+        });
+
+        const calendar = days.map(day => {
+            let total = 0;
+            let booked = 0;
+
+            const centers = hcsList.map(hcs => {
+                // Days already over at the center have nothing left to book
+                const hours = hcs.getHoursForDate(parseDay(day, hcs.timezone));
+                const past = day < formatDay(new Date(), hcs.timezone);
+                const centerTotal = hours.closed || past ? 0 : getDailyCapacity(hcs, test);
+                const centerBooked = bookingCounts.get(`${hcs._id}:${day}`) || 0;
+
+                total += centerTotal;
+                booked += centerBooked;
+
+                return {
+                    hcs: hcs._id,
+                    name: hcs.name,
+                    total: centerTotal,
+                    booked: centerBooked,
+                    available: Math.max(0, centerTotal - centerBooked),
+                    closed: hours.closed,
+                    closedReason: hours.closed ? hours.reason : null
+                };
+            });
+
+            return {
+                date: day,
+                total,
+                booked,
+                available: centers.reduce((sum, center) => sum + center.available, 0),
+                centers
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            count: calendar.length,
+            data: calendar
+        });
+    } catch (error) {
+        console.error('Error in getAvailabilityCalendar:', error);
+        next(error);
+    }
+};
+
+// @desc    Update reschedule policy for a healthcare center
+// @route   PUT /api/hcs/:id/reschedule-policy
+// @access  Private (Superadmin, HCS Admin)
+exports.updateReschedulePolicy = async (req, res, next) => {
+    try {
+        const { maxReschedules, minHoursBeforeAppointment } = req.body;
+
+        const hcs = await HealthcareCenter.findById(req.params.id);
+
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Check if user is HCS Admin and owns this HCS
+        if (req.user.role === 'HCS Admin' && hcs.admin.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this healthcare center'
+            });
+        }
+
+        if (maxReschedules !== undefined) {
+            hcs.reschedulePolicy.maxReschedules = maxReschedules;
+        }
+        if (minHoursBeforeAppointment !== undefined) {
+            hcs.reschedulePolicy.minHoursBeforeAppointment = minHoursBeforeAppointment;
+        }
+
+        await hcs.save();
+
+        res.status(200).json({
+            success: true,
+            data: hcs.reschedulePolicy
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the day's home collection visits in route order
+// @route   GET /api/hcs/my-hcs/home-visits
+// @access  Private (HCS Admin)
+exports.getHomeVisitRoute = async (req, res, next) => {
+    try {
+        const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found for this admin'
+            });
+        }
+
+        const day = req.query.date ? toDayKey(req.query.date, hcs.timezone) : formatDay(new Date(), hcs.timezone);
+        if (!day) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format'
+            });
+        }
+
+        const { startOfDay, endOfDay } = getDayBounds(parseDay(day, hcs.timezone), hcs.timezone);
+        const visits = await Booking.find({
+            hcs: hcs._id,
+            collectionType: 'home',
+            scheduledAt: {
+                $gte: startOfDay,
+                $lte: endOfDay
+            },
+            status: { $ne: 'canceled' }
+        })
+            .populate('user', 'name email phone')
+            .populate('test', 'title type duration')
+            .sort({ scheduledAt: 1 });
+
+        // Visits without coordinates can't be routed; list them after the route
+        const routable = visits.filter(visit => hasCoordinates(visit.collectionLocation));
+        const unroutable = visits.filter(visit => !hasCoordinates(visit.collectionLocation));
+
+        let route;
+        if (hasCoordinates(hcs.location)) {
+            route = orderByNearestStop(hcs.location, routable, visit => visit.collectionLocation)
+                .map(({ stop, distanceKm }) => ({
+                    booking: stop,
+                    distanceFromPreviousKm: Math.round(distanceKm * 10) / 10
+                }));
+        } else {
+            route = routable.map(visit => ({ booking: visit, distanceFromPreviousKm: null }));
+        }
+
+        unroutable.forEach(visit => route.push({ booking: visit, distanceFromPreviousKm: null }));
+
+        res.status(200).json({
+            success: true,
+            count: route.length,
+            data: {
+                date: day,
+                start: hcs.location,
+                stops: route.map((stop, index) => ({ order: index + 1, ...stop }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update cancellation policy for a healthcare center
+// @route   PUT /api/hcs/:id/cancellation-policy
+// @access  Private (Superadmin, HCS Admin)
+exports.updateCancellationPolicy = async (req, res, next) => {
+    try {
+        const { freeCancelCutoffHours, lateCancelFee, allowCustomerCancelAfterConfirmation } = req.body;
+
+        const hcs = await HealthcareCenter.findById(req.params.id);
+
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Check if user is HCS Admin and owns this HCS
+        if (req.user.role === 'HCS Admin' && hcs.admin.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this healthcare center'
+            });
+        }
+
+        if (lateCancelFee && lateCancelFee.type === 'percentage' && lateCancelFee.amount > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Percentage late cancellation fee cannot exceed 100'
+            });
+        }
+
+        const policy = hcs.cancellationPolicy;
+        if (freeCancelCutoffHours !== undefined) {
+            policy.freeCancelCutoffHours = freeCancelCutoffHours;
+        }
+        if (lateCancelFee) {
+            if (lateCancelFee.type !== undefined) policy.lateCancelFee.type = lateCancelFee.type;
+            if (lateCancelFee.amount !== undefined) policy.lateCancelFee.amount = lateCancelFee.amount;
+        }
+        if (allowCustomerCancelAfterConfirmation !== undefined) {
+            policy.allowCustomerCancelAfterConfirmation = allowCustomerCancelAfterConfirmation;
+        }
+
+        await hcs.save();
+
+        res.status(200).json({
+            success: true,
+            data: hcs.cancellationPolicy
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update timezone and weekly operating hours for a healthcare center
+// @route   PUT /api/hcs/:id/operating-hours
+// @access  Private (Superadmin, HCS Admin)
+exports.updateOperatingHours = async (req, res, next) => {
+    try {
+        const { openingHours, weeklyHours, timezone } = req.body;
+
+        const hcs = await HealthcareCenter.findById(req.params.id);
+
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Check if user is HCS Admin and owns this HCS
+        if (req.user.role === 'HCS Admin' && hcs.admin.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this healthcare center'
+            });
+        }
+
+        const previousTimeZone = hcs.timezone;
+        const changesTimeZone = timezone !== undefined && timezone !== previousTimeZone;
+        if (changesTimeZone) {
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Timezone must be a valid IANA timezone name, e.g. Asia/Dhaka'
+                });
+            }
+
+            const timezoneError = await getTimezoneChangeError(hcs);
+            if (timezoneError) {
+                return res.status(400).json({
+                    success: false,
+                    message: timezoneError
+                });
+            }
+            hcs.timezone = timezone;
+        }
+
+        if (weeklyHours !== undefined) {
+            if (!Array.isArray(weeklyHours)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Weekly hours must be an array'
+                });
+            }
+
+            const days = weeklyHours.map(item => item.dayOfWeek);
+            if (new Set(days).size !== days.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Each day of the week can only appear once'
+                });
+            }
+
+            const invalidDay = weeklyHours.find(item =>
+                !item.closed && item.open && item.close && item.open >= item.close
+            );
+            if (invalidDay) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Closing time must be after opening time'
+                });
+            }
+
+            hcs.weeklyHours = weeklyHours;
+        }
+
+        if (openingHours) {
+            const open = openingHours.open || hcs.openingHours.open;
+            const close = openingHours.close || hcs.openingHours.close;
+            if (open >= close) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Closing time must be after opening time'
+                });
+            }
+            hcs.openingHours.open = open;
+            hcs.openingHours.close = close;
+        }
+
+        await hcs.save();
+
+        if (changesTimeZone) {
+            await clearUpcomingReservations(hcs._id, previousTimeZone);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                timezone: hcs.timezone,
+                openingHours: hcs.openingHours,
+                weeklyHours: hcs.weeklyHours
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Add a holiday, maintenance or half-day closure to a healthcare center
+// @route   POST /api/hcs/:id/closures
+// @access  Private (Superadmin, HCS Admin)
+exports.addClosure = async (req, res, next) => {
+    try {
+        const { date, type, reason, open, close } = req.body;
+
+        const hcs = await HealthcareCenter.findById(req.params.id);
+
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Check if user is HCS Admin and owns this HCS
+        if (req.user.role === 'HCS Admin' && hcs.admin.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this healthcare center'
+            });
+        }
+
+        if (hcs.closures.some(item => item.date === date)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A closure already exists for this date'
+            });
+        }
+
+        if (type === 'half-day' && (!open || !close || open >= close)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Half-day closures need opening and closing times, with closing after opening'
+            });
+        }
+
+        hcs.closures.push({ date, type, reason, open, close });
+        await hcs.save();
+
+        // Existing bookings on the day are left for the HCS to reschedule or cancel
+        const { startOfDay, endOfDay } = getDayBounds(parseDay(date, hcs.timezone), hcs.timezone);
+        const affectedBookings = await Booking.countDocuments({
+            hcs: hcs._id,
+            scheduledAt: {
+                $gte: startOfDay,
+                $lte: endOfDay
+            },
+            status: { $in: ['pending', 'confirmed'] }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: hcs.closures[hcs.closures.length - 1],
+            affectedBookings
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a closure from a healthcare center
+// @route   DELETE /api/hcs/:id/closures/:closureId
+// @access  Private (Superadmin, HCS Admin)
+exports.deleteClosure = async (req, res, next) => {
+    try {
+        const hcs = await HealthcareCenter.findById(req.params.id);
+
+        if (!hcs) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Check if user is HCS Admin and owns this HCS
+        if (req.user.role === 'HCS Admin' && hcs.admin.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this healthcare center'
+            });
+        }
+
+        const closure = hcs.closures.id(req.params.closureId);
+        if (!closure) {
+            return res.status(404).json({
+                success: false,
+                message: 'Closure not found'
+            });
+        }
+
+        closure.deleteOne();
+        await hcs.save();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
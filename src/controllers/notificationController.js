@@ -1,5 +1,8 @@
 const Notification = require('../models/Notification');
 const Booking = require('../models/Booking');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const TestReport = require('../models/TestReport');
+const { formatDay, parseDay, addDays } = require('../lib/scheduling');
 
 // @desc    Get user notifications
 // @route   GET /api/notifications
@@ -18,9 +21,15 @@ exports.getNotifications = async (req, res, next) => {
         // Fetch real bookings data
         const bookings = await Booking.find({ user: req.user.id })
             .populate('test', 'title')
-            .populate('hcs', 'name')
+            .populate('hcs', 'name timezone')
             .sort({ createdAt: -1 });
 
+        // Completed bookings that already have result files
+        const completedIds = bookings.filter(booking => booking.status === 'completed').map(booking => booking._id);
+        const bookingsWithReports = new Set(
+            (await TestReport.distinct('booking', { booking: { $in: completedIds } })).map(id => id.toString())
+        );
+
         // Generate real notifications based on booking data
         const notifications = [];
         const now = new Date();
@@ -29,14 +38,23 @@ exports.getNotifications = async (req, res, next) => {
             const scheduledDate = new Date(booking.scheduledAt);
             const timeDiff = scheduledDate.getTime() - now.getTime();
             const hoursDiff = timeDiff / (1000 * 3600);
-            const daysDiff = timeDiff / (1000 * 3600 * 24);
+
+            // Dates and days are shown on the center's own calendar
+            const timeZone = booking.hcs.timezone;
+            const today = formatDay(now, timeZone);
+            const isTomorrow = formatDay(scheduledDate, timeZone) === addDays(today, 1);
+
+            // Name the family member when the booking is for a dependent
+            const forPatient = booking.patient && booking.patient.dependent
+                ? ` for ${booking.patient.name}`
+                : '';
 
             // Booking confirmation notification
             if (booking.status === 'confirmed') {
                 notifications.push({
                     user: req.user.id,
                     title: 'Booking Confirmed',
-                    message: `Your ${booking.test.title} appointment has been confirmed for ${scheduledDate.toLocaleDateString()}`,
+                    message: `Your ${booking.test.title} appointment${forPatient} has been confirmed for ${scheduledDate.toLocaleDateString(undefined, { timeZone })}`,
                     type: 'success',
                     read: false,
                     relatedResource: {
@@ -47,18 +65,18 @@ exports.getNotifications = async (req, res, next) => {
                 });
 
                 // Add reminder notifications for upcoming appointments
-                if (daysDiff <= 1 && daysDiff > 0) {
+                if (isTomorrow) {
                     notifications.push({
                         user: req.user.id,
                         title: 'Appointment Tomorrow',
-                        message: `Reminder: You have a ${booking.test.title} appointment tomorrow at ${booking.hcs.name}`,
+                        message: `Reminder: You have a ${booking.test.title} appointment${forPatient} tomorrow at ${booking.hcs.name}`,
                         type: 'info',
                         read: false,
                         relatedResource: {
                             type: 'booking',
                             id: booking._id
                         },
-                        timestamp: new Date(now.getTime() - (24 - hoursDiff) * 3600000)
+                        timestamp: parseDay(today, timeZone)
                     });
                 }
 
@@ -66,7 +84,7 @@ exports.getNotifications = async (req, res, next) => {
                     notifications.push({
                         user: req.user.id,
                         title: 'Appointment Soon',
-                        message: `Your ${booking.test.title} appointment is in ${Math.ceil(hoursDiff)} hour(s) at ${booking.hcs.name}`,
+                        message: `Your ${booking.test.title} appointment${forPatient} is in ${Math.ceil(hoursDiff)} hour(s) at ${booking.hcs.name}`,
                         type: 'warning',
                         read: false,
                         relatedResource: {
@@ -80,10 +98,13 @@ exports.getNotifications = async (req, res, next) => {
 
             // Completed appointment notification
             if (booking.status === 'completed') {
+                const resultsMessage = bookingsWithReports.has(booking._id.toString())
+                    ? 'Your results are ready to download.'
+                    : 'Results will be available soon.';
                 notifications.push({
                     user: req.user.id,
                     title: 'Appointment Completed',
-                    message: `Your ${booking.test.title} appointment has been completed. Results will be available soon.`,
+                    message: `Your ${booking.test.title} appointment${forPatient} has been completed. ${resultsMessage}`,
                     type: 'success',
                     read: true, // Completed notifications are marked as read by default
                     relatedResource: {
@@ -99,7 +120,7 @@ exports.getNotifications = async (req, res, next) => {
                 notifications.push({
                     user: req.user.id,
                     title: 'Appointment Cancelled',
-                    message: `Your ${booking.test.title} appointment has been cancelled.`,
+                    message: `Your ${booking.test.title} appointment${forPatient} has been cancelled.`,
                     type: 'error',
                     read: false,
                     relatedResource: {
@@ -115,7 +136,7 @@ exports.getNotifications = async (req, res, next) => {
                 notifications.push({
                     user: req.user.id,
                     title: 'Booking Under Review',
-                    message: `Your ${booking.test.title} booking is being reviewed. You will be notified once confirmed.`,
+                    message: `Your ${booking.test.title} booking${forPatient} is being reviewed. You will be notified once confirmed.`,
                     type: 'info',
                     read: false,
                     relatedResource: {
@@ -127,6 +148,30 @@ exports.getNotifications = async (req, res, next) => {
             }
         }
 
+        // Waitlist offers waiting to be claimed
+        const offers = await WaitlistEntry.find({
+            user: req.user.id,
+            status: 'offered',
+            offerExpiresAt: { $gt: now }
+        })
+            .populate('test', 'title')
+            .populate('hcs', 'name timezone');
+
+        for (const offer of offers) {
+            notifications.push({
+                user: req.user.id,
+                title: 'Slot Available',
+                message: `A ${offer.test.title} slot on ${offer.day} at ${offer.hcs.name} is available. Claim it before ${new Date(offer.offerExpiresAt).toLocaleTimeString(undefined, { timeZone: offer.hcs.timezone })}.`,
+                type: 'warning',
+                read: false,
+                relatedResource: {
+                    type: 'waitlist',
+                    id: offer._id
+                },
+                timestamp: offer.offeredAt
+            });
+        }
+
         // Sort notifications by timestamp (newest first)
         notifications.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Booking = require('../models/Booking');
+const Test = require('../models/Test');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const { validateScheduledDate, validateTimeSlot, formatDay } = require('../lib/scheduling');
+const { reserveSlot, slotUnavailableMessage } = require('../lib/slotReservation');
+const { resolvePatient } = require('../lib/patients');
+
+// Helper function to build an error that aborts the checkout transaction
+const checkoutError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Helper function to populate an order for responses
+const populateOrder = (query) => query
+    .populate('user', 'name email phone')
+    .populate('hcs', 'name address contact')
+    .populate('lines.test', 'title type duration')
+    .populate('lines.booking', 'status scheduledAt priceAtBooking');
+
+// @desc    Get orders
+// @route   GET /api/orders
+// @access  Private
+exports.getOrders = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const skip = (page - 1) * limit;
+
+        let query = {};
+
+        // Filter by user if not superadmin
+        if (req.user.role === 'Customer') {
+            query.user = req.user.id;
+        } else if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs) {
+                return res.status(200).json({
+                    success: true,
+                    count: 0,
+                    data: []
+                });
+            }
+            query.hcs = hcs._id;
+        }
+
+        const [orders, totalOrders] = await Promise.all([
+            populateOrder(Order.find(query))
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Order.countDocuments(query)
+        ]);
+
+        // Calculate pagination info
+        const totalPages = Math.ceil(totalOrders / limit);
+        const hasNext = page < totalPages;
+        const hasPrev = page > 1;
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            data: orders,
+            pagination: {
+                page,
+                limit,
+                totalPages,
+                totalOrders,
+                hasNext,
+                hasPrev
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single order
+// @route   GET /api/orders/:id
+// @access  Private
+exports.getOrder = async (req, res, next) => {
+    try {
+        const order = await populateOrder(Order.findById(req.params.id));
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Check authorization
+        if (req.user.role === 'Customer' && order.user._id.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this order'
+            });
+        }
+
+        if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs || hcs._id.toString() !== order.hcs._id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to access this order'
+                });
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Check out several tests at one HCS on the same day
+// @route   POST /api/orders
+// @access  Private (Customer)
+exports.createOrder = async (req, res, next) => {
+    try {
+        const { hcs: hcsId, lines, patient: patientId } = req.body;
+
+        if (!hcsId || !Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Healthcare center and at least one test line are required'
+            });
+        }
+
+        // Every test in the order is for the same patient
+        const patient = resolvePatient(req.user, patientId);
+        if (!patient) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient must be you or one of your dependents'
+            });
+        }
+
+        const hcsDoc = await HealthcareCenter.findById(hcsId);
+        if (!hcsDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Validate every line before touching any capacity
+        const orderLines = [];
+        for (const line of lines) {
+            if (!line || !line.test || !line.scheduledAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Each line needs a test and a scheduled date'
+                });
+            }
+
+            if (orderLines.some(orderLine => orderLine.test._id.toString() === line.test)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Each test can only appear once in an order'
+                });
+            }
+
+            const testDoc = await Test.findById(line.test);
+            if (!testDoc) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Test not found: ${line.test}`
+                });
+            }
+
+            const hcsPricing = testDoc.hcsPricing.find(
+                pricing => pricing.hcs.toString() === hcsId && pricing.status === 'approved'
+            );
+            if (!hcsPricing) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${testDoc.title} is not available at the selected healthcare center`
+                });
+            }
+
+            const scheduledDate = new Date(line.scheduledAt);
+            const scheduledDateError = validateScheduledDate(scheduledDate);
+            if (scheduledDateError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${testDoc.title}: ${scheduledDateError}`
+                });
+            }
+
+            const timeSlotError = await validateTimeSlot(hcsDoc, testDoc, scheduledDate);
+            if (timeSlotError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${testDoc.title}: ${timeSlotError}`
+                });
+            }
+
+            orderLines.push({
+                test: testDoc,
+                scheduledAt: scheduledDate,
+                price: hcsPricing.price
+            });
+        }
+
+        // All lines belong to the same visit
+        const day = formatDay(orderLines[0].scheduledAt, hcsDoc.timezone);
+        if (orderLines.some(line => formatDay(line.scheduledAt, hcsDoc.timezone) !== day)) {
+            return res.status(400).json({
+                success: false,
+                message: 'All tests in an order must be scheduled on the same date'
+            });
+        }
+
+        // The patient can't be in two appointments at once
+        const sortedLines = [...orderLines].sort((a, b) => a.scheduledAt - b.scheduledAt);
+        for (let i = 1; i < sortedLines.length; i++) {
+            const previous = sortedLines[i - 1];
+            const previousEnd = previous.scheduledAt.getTime() + previous.test.duration * 60 * 1000;
+            if (sortedLines[i].scheduledAt.getTime() < previousEnd) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${sortedLines[i].test.title} overlaps ${previous.test.title}. Please choose non-overlapping times.`
+                });
+            }
+        }
+
+        const total = orderLines.reduce((sum, line) => sum + line.price, 0);
+        const orderId = new mongoose.Types.ObjectId();
+
+        // Reserve capacity and create every booking in one transaction so the
+        // order either succeeds as a whole or leaves nothing behind.
+        // Transactions need MongoDB running as a replica set (see README).
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                const bookingIds = [];
+
+                for (const line of orderLines) {
+                    const availableSlots = hcsDoc.getSlotsForTest(line.test._id);
+                    const reservationError = await reserveSlot({
+                        hcs: hcsDoc._id,
+                        test: line.test._id,
+                        scheduledAt: line.scheduledAt,
+                        duration: line.test.duration,
+                        capacity: availableSlots,
+                        session
+                    });
+                    if (reservationError) {
+                        throw checkoutError(`${line.test.title}: ${slotUnavailableMessage(reservationError, availableSlots)}`);
+                    }
+
+                    const [booking] = await Booking.create([{
+                        user: req.user.id,
+                        test: line.test._id,
+                        hcs: hcsDoc._id,
+                        scheduledAt: line.scheduledAt,
+                        patient,
+                        order: orderId
+                    }], { session });
+                    bookingIds.push(booking._id);
+                }
+
+                await Order.create([{
+                    _id: orderId,
+                    user: req.user.id,
+                    hcs: hcsDoc._id,
+                    day,
+                    lines: orderLines.map((line, index) => ({
+                        test: line.test._id,
+                        booking: bookingIds[index],
+                        scheduledAt: line.scheduledAt,
+                        price: line.price
+                    })),
+                    total
+                }], { session });
+            });
+        } catch (error) {
+            if (error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        const order = await populateOrder(Order.findById(orderId));
+
+        res.status(201).json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        console.error('Error creating order:', error);
+        next(error);
+    }
+};
\ No newline at end of file
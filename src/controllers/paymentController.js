@@ -0,0 +1,275 @@
+const Booking = require('../models/Booking');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const ActivityLog = require('../models/ActivityLog');
+const { getGateway, METHOD_GATEWAYS } = require('../lib/paymentGateways');
+const { startPayment, startRefund, applyWebhookEvent } = require('../lib/payments');
+
+// Customers pay by card online; cash is taken by staff at the center
+const STAFF_METHODS = ['cash'];
+const CUSTOMER_METHODS = ['card'];
+
+// Helper function to check whether the user may see or act on a booking's payments
+const canAccessBooking = async (user, booking) => {
+    if (user.role === 'Superadmin') {
+        return true;
+    }
+    if (user.role === 'Customer') {
+        return booking.user.toString() === user.id;
+    }
+    if (user.role === 'HCS Admin') {
+        const hcs = await HealthcareCenter.findOne({ admin: user.id });
+        return !!hcs && hcs._id.toString() === booking.hcs.toString();
+    }
+    return false;
+};
+
+// @desc    Get payments
+// @route   GET /api/payments
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.getPayments = async (req, res, next) => {
+    try {
+        const query = {};
+
+        if (req.user.role === 'Customer') {
+            query.user = req.user.id;
+        } else if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No healthcare center found for this admin'
+                });
+            }
+            query.hcs = hcs._id;
+        } else if (req.query.hcs) {
+            query.hcs = req.query.hcs;
+        }
+
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+        if (req.query.gateway) {
+            query.gateway = req.query.gateway;
+        }
+
+        const payments = await Payment.find(query)
+            .populate('user', 'name email')
+            .populate('hcs', 'name')
+            .populate('booking', 'scheduledAt status')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            data: payments
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a booking's invoice and payments
+// @route   GET /api/payments/bookings/:bookingId
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.getBookingPayments = async (req, res, next) => {
+    try {
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!(await canAccessBooking(req.user, booking))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view payments for this booking'
+            });
+        }
+
+        const invoice = await Invoice.findOne({ booking: booking._id });
+        const payments = await Payment.find({ booking: booking._id })
+            .populate('receivedBy', 'name')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invoice,
+                payments
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Pay for a booking by card (customers) or record a cash payment (staff)
+// @route   POST /api/payments/bookings/:bookingId/pay
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.payForBooking = async (req, res, next) => {
+    try {
+        const { method } = req.body;
+        const allowedMethods = req.user.role === 'Customer' ? CUSTOMER_METHODS : STAFF_METHODS;
+
+        if (!allowedMethods.includes(method)) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment method must be one of: ${allowedMethods.join(', ')}`
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!(await canAccessBooking(req.user, booking))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to take payment for this booking'
+            });
+        }
+
+        const { payment, invoice } = await startPayment({
+            booking,
+            gateway: METHOD_GATEWAYS[method],
+            receivedBy: req.user.role === 'Customer' ? undefined : req.user.id
+        });
+
+        await ActivityLog.logActivity({
+            user: req.user.id,
+            action: 'PAYMENT_CREATE',
+            resource: 'PAYMENT',
+            resourceId: payment._id,
+            description: `Started ${method} payment of ${payment.amount} ${payment.currency} for booking ${booking._id}`
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                payment,
+                invoice
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+};
+
+// @desc    Refund part or all of a payment
+// @route   POST /api/payments/:id/refund
+// @access  Private (HCS Admin, Superadmin)
+exports.refundPayment = async (req, res, next) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        if (!(await canAccessBooking(req.user, payment))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to refund this payment'
+            });
+        }
+
+        if (payment.status !== 'succeeded') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only completed payments can be refunded'
+            });
+        }
+
+        const refund = await startRefund({
+            payment,
+            amount: req.body.amount,
+            reason: req.body.reason,
+            requestedBy: req.user.id
+        });
+
+        await ActivityLog.logActivity({
+            user: req.user.id,
+            action: 'PAYMENT_REFUND',
+            resource: 'PAYMENT',
+            resourceId: payment._id,
+            description: `Refunded ${refund.amount} ${payment.currency} of payment for booking ${payment.booking}`,
+            severity: 'MEDIUM'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                refund,
+                payment,
+                invoice: await Invoice.findById(payment.invoice)
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    }
+};
+
+// @desc    Receive a payment gateway webhook
+// @route   POST /api/payments/webhooks/:gateway
+// @access  Public (verified by gateway signature)
+exports.handleWebhook = async (req, res, next) => {
+    try {
+        const gateway = getGateway(req.params.gateway);
+
+        if (!gateway || !gateway.parseWebhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown payment gateway'
+            });
+        }
+
+        const event = gateway.parseWebhook({
+            headers: req.headers,
+            rawBody: req.rawBody,
+            body: req.body
+        });
+
+        if (!event) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid webhook signature or payload'
+            });
+        }
+
+        const payment = await applyWebhookEvent(gateway.name, event);
+
+        // Acknowledge unknown references so the gateway stops retrying them
+        res.status(200).json({
+            success: true,
+            received: true,
+            matched: !!payment
+        });
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
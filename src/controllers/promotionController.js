@@ -0,0 +1,232 @@
+const Promotion = require('../models/Promotion');
+const Test = require('../models/Test');
+const { checkPromoCode, calculateDiscount } = require('../lib/promotions');
+
+// Fields Superadmins may set on a promotion; usage counts are managed by bookings
+const PROMOTION_FIELDS = [
+    'code',
+    'description',
+    'discountType',
+    'discountValue',
+    'maxDiscount',
+    'validFrom',
+    'validUntil',
+    'usageLimit',
+    'perUserLimit',
+    'scope',
+    'active'
+];
+
+// Helper function to copy the editable fields from a request body
+const pickPromotionFields = (body) => {
+    const data = {};
+    PROMOTION_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+// @desc    Get all promotions
+// @route   GET /api/promotions
+// @access  Private (Superadmin)
+exports.getPromotions = async (req, res, next) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) {
+            query.active = req.query.active === 'true';
+        }
+
+        const promotions = await Promotion.find(query)
+            .select('-redemptions')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            success: true,
+            count: promotions.length,
+            data: promotions
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single promotion
+// @route   GET /api/promotions/:id
+// @access  Private (Superadmin)
+exports.getPromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id)
+            .populate('redemptions.user', 'name email')
+            .populate('scope.tests', 'title type')
+            .populate('scope.categories', 'name')
+            .populate('scope.hcs', 'name');
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: promotion
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create new promotion
+// @route   POST /api/promotions
+// @access  Private (Superadmin)
+exports.createPromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.create({
+            ...pickPromotionFields(req.body),
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: promotion
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A promotion with this code already exists'
+            });
+        }
+        next(error);
+    }
+};
+
+// @desc    Update promotion
+// @route   PUT /api/promotions/:id
+// @access  Private (Superadmin)
+exports.updatePromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+
+        promotion.set(pickPromotionFields(req.body));
+        await promotion.save();
+
+        res.status(200).json({
+            success: true,
+            data: promotion
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A promotion with this code already exists'
+            });
+        }
+        next(error);
+    }
+};
+
+// @desc    Delete promotion
+// @route   DELETE /api/promotions/:id
+// @access  Private (Superadmin)
+exports.deletePromotion = async (req, res, next) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+
+        if (!promotion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Promotion not found'
+            });
+        }
+
+        // Codes that were already used are kept for booking history; deactivate them instead
+        if (promotion.usedCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This promo code has been used and cannot be deleted. Deactivate it instead.'
+            });
+        }
+
+        await promotion.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Check a promo code and preview the discount for a test at an HCS
+// @route   POST /api/promotions/validate
+// @access  Private (Customer)
+exports.validatePromoCode = async (req, res, next) => {
+    try {
+        const { code, test: testId, hcs: hcsId } = req.body;
+
+        if (!code || !testId || !hcsId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Promo code, test, and healthcare center are required'
+            });
+        }
+
+        const testDoc = await Test.findById(testId);
+        if (!testDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found'
+            });
+        }
+
+        const hcsPricing = testDoc.hcsPricing.find(
+            pricing => pricing.hcs.toString() === hcsId && pricing.status === 'approved'
+        );
+        if (!hcsPricing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Test is not available at the selected healthcare center'
+            });
+        }
+
+        const { promotion, error } = await checkPromoCode({
+            code,
+            userId: req.user.id,
+            test: testDoc,
+            hcsId
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const discount = calculateDiscount(promotion, hcsPricing.price);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                code: promotion.code,
+                description: promotion.description,
+                originalPrice: hcsPricing.price,
+                discount,
+                finalPrice: hcsPricing.price - discount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
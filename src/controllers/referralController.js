@@ -0,0 +1,253 @@
+const Referral = require('../models/Referral');
+const User = require('../models/User');
+const Test = require('../models/Test');
+const TestReport = require('../models/TestReport');
+const LabResult = require('../models/LabResult');
+const { resolvePatient } = require('../lib/patients');
+const { INACTIVE_BOOKING_STATUSES } = require('../lib/referrals');
+
+// Helper function to load referrals with what their tests and bookings need for display
+const populateReferrals = (query) => query
+    .populate('doctor', 'name email')
+    .populate('customer', 'name email')
+    .populate('tests.test', 'title type')
+    .populate({
+        path: 'tests.booking',
+        select: 'status scheduledAt hcs',
+        populate: { path: 'hcs', select: 'name' }
+    });
+
+// Helper function to work out where each referred test stands, from not yet
+// booked to results available. Results themselves are not included.
+const describeReferrals = async (referrals) => {
+    const bookingIds = referrals.flatMap(referral => referral.tests
+        .filter(item => item.booking && item.booking.status === 'completed')
+        .map(item => item.booking._id));
+
+    const [reportBookings, resultBookings] = await Promise.all([
+        TestReport.distinct('booking', { booking: { $in: bookingIds } }),
+        LabResult.distinct('booking', { booking: { $in: bookingIds } })
+    ]);
+    const withResults = new Set([...reportBookings, ...resultBookings].map(id => id.toString()));
+
+    return referrals.map(referral => {
+        const open = referral.isOpen();
+        const data = referral.toObject();
+
+        data.open = open;
+        data.tests = referral.tests.map(item => {
+            const booking = item.booking;
+            let resultStatus = 'not-booked';
+            if (booking && !INACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+                if (booking.status !== 'completed') {
+                    resultStatus = 'scheduled';
+                } else {
+                    resultStatus = withResults.has(booking._id.toString()) ? 'results-available' : 'awaiting-results';
+                }
+            }
+
+            return {
+                test: item.test,
+                booking: booking || null,
+                resultStatus,
+                bookable: open && resultStatus === 'not-booked'
+            };
+        });
+
+        return data;
+    });
+};
+
+// Helper function to check the user may see a referral
+const canAccessReferral = (user, referral) => {
+    if (user.role === 'Superadmin') {
+        return true;
+    }
+    if (user.role === 'Doctor') {
+        return referral.doctor._id.toString() === user.id;
+    }
+    if (user.role === 'Customer') {
+        return referral.customer._id.toString() === user.id;
+    }
+    return false;
+};
+
+// @desc    Get referrals
+// @route   GET /api/referrals
+// @access  Private (Doctor, Customer, Superadmin)
+exports.getReferrals = async (req, res, next) => {
+    try {
+        const query = {};
+
+        // Doctors see the referrals they wrote, customers the ones written for them
+        if (req.user.role === 'Doctor') {
+            query.doctor = req.user.id;
+        } else if (req.user.role === 'Customer') {
+            query.customer = req.user.id;
+        }
+
+        if (req.query.status === 'open') {
+            query.status = 'open';
+            query.validUntil = { $gt: new Date() };
+        } else if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const referrals = await populateReferrals(Referral.find(query).sort({ createdAt: -1 }));
+        let data = await describeReferrals(referrals);
+
+        // Open referrals are the ones with something left to book
+        if (req.query.status === 'open') {
+            data = data.filter(referral => referral.tests.some(item => item.bookable));
+        }
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single referral
+// @route   GET /api/referrals/:id
+// @access  Private (Doctor, Customer, Superadmin)
+exports.getReferral = async (req, res, next) => {
+    try {
+        const referral = await populateReferrals(Referral.findById(req.params.id));
+
+        if (!referral) {
+            return res.status(404).json({
+                success: false,
+                message: 'Referral not found'
+            });
+        }
+
+        if (!canAccessReferral(req.user, referral)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this referral'
+            });
+        }
+
+        const [data] = await describeReferrals([referral]);
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a referral for a customer
+// @route   POST /api/referrals
+// @access  Private (Doctor)
+exports.createReferral = async (req, res, next) => {
+    try {
+        const { customer: customerId, customerEmail, patient: patientId, tests, notes, validUntil } = req.body;
+
+        if ((!customerId && !customerEmail) || !Array.isArray(tests) || tests.length === 0 || !notes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Customer, at least one test and clinical notes are required'
+            });
+        }
+
+        const customer = await User.findOne(customerId
+            ? { _id: customerId, role: 'Customer' }
+            : { email: String(customerEmail).toLowerCase(), role: 'Customer' });
+        if (!customer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Customer not found'
+            });
+        }
+
+        const patient = resolvePatient(customer, patientId);
+        if (!patient) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient must be the customer or one of their dependents'
+            });
+        }
+
+        // A test listed twice is referred once
+        const testIds = [...new Set(tests.map(String))];
+        const foundTests = await Test.countDocuments({ _id: { $in: testIds } });
+        if (foundTests !== testIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'One or more tests were not found'
+            });
+        }
+
+        const referral = await Referral.create({
+            doctor: req.user.id,
+            customer: customer._id,
+            patient: {
+                dependent: patient.dependent,
+                name: patient.name
+            },
+            tests: testIds.map(test => ({ test })),
+            notes,
+            validUntil
+        });
+
+        const [data] = await describeReferrals([await populateReferrals(Referral.findById(referral._id))]);
+
+        res.status(201).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Cancel a referral so no more bookings can be made from it
+// @route   PUT /api/referrals/:id/cancel
+// @access  Private (Doctor)
+exports.cancelReferral = async (req, res, next) => {
+    try {
+        const referral = await Referral.findById(req.params.id);
+
+        if (!referral) {
+            return res.status(404).json({
+                success: false,
+                message: 'Referral not found'
+            });
+        }
+
+        if (referral.doctor.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this referral'
+            });
+        }
+
+        if (referral.status === 'canceled') {
+            return res.status(400).json({
+                success: false,
+                message: 'Referral is already canceled'
+            });
+        }
+
+        // Bookings already made from the referral are left as they are
+        referral.status = 'canceled';
+        referral.canceledAt = new Date();
+        await referral.save();
+
+        const [data] = await describeReferrals([await populateReferrals(Referral.findById(referral._id))]);
+
+        res.status(200).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,421 @@
+const Booking = require('../models/Booking');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const TestReport = require('../models/TestReport');
+const Test = require('../models/Test');
+const LabResult = require('../models/LabResult');
+const ActivityLog = require('../models/ActivityLog');
+const {
+    detectReportType,
+    saveReportFile,
+    deleteReportFile,
+    sendReportFile
+} = require('../lib/reportStorage');
+const { getAgeInYears, findReferenceRange, flagValue } = require('../lib/labResults');
+const { resolvePatient } = require('../lib/patients');
+
+// Helper function to load a booking and check the user may see its reports.
+// Returns { booking } or { statusCode, message }.
+const findBookingForUser = async (bookingId, user) => {
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+        return { statusCode: 404, message: 'Booking not found' };
+    }
+
+    if (user.role === 'Customer' && booking.user.toString() !== user.id) {
+        return { statusCode: 403, message: 'Not authorized to access reports for this booking' };
+    }
+
+    if (user.role === 'HCS Admin') {
+        const hcs = await HealthcareCenter.findOne({ admin: user.id });
+        if (!hcs || hcs._id.toString() !== booking.hcs.toString()) {
+            return { statusCode: 403, message: 'Not authorized to access reports for this booking' };
+        }
+    }
+
+    return { booking };
+};
+
+// @desc    Upload result files for a completed booking
+// @route   POST /api/bookings/:id/reports
+// @access  Private (HCS Admin)
+exports.uploadReports = async (req, res, next) => {
+    const savedFiles = [];
+
+    try {
+        const { booking, statusCode, message } = await findBookingForUser(req.params.id, req.user);
+        if (!booking) {
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        }
+
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Reports can only be added to completed bookings'
+            });
+        }
+
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please attach at least one report file'
+            });
+        }
+
+        // Check every file before saving any of them
+        const detectedTypes = files.map(file => detectReportType(file.buffer));
+        const invalidFile = files.find((file, index) => !detectedTypes[index]);
+        if (invalidFile) {
+            return res.status(400).json({
+                success: false,
+                message: `${invalidFile.originalname} is not a valid PDF, JPEG or PNG file`
+            });
+        }
+
+        const reports = [];
+        for (let index = 0; index < files.length; index++) {
+            const file = files[index];
+            const storedName = await saveReportFile(booking._id, file.buffer, detectedTypes[index]);
+            savedFiles.push(storedName);
+
+            reports.push({
+                booking: booking._id,
+                user: booking.user,
+                hcs: booking.hcs,
+                originalName: file.originalname,
+                storedName,
+                mimeType: detectedTypes[index],
+                size: file.size,
+                notes: req.body.notes,
+                uploadedBy: req.user.id
+            });
+        }
+
+        const created = await TestReport.insertMany(reports);
+
+        for (const report of created) {
+            await ActivityLog.logActivity({
+                user: req.user.id,
+                action: 'REPORT_UPLOAD',
+                resource: 'REPORT',
+                resourceId: report._id,
+                description: `${req.user.name} uploaded report ${report.originalName} for booking ${booking._id}`
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            count: created.length,
+            data: created.map(report => {
+                const data = report.toObject();
+                delete data.storedName;
+                return data;
+            })
+        });
+    } catch (error) {
+        // Don't leave files behind for reports that were never recorded
+        await Promise.all(savedFiles.map(storedName => deleteReportFile(storedName).catch(() => null)));
+        next(error);
+    }
+};
+
+// @desc    List result files for a booking
+// @route   GET /api/bookings/:id/reports
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.getReports = async (req, res, next) => {
+    try {
+        const { booking, statusCode, message } = await findBookingForUser(req.params.id, req.user);
+        if (!booking) {
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        }
+
+        const reports = await TestReport.find({ booking: booking._id })
+            .populate('uploadedBy', 'name')
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: reports.length,
+            data: reports
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download a result file
+// @route   GET /api/bookings/:id/reports/:reportId/download
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.downloadReport = async (req, res, next) => {
+    try {
+        const { booking, statusCode, message } = await findBookingForUser(req.params.id, req.user);
+        if (!booking) {
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        }
+
+        const report = await TestReport.findOne({ _id: req.params.reportId, booking: booking._id })
+            .select('+storedName');
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        await ActivityLog.logActivity({
+            user: req.user.id,
+            action: 'REPORT_DOWNLOAD',
+            resource: 'REPORT',
+            resourceId: report._id,
+            description: `${req.user.name} downloaded report ${report.originalName} for booking ${booking._id}`
+        });
+
+        sendReportFile(res, report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a result file uploaded by mistake
+// @route   DELETE /api/bookings/:id/reports/:reportId
+// @access  Private (HCS Admin, Superadmin)
+exports.deleteReport = async (req, res, next) => {
+    try {
+        const { booking, statusCode, message } = await findBookingForUser(req.params.id, req.user);
+        if (!booking) {
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        }
+
+        const report = await TestReport.findOne({ _id: req.params.reportId, booking: booking._id })
+            .select('+storedName');
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        await report.deleteOne();
+        await deleteReportFile(report.storedName);
+
+        await ActivityLog.logActivity({
+            user: req.user.id,
+            action: 'REPORT_DELETE',
+            resource: 'REPORT',
+            resourceId: report._id,
+            description: `${req.user.name} deleted report ${report.originalName} for booking ${booking._id}`,
+            severity: 'MEDIUM'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Enter or correct structured result values for a completed booking
+// @route   PUT /api/bookings/:id/results
+// @access  Private (HCS Admin)
+exports.enterResults = async (req, res, next) => {
+    try {
+        const { booking, statusCode, message } = await findBookingForUser(req.params.id, req.user);
+        if (!booking) {
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        }
+
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'Results can only be entered for completed bookings'
+            });
+        }
+
+        const { results, patient } = req.body;
+        if (!Array.isArray(results) || results.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide at least one result'
+            });
+        }
+
+        const test = await Test.findById(booking.test);
+        if (!test) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found'
+            });
+        }
+
+        // Check every value before saving any of them
+        const entries = [];
+        for (const item of results) {
+            const code = String(item.analyte || '').toLowerCase();
+            const analyte = test.analytes.find(definition => definition.code === code);
+            if (!analyte) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${test.title} has no analyte ${item.analyte}`
+                });
+            }
+
+            const value = Number(item.value);
+            if (item.value === null || item.value === '' || !Number.isFinite(value)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Value for ${analyte.name} must be a number`
+                });
+            }
+
+            entries.push({ analyte, value, comment: item.comment });
+        }
+
+        // The lab may fill in patient details the booking is missing, since ranges depend on them
+        if (patient) {
+            if (patient.sex && !booking.patient.sex) {
+                booking.patient.sex = patient.sex;
+            }
+            if (patient.dateOfBirth && !booking.patient.dateOfBirth) {
+                booking.patient.dateOfBirth = patient.dateOfBirth;
+            }
+            if (booking.isModified('patient')) {
+                await booking.save();
+            }
+        }
+
+        const age = getAgeInYears(booking.patient.dateOfBirth, booking.scheduledAt);
+
+        for (const { analyte, value, comment } of entries) {
+            const range = findReferenceRange(analyte, { sex: booking.patient.sex, age });
+
+            await LabResult.findOneAndUpdate(
+                { booking: booking._id, analyte: analyte.code },
+                {
+                    test: test._id,
+                    hcs: booking.hcs,
+                    user: booking.user,
+                    dependent: booking.patient.dependent || null,
+                    name: analyte.name,
+                    unit: analyte.unit,
+                    value,
+                    flag: flagValue(value, range),
+                    referenceRange: range
+                        ? {
+                            low: range.low,
+                            high: range.high,
+                            criticalLow: range.criticalLow,
+                            criticalHigh: range.criticalHigh
+                        }
+                        : undefined,
+                    comment,
+                    collectedAt: booking.scheduledAt,
+                    enteredBy: req.user.id
+                },
+                { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+            );
+        }
+
+        const saved = await LabResult.find({ booking: booking._id }).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: saved.length,
+            data: saved
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get structured result values for a booking
+// @route   GET /api/bookings/:id/results
+// @access  Private (Customer, HCS Admin, Superadmin)
+exports.getResults = async (req, res, next) => {
+    try {
+        const { booking, statusCode, message } = await findBookingForUser(req.params.id, req.user);
+        if (!booking) {
+            return res.status(statusCode).json({
+                success: false,
+                message
+            });
+        }
+
+        const results = await LabResult.find({ booking: booking._id }).sort({ name: 1 });
+
+        res.status(200).json({
+            success: true,
+            count: results.length,
+            data: results
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get the user's (or a dependent's) values for one analyte over time
+// @route   GET /api/users/profile/results/:analyte/history
+// @access  Private
+exports.getAnalyteHistory = async (req, res, next) => {
+    try {
+        const patient = resolvePatient(req.user, req.query.patient);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dependent not found'
+            });
+        }
+
+        const analyte = req.params.analyte.toLowerCase();
+        const results = await LabResult.find({
+            user: req.user.id,
+            dependent: patient.dependent,
+            analyte
+        })
+            .populate('test', 'title')
+            .populate('hcs', 'name')
+            .sort({ collectedAt: 1 });
+
+        const latest = results[results.length - 1];
+
+        res.status(200).json({
+            success: true,
+            analyte,
+            name: latest ? latest.name : undefined,
+            unit: latest ? latest.unit : undefined,
+            patient: patient.name,
+            count: results.length,
+            data: results.map(result => ({
+                value: result.value,
+                unit: result.unit,
+                flag: result.flag,
+                referenceRange: result.referenceRange,
+                collectedAt: result.collectedAt,
+                booking: result.booking,
+                test: result.test,
+                hcs: result.hcs
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,261 @@
+const TestCategory = require('../models/TestCategory');
+const Test = require('../models/Test');
+const Promotion = require('../models/Promotion');
+const { buildCategoryTree } = require('../lib/testCategories');
+
+// Fields Superadmins may set directly; parent is handled separately since moving
+// a category also moves everything below it
+const CATEGORY_FIELDS = [
+    'name',
+    'description',
+    'icon',
+    'sortOrder',
+    'active'
+];
+
+// Helper function to copy the editable fields from a request body
+const pickCategoryFields = (body) => {
+    const data = {};
+    CATEGORY_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
+
+// Helper function to send categories as a flat list or, with ?tree=true, nested under their parents
+const sendCategories = (req, res, categories) => {
+    const data = req.query.tree === 'true' ? buildCategoryTree(categories) : categories;
+
+    res.status(200).json({
+        success: true,
+        count: categories.length,
+        data
+    });
+};
+
+// Helper function to report a duplicate name under the same parent
+const handleDuplicateName = (error, res, next) => {
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: 'A category with this name already exists under the same parent'
+        });
+    }
+    next(error);
+};
+
+// @desc    Get active test categories
+// @route   GET /api/test-categories
+// @access  Public
+exports.getCategories = async (req, res, next) => {
+    try {
+        // Categories under an inactive one are hidden along with it
+        const inactiveIds = await TestCategory.find({ active: false }).distinct('_id');
+        const categories = await TestCategory.find({
+            active: true,
+            ancestors: { $nin: inactiveIds }
+        }).sort({ sortOrder: 1, name: 1 });
+
+        sendCategories(req, res, categories);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get all test categories, including inactive ones
+// @route   GET /api/test-categories/all
+// @access  Private (Superadmin)
+exports.getAllCategories = async (req, res, next) => {
+    try {
+        const categories = await TestCategory.find().sort({ sortOrder: 1, name: 1 });
+
+        sendCategories(req, res, categories);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get single test category with its path and subcategories
+// @route   GET /api/test-categories/:id
+// @access  Public
+exports.getCategory = async (req, res, next) => {
+    try {
+        const category = await TestCategory.findById(req.params.id)
+            .populate('ancestors', 'name icon active');
+
+        if (!category || !category.active || category.ancestors.some(ancestor => !ancestor.active)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test category not found'
+            });
+        }
+
+        const [children, testCount] = await Promise.all([
+            TestCategory.find({ parent: category._id, active: true }).sort({ sortOrder: 1, name: 1 }),
+            TestCategory.getSubtreeIds(category._id)
+                .then(ids => Test.countDocuments({ category: { $in: ids } }))
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...category.toObject(),
+                children,
+                testCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create test category
+// @route   POST /api/test-categories
+// @access  Private (Superadmin)
+exports.createCategory = async (req, res, next) => {
+    try {
+        const data = pickCategoryFields(req.body);
+
+        if (req.body.parent) {
+            const parent = await TestCategory.findById(req.body.parent);
+            if (!parent) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parent category not found'
+                });
+            }
+            data.parent = parent._id;
+            data.ancestors = [...parent.ancestors, parent._id];
+        }
+
+        const category = await TestCategory.create(data);
+
+        res.status(201).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        handleDuplicateName(error, res, next);
+    }
+};
+
+// @desc    Update test category, optionally moving it under another parent
+// @route   PUT /api/test-categories/:id
+// @access  Private (Superadmin)
+exports.updateCategory = async (req, res, next) => {
+    try {
+        const category = await TestCategory.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test category not found'
+            });
+        }
+
+        const oldAncestorCount = category.ancestors.length;
+        category.set(pickCategoryFields(req.body));
+
+        // An empty parent moves the category to the top level
+        const moving = req.body.parent !== undefined
+            && String(req.body.parent || '') !== String(category.parent || '');
+        if (moving) {
+            let parent = null;
+            if (req.body.parent) {
+                parent = await TestCategory.findById(req.body.parent);
+                if (!parent) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Parent category not found'
+                    });
+                }
+                if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'A category cannot be moved under itself or one of its subcategories'
+                    });
+                }
+            }
+
+            category.parent = parent ? parent._id : null;
+            category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+        }
+
+        const renamed = category.isModified('name');
+        await category.save();
+
+        // Subcategories keep their place below this category under its new ancestors
+        if (moving) {
+            const descendants = await TestCategory.find({ ancestors: category._id }).select('ancestors');
+            if (descendants.length > 0) {
+                await TestCategory.bulkWrite(descendants.map(descendant => ({
+                    updateOne: {
+                        filter: { _id: descendant._id },
+                        update: {
+                            ancestors: [...category.ancestors, ...descendant.ancestors.slice(oldAncestorCount)]
+                        }
+                    }
+                })));
+            }
+        }
+
+        if (renamed) {
+            await Test.updateMany({ category: category._id }, { type: category.name });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        handleDuplicateName(error, res, next);
+    }
+};
+
+// @desc    Delete an unused test category
+// @route   DELETE /api/test-categories/:id
+// @access  Private (Superadmin)
+exports.deleteCategory = async (req, res, next) => {
+    try {
+        const category = await TestCategory.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test category not found'
+            });
+        }
+
+        const [childCount, testCount, promotionCount] = await Promise.all([
+            TestCategory.countDocuments({ parent: category._id }),
+            Test.countDocuments({ category: category._id }),
+            Promotion.countDocuments({ 'scope.categories': category._id })
+        ]);
+
+        if (childCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This category has subcategories. Move or delete them first.'
+            });
+        }
+
+        // Categories in use are kept so tests and promotions don't lose them; deactivate them instead
+        if (testCount > 0 || promotionCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This category is used by tests or promotions and cannot be deleted. Deactivate it instead.'
+            });
+        }
+
+        await category.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            data: {}
+        });
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
@@ -1,7 +1,25 @@
 const Test = require('../models/Test');
+const TestCategory = require('../models/TestCategory');
 const HealthcareCenter = require('../models/HealthcareCenter');
 const TestAssignmentRequest = require('../models/TestAssignmentRequest');
 const User = require('../models/User');
+const { offerWaitlistSlotsForTest } = require('../lib/waitlist');
+const { findCategory, getCategoryCondition } = require('../lib/testCategories');
+
+// Helper function to point a test at its category, given a category id or a
+// legacy type name, and keep type in step with the category's name.
+// Returns an error message when the category doesn't exist.
+const applyCategory = async (body) => {
+    const value = body.category || body.type;
+    const category = await findCategory(value);
+    if (!category) {
+        return `Test category ${value} not found`;
+    }
+
+    body.category = category._id;
+    body.type = category.name;
+    return null;
+};
 
 // @desc    Get all tests
 // @route   GET /api/tests
@@ -11,6 +29,7 @@ exports.getTests = async (req, res, next) => {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50; // Max 50 per page
         const type = req.query.type || '';
+        const category = req.query.category || '';
         const hcs = req.query.hcs || '';
         const search = req.query.search || '';
         const sortBy = req.query.sortBy || 'createdAt';
@@ -26,6 +45,11 @@ exports.getTests = async (req, res, next) => {
             filterQuery.type = type;
         }
 
+        // Filter by category, including every category below it
+        if (category) {
+            filterQuery.category = (await getCategoryCondition(category)) || { $in: [] };
+        }
+
         // Filter by healthcare center
         if (hcs) {
             filterQuery['hcsPricing.hcs'] = hcs;
@@ -46,6 +70,7 @@ exports.getTests = async (req, res, next) => {
 
         const [tests, totalTests] = await Promise.all([
             Test.find(filterQuery)
+                .populate('category', 'name icon parent')
                 .populate('hcsPricing.hcs', 'name address contact email availableSlotsPerDay')
                 .sort(sortQuery)
                 .skip(skip)
@@ -82,6 +107,7 @@ exports.getTests = async (req, res, next) => {
 exports.getTest = async (req, res, next) => {
     try {
         const test = await Test.findById(req.params.id)
+            .populate('category', 'name icon parent ancestors')
             .populate('hcsPricing.hcs', 'name address contact email availableSlotsPerDay');
 
         if (!test) {
@@ -91,9 +117,11 @@ exports.getTest = async (req, res, next) => {
             });
         }
 
+        // Preparation at the chosen HCS, or the test's own when none is given
         res.status(200).json({
             success: true,
-            data: test
+            data: test,
+            preparation: test.getPreparation(req.query.hcs)
         });
     } catch (error) {
         next(error);
@@ -105,9 +133,33 @@ exports.getTest = async (req, res, next) => {
 // @access  Private (HCS Admin, Superadmin)
 exports.createTest = async (req, res, next) => {
     try {
+        // Result analytes and reference ranges are clinical definitions only Superadmins maintain
+        if (req.body.analytes !== undefined && req.user.role !== 'Superadmin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only Superadmins can define test analytes'
+            });
+        }
+
+        if (!req.body.category && !req.body.type) {
+            return res.status(400).json({
+                success: false,
+                message: 'Test category is required'
+            });
+        }
+
+        const categoryError = await applyCategory(req.body);
+        if (categoryError) {
+            return res.status(400).json({
+                success: false,
+                message: categoryError
+            });
+        }
+
         const test = await Test.create(req.body);
 
         const populatedTest = await Test.findById(test._id)
+            .populate('category', 'name icon parent')
             .populate('hcsPricing.hcs', 'name address contact email availableSlotsPerDay');
 
         res.status(201).json({
@@ -133,10 +185,29 @@ exports.updateTest = async (req, res, next) => {
             });
         }
 
+        if (req.body.analytes !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Analytes are updated through PUT /api/tests/:id/analytes'
+            });
+        }
+
+        if (req.body.category || req.body.type) {
+            const categoryError = await applyCategory(req.body);
+            if (categoryError) {
+                return res.status(400).json({
+                    success: false,
+                    message: categoryError
+                });
+            }
+        }
+
         test = await Test.findByIdAndUpdate(req.params.id, req.body, {
             new: true,
             runValidators: true
-        }).populate('hcsPricing.hcs', 'name address contact email availableSlotsPerDay');
+        })
+            .populate('category', 'name icon parent')
+            .populate('hcsPricing.hcs', 'name address contact email availableSlotsPerDay');
 
         res.status(200).json({
             success: true,
@@ -147,6 +218,101 @@ exports.updateTest = async (req, res, next) => {
     }
 };
 
+// @desc    Replace the analytes and reference ranges a test reports
+// @route   PUT /api/tests/:id/analytes
+// @access  Private (Superadmin)
+exports.updateTestAnalytes = async (req, res, next) => {
+    try {
+        const { analytes } = req.body;
+
+        if (!Array.isArray(analytes)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an array of analytes'
+            });
+        }
+
+        const test = await Test.findById(req.params.id);
+
+        if (!test) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found'
+            });
+        }
+
+        // Saving runs the model's checks for duplicate codes and inconsistent ranges
+        test.analytes = analytes;
+        await test.save();
+
+        res.status(200).json({
+            success: true,
+            data: test.analytes
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Set or clear an HCS's own preparation instructions for a test
+// @route   PUT /api/tests/:id/hcs-preparation
+// @access  Private (HCS Admin, Superadmin)
+exports.updateHcsPreparation = async (req, res, next) => {
+    try {
+        const { preparation } = req.body;
+
+        // HCS admins change their own center; Superadmins name the center
+        let hcsId = req.body.hcs;
+        if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'No healthcare center found for this admin'
+                });
+            }
+            hcsId = hcs._id.toString();
+        }
+
+        if (!hcsId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Healthcare center is required'
+            });
+        }
+
+        const test = await Test.findById(req.params.id);
+        if (!test) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found'
+            });
+        }
+
+        const pricing = test.hcsPricing.find(item => item.hcs.toString() === hcsId);
+        if (!pricing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Test is not assigned to this healthcare center'
+            });
+        }
+
+        // null clears the override so the test's own preparation applies
+        pricing.preparation = preparation || undefined;
+        await test.save();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                override: pricing.preparation || null,
+                preparation: test.getPreparation(hcsId)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Delete test
 // @route   DELETE /api/tests/:id
 // @access  Private (Superadmin)
@@ -177,7 +343,11 @@ exports.deleteTest = async (req, res, next) => {
 // @access  Public
 exports.getTestTypes = async (req, res, next) => {
     try {
-        const types = await Test.distinct('type');
+        // Names of the active categories, for clients built on the old type list
+        const categories = await TestCategory.find({ active: true })
+            .sort({ sortOrder: 1, name: 1 })
+            .select('name');
+        const types = [...new Set(categories.map(category => category.name))];
 
         res.status(200).json({
             success: true,
@@ -197,6 +367,7 @@ exports.getTestsNotAssignedToHCS = async (req, res, next) => {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50;
         const type = req.query.type || '';
+        const category = req.query.category || '';
         const search = req.query.search || '';
         const sortBy = req.query.sortBy || 'createdAt';
         const order = req.query.order === 'asc' ? 1 : -1;
@@ -224,6 +395,11 @@ exports.getTestsNotAssignedToHCS = async (req, res, next) => {
             filterQuery.type = type;
         }
 
+        // Filter by category, including every category below it
+        if (category) {
+            filterQuery.category = (await getCategoryCondition(category)) || { $in: [] };
+        }
+
         // Filter by search term
         if (search) {
             filterQuery.$or = [
@@ -238,6 +414,7 @@ exports.getTestsNotAssignedToHCS = async (req, res, next) => {
 
         const [tests, totalTests] = await Promise.all([
             Test.find(filterQuery)
+                .populate('category', 'name icon parent')
                 .populate('hcsPricing.hcs', 'name address contact email availableSlotsPerDay')
                 .sort(sortQuery)
                 .skip(skip)
@@ -313,8 +490,14 @@ exports.assignTestToHCS = async (req, res, next) => {
 
         // Update HCS slot information for this specific test if provided
         if (slots !== undefined) {
+            const previousSlots = healthcareCenter.getSlotsForTest(testId);
             healthcareCenter.setSlotsForTest(testId, slots);
             await healthcareCenter.save();
+
+            // Raised capacity goes to waitlisted customers first
+            if (slots > previousSlots) {
+                await offerWaitlistSlotsForTest(healthcareCenter._id, testId);
+            }
         }
 
         const populatedTest = await Test.findById(testId)
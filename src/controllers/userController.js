@@ -451,3 +451,140 @@ exports.changeUserPassword = async (req, res, next) => {
         next(error);
     }
 };
+
+// Get current user's dependents
+exports.getDependents = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id).select('dependents');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: user.dependents.length,
+            data: user.dependents
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Add a dependent to current user's profile
+exports.addDependent = async (req, res, next) => {
+    try {
+        const { name, dateOfBirth, sex, relationship } = req.body;
+
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        user.dependents.push({ name, dateOfBirth, sex, relationship });
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            data: user.dependents[user.dependents.length - 1]
+        });
+    } catch (error) {
+        // Handle validation errors specifically
+        if (error.name === 'ValidationError') {
+            const message = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: message.join(', ')
+            });
+        }
+
+        next(error);
+    }
+};
+
+// Update one of current user's dependents
+exports.updateDependent = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const dependent = user.dependents.id(req.params.dependentId);
+        if (!dependent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dependent not found'
+            });
+        }
+
+        // Only update fields that are provided and not null/undefined
+        ['name', 'dateOfBirth', 'sex', 'relationship'].forEach(key => {
+            if (req.body[key] !== undefined && req.body[key] !== null) {
+                dependent[key] = req.body[key];
+            }
+        });
+
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            data: dependent
+        });
+    } catch (error) {
+        // Handle validation errors specifically
+        if (error.name === 'ValidationError') {
+            const message = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: message.join(', ')
+            });
+        }
+
+        next(error);
+    }
+};
+
+// Remove one of current user's dependents
+exports.deleteDependent = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const dependent = user.dependents.id(req.params.dependentId);
+        if (!dependent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dependent not found'
+            });
+        }
+
+        // Existing bookings keep their copy of the patient details
+        dependent.deleteOne();
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Dependent removed successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,391 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Booking = require('../models/Booking');
+const Test = require('../models/Test');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const {
+    formatDay,
+    parseDay,
+    toDayKey,
+    validateOpenDay,
+    validateTimeSlot
+} = require('../lib/scheduling');
+const { getReservedCount, claimHeldSlot, unclaimHeldSlot } = require('../lib/slotReservation');
+const { releaseOffer, expireWaitlistOffers } = require('../lib/waitlist');
+const { resolvePatient } = require('../lib/patients');
+
+// Helper function to get a customer's place in the queue
+const getQueuePosition = async (entry) => {
+    const ahead = await WaitlistEntry.countDocuments({
+        hcs: entry.hcs,
+        test: entry.test,
+        day: entry.day,
+        status: 'waiting',
+        createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/waitlist
+// @access  Private
+exports.getWaitlistEntries = async (req, res, next) => {
+    try {
+        // Move on any offers that have run out before showing the queue
+        await expireWaitlistOffers();
+
+        const status = req.query.status || '';
+        let query = {};
+
+        // Customers see their own entries, HCS admins the entries for their HCS
+        if (req.user.role === 'Customer') {
+            query.user = req.user.id;
+        } else if (req.user.role === 'HCS Admin') {
+            const hcs = await HealthcareCenter.findOne({ admin: req.user.id });
+            if (!hcs) {
+                return res.status(200).json({
+                    success: true,
+                    count: 0,
+                    data: []
+                });
+            }
+            query.hcs = hcs._id;
+        }
+
+        if (status) {
+            query.status = status;
+        }
+
+        const entries = await WaitlistEntry.find(query)
+            .populate('user', 'name email phone')
+            .populate('test', 'title type duration')
+            .populate('hcs', 'name address contact')
+            .sort({ day: 1, createdAt: 1 });
+
+        const data = [];
+        for (const entry of entries) {
+            const item = entry.toObject();
+            if (entry.status === 'waiting') {
+                item.position = await getQueuePosition(entry);
+            }
+            data.push(item);
+        }
+
+        res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Join the waitlist for a fully booked HCS/test/date
+// @route   POST /api/waitlist
+// @access  Private (Customer)
+exports.joinWaitlist = async (req, res, next) => {
+    try {
+        const { test: testId, hcs: hcsId, date } = req.body;
+
+        if (!testId || !hcsId || !date) {
+            return res.status(400).json({
+                success: false,
+                message: 'Test, healthcare center, and date are required'
+            });
+        }
+
+        const testDoc = await Test.findById(testId);
+        if (!testDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test not found'
+            });
+        }
+
+        const hcsDoc = await HealthcareCenter.findById(hcsId);
+        if (!hcsDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Healthcare center not found'
+            });
+        }
+
+        // Days are counted on the center's own calendar
+        const day = toDayKey(date, hcsDoc.timezone);
+        if (!day) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format provided'
+            });
+        }
+
+        if (day < formatDay(new Date(), hcsDoc.timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot join the waitlist for past dates'
+            });
+        }
+
+        // Check if test is approved for this HCS
+        const hcsPricing = testDoc.hcsPricing.find(
+            pricing => pricing.hcs.toString() === hcsId && pricing.status === 'approved'
+        );
+        if (!hcsPricing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Test is not available at the selected healthcare center'
+            });
+        }
+
+        // Nothing will free up on a day the center is closed
+        const closedError = validateOpenDay(hcsDoc, parseDay(day, hcsDoc.timezone));
+        if (closedError) {
+            return res.status(400).json({
+                success: false,
+                message: closedError
+            });
+        }
+
+        // The waitlist is only for days that are fully booked, counting slots held
+        // for outstanding offers the same way booking does
+        const reservedCount = await getReservedCount({
+            hcs: hcsDoc._id,
+            test: testDoc._id,
+            date: parseDay(day, hcsDoc.timezone)
+        });
+        if (reservedCount < hcsDoc.getSlotsForTest(testId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Slots are still available for the selected date. Please book directly.'
+            });
+        }
+
+        const existingEntry = await WaitlistEntry.findOne({
+            user: req.user.id,
+            hcs: hcsId,
+            test: testId,
+            day,
+            status: { $in: ['waiting', 'offered'] }
+        });
+        if (existingEntry) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already on the waitlist for this date'
+            });
+        }
+
+        const entry = await WaitlistEntry.create({
+            user: req.user.id,
+            hcs: hcsId,
+            test: testId,
+            day
+        });
+
+        const populatedEntry = await WaitlistEntry.findById(entry._id)
+            .populate('test', 'title type duration')
+            .populate('hcs', 'name address contact');
+
+        const data = populatedEntry.toObject();
+        data.position = await getQueuePosition(entry);
+
+        res.status(201).json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Leave the waitlist or decline an offer
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Customer)
+exports.leaveWaitlist = async (req, res, next) => {
+    try {
+        const entry = await WaitlistEntry.findById(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this waitlist entry'
+            });
+        }
+
+        const canceledEntry = await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: { $in: ['waiting', 'offered'] } },
+            { status: 'canceled' },
+            { new: false }
+        );
+
+        if (!canceledEntry) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot leave the waitlist once the entry is ${entry.status}`
+            });
+        }
+
+        // A declined offer goes to the next customer in the queue
+        if (canceledEntry.status === 'offered') {
+            await releaseOffer(canceledEntry);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from waitlist successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Claim an offered slot and create the booking
+// @route   POST /api/waitlist/:id/claim
+// @access  Private (Customer)
+exports.claimWaitlistOffer = async (req, res, next) => {
+    try {
+        const { scheduledAt, patient: patientId } = req.body;
+
+        // Offers that have run out can no longer be claimed
+        await expireWaitlistOffers();
+
+        const entry = await WaitlistEntry.findById(req.params.id);
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Waitlist entry not found'
+            });
+        }
+
+        if (entry.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to claim this waitlist entry'
+            });
+        }
+
+        if (entry.status !== 'offered') {
+            return res.status(400).json({
+                success: false,
+                message: entry.status === 'expired'
+                    ? 'This offer has expired'
+                    : 'There is no open offer for this waitlist entry'
+            });
+        }
+
+        if (!scheduledAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Scheduled date is required'
+            });
+        }
+
+        const scheduledDate = new Date(scheduledAt);
+        if (isNaN(scheduledDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format provided'
+            });
+        }
+
+        // The patient is the account holder unless one of their dependents is given
+        const patient = resolvePatient(req.user, patientId);
+        if (!patient) {
+            return res.status(400).json({
+                success: false,
+                message: 'Patient must be you or one of your dependents'
+            });
+        }
+
+        const [testDoc, hcsDoc] = await Promise.all([
+            Test.findById(entry.test),
+            HealthcareCenter.findById(entry.hcs)
+        ]);
+        if (!testDoc || !hcsDoc) {
+            return res.status(404).json({
+                success: false,
+                message: 'Test or healthcare center no longer exists'
+            });
+        }
+
+        if (formatDay(scheduledDate, hcsDoc.timezone) !== entry.day || scheduledDate <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: `Scheduled time must be a future time on ${entry.day}`
+            });
+        }
+
+        // Check the selected time is on the slot grid and doesn't overlap another booking
+        const timeSlotError = await validateTimeSlot(hcsDoc, testDoc, scheduledDate);
+        if (timeSlotError) {
+            return res.status(400).json({
+                success: false,
+                message: timeSlotError
+            });
+        }
+
+        // Lock the offer so it can only be claimed once
+        const claimedEntry = await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: 'offered' },
+            { status: 'claimed' },
+            { new: true }
+        );
+        if (!claimedEntry) {
+            return res.status(400).json({
+                success: false,
+                message: 'There is no open offer for this waitlist entry'
+            });
+        }
+
+        const claimed = await claimHeldSlot({
+            hcs: entry.hcs,
+            test: entry.test,
+            scheduledAt: scheduledDate,
+            duration: testDoc.duration
+        });
+        if (!claimed) {
+            await WaitlistEntry.updateOne({ _id: entry._id }, { status: 'offered' });
+            return res.status(400).json({
+                success: false,
+                message: 'The selected time has just been booked. Please choose another time.'
+            });
+        }
+
+        let booking;
+        try {
+            booking = await Booking.create({
+                user: req.user.id,
+                test: entry.test,
+                hcs: entry.hcs,
+                scheduledAt: scheduledDate,
+                patient
+            });
+        } catch (error) {
+            await unclaimHeldSlot({ hcs: entry.hcs, test: entry.test, scheduledAt: scheduledDate });
+            await WaitlistEntry.updateOne({ _id: entry._id }, { status: 'offered' });
+            throw error;
+        }
+
+        claimedEntry.booking = booking._id;
+        await claimedEntry.save();
+
+        const populatedBooking = await Booking.findById(booking._id)
+            .populate('user', 'name email phone')
+            .populate('test', 'title type price duration hcsPricing')
+            .populate('hcs', 'name address contact availableSlotsPerDay');
+
+        res.status(201).json({
+            success: true,
+            data: populatedBooking
+        });
+    } catch (error) {
+        next(error);
+    }
+};
\ No newline at end of file
@@ -4,6 +4,7 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./lib/db');
 const errorHandler = require('./middleware/errorMiddleware');
+const { startScheduler } = require('./lib/scheduler');
 
 // Load env vars
 dotenv.config({ path: './.env' });
@@ -24,19 +25,32 @@ app.use(cors({
 
 app.options('*', cors());
 
-app.use(express.json());
+// Keep the raw body so payment webhooks can verify their signatures
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Serve static files for uploads
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
 app.use('/api/auth', require('./api/auth'));
 app.use('/api/tests', require('./api/tests'));
+app.use('/api/test-categories', require('./api/testCategories'));
 app.use('/api/hcs', require('./api/hcs'));
 app.use('/api/bookings', require('./api/bookings'));
 app.use('/api/users', require('./api/users'));
 app.use('/api/reviews', require('./api/reviews'));
 app.use('/api/activity-logs', require('./api/activityLogs'));
 app.use('/api/notifications', require('./api/notifications'));
+app.use('/api/waitlist', require('./api/waitlist'));
+app.use('/api/orders', require('./api/orders'));
+app.use('/api/calendar', require('./api/calendar'));
+app.use('/api/promotions', require('./api/promotions'));
+app.use('/api/payments', require('./api/payments'));
+app.use('/api/referrals', require('./api/referrals'));
+app.use('/api/consents', require('./api/consents'));
 
 app.get('/api/health', (req, res) => {
     res.status(200).json({
@@ -61,6 +75,9 @@ const server = app.listen(PORT, () => {
     console.log(`Environment variables loaded:`, process.env.NODE_ENV ? 'Yes' : 'No');
 });
 
+// Background jobs: waitlist offer expiry, no-shows and stale pending bookings
+startScheduler();
+
 process.on('unhandledRejection', (err, promise) => {
     console.log(`Error: ${err.message}`);
     server.close(() => process.exit(1));
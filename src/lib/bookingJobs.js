@@ -0,0 +1,100 @@
+const Booking = require('../models/Booking');
+const ActivityLog = require('../models/ActivityLog');
+const { releaseBookingSlot } = require('./slotReservation');
+const { releasePromotion } = require('./promotions');
+const { refundCanceledBooking } = require('./payments');
+
+// Hours after the appointment before an unattended booking counts as a no-show
+const getNoShowGraceMs = () => (parseInt(process.env.NO_SHOW_GRACE_HOURS) || 6) * 3600 * 1000;
+
+// Move a booking to a new status unless someone else changed it first.
+// Returns true when this call made the change.
+const applySystemTransition = async (booking, filter, to, reason) => {
+    const result = await Booking.updateOne(
+        { _id: booking._id, status: booking.status, ...filter },
+        {
+            $set: { status: to },
+            $push: {
+                statusHistory: {
+                    from: booking.status,
+                    to,
+                    reason,
+                    changedAt: new Date()
+                }
+            }
+        }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Mark confirmed bookings whose patient never checked in as no-shows
+const markNoShows = async () => {
+    const cutoff = new Date(Date.now() - getNoShowGraceMs());
+    const bookings = await Booking.find({
+        status: 'confirmed',
+        checkedInAt: null,
+        scheduledAt: { $lte: cutoff }
+    }).select('status scheduledAt user hcs test');
+
+    let marked = 0;
+    for (const booking of bookings) {
+        const changed = await applySystemTransition(
+            booking,
+            { checkedInAt: null },
+            'no-show',
+            'Patient did not check in for the appointment'
+        );
+
+        if (changed) {
+            marked++;
+            await ActivityLog.logActivity({
+                action: 'BOOKING_NO_SHOW',
+                resource: 'BOOKING',
+                resourceId: booking._id,
+                description: `System marked booking scheduled at ${booking.scheduledAt.toISOString()} as no-show`,
+                severity: 'MEDIUM'
+            });
+        }
+    }
+
+    return marked;
+};
+
+// Cancel pending bookings nobody confirmed before the appointment time
+const cancelStalePendingBookings = async () => {
+    const bookings = await Booking.find({
+        status: 'pending',
+        scheduledAt: { $lte: new Date() }
+    }).select('status scheduledAt user hcs test collectionType promotion');
+
+    let canceled = 0;
+    for (const booking of bookings) {
+        const changed = await applySystemTransition(
+            booking,
+            {},
+            'canceled',
+            'Booking was not confirmed before the appointment time'
+        );
+
+        if (changed) {
+            canceled++;
+            await releaseBookingSlot(booking);
+            await releasePromotion(booking);
+            await refundCanceledBooking(booking);
+            await ActivityLog.logActivity({
+                action: 'BOOKING_AUTO_CANCEL',
+                resource: 'BOOKING',
+                resourceId: booking._id,
+                description: `System canceled unconfirmed booking scheduled at ${booking.scheduledAt.toISOString()}`,
+                severity: 'MEDIUM'
+            });
+        }
+    }
+
+    return canceled;
+};
+
+module.exports = {
+    markNoShows,
+    cancelStalePendingBookings
+};
\ No newline at end of file
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Letters and digits that are hard to confuse when read out at the front desk
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Generate a short human-readable check-in code
+const generateCheckInCode = () => {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return code;
+};
+
+// Sign the payload encoded in a booking's check-in QR code
+const signCheckInToken = (booking) => {
+    return jwt.sign(
+        {
+            purpose: 'check-in',
+            booking: booking._id.toString(),
+            hcs: booking.hcs.toString(),
+            code: booking.checkInCode
+        },
+        process.env.JWT_SECRET
+    );
+};
+
+// Verify a scanned QR payload. Returns the decoded payload, or null if it is not a valid check-in token.
+const verifyCheckInToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === 'check-in' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    generateCheckInCode,
+    signCheckInToken,
+    verifyCheckInToken
+};
\ No newline at end of file
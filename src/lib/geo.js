@@ -0,0 +1,49 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Check a { lat, lng } pair has both coordinates set
+const hasCoordinates = (location) => !!location &&
+    typeof location.lat === 'number' && typeof location.lng === 'number';
+
+// Great-circle distance between two { lat, lng } points in kilometers
+const distanceKm = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Order stops into a route by always visiting the nearest remaining stop next.
+// `getLocation` returns the { lat, lng } of a stop.
+const orderByNearestStop = (start, stops, getLocation) => {
+    const remaining = [...stops];
+    const route = [];
+    let current = start;
+
+    while (remaining.length > 0) {
+        let nearestIndex = 0;
+        let nearestDistance = Infinity;
+
+        remaining.forEach((stop, index) => {
+            const distance = distanceKm(current, getLocation(stop));
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearestIndex = index;
+            }
+        });
+
+        const [nearest] = remaining.splice(nearestIndex, 1);
+        route.push({ stop: nearest, distanceKm: nearestDistance });
+        current = getLocation(nearest);
+    }
+
+    return route;
+};
+
+module.exports = {
+    hasCoordinates,
+    distanceKm,
+    orderByNearestStop
+};
\ No newline at end of file
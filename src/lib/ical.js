@@ -0,0 +1,115 @@
+// iCalendar (RFC 5545) output for bookings
+
+const PRODUCT_ID = '-//EWEL-HCS//Bookings//EN';
+
+// Booking statuses mapped to VEVENT statuses
+const EVENT_STATUS = {
+    pending: 'TENTATIVE',
+    confirmed: 'CONFIRMED',
+    completed: 'CONFIRMED',
+    canceled: 'CANCELLED',
+    'no-show': 'CANCELLED'
+};
+
+// Format a date as a UTC date-time, e.g. 20261020T033000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape text values: backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold a content line so no line is longer than 75 octets
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (size + charSize > limit) {
+            chunks.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+// Build a VEVENT for a booking with its test and HCS populated.
+// The check-in code is left out unless asked for: feed URLs work without logging in.
+const bookingToEvent = (booking, { includeCheckInCode = false } = {}) => {
+    const start = new Date(booking.scheduledAt);
+    const duration = (booking.test && booking.test.duration) || 30;
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    const testTitle = booking.test ? booking.test.title : 'Medical test';
+    const hcs = booking.hcs || {};
+
+    const description = [`Test: ${testTitle}`];
+    if (booking.patient && booking.patient.name) {
+        description.push(`Patient: ${booking.patient.name}`);
+    }
+    if (booking.collectionType === 'home') {
+        description.push('Home sample collection');
+    }
+    if (includeCheckInCode && booking.checkInCode) {
+        description.push(`Check-in code: ${booking.checkInCode}`);
+    }
+
+    const location = booking.collectionType === 'home'
+        ? booking.collectionAddress
+        : [hcs.name, hcs.address].filter(Boolean).join(', ');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:booking-${booking._id}@ewel-hcs`,
+        `DTSTAMP:${formatDateTime(booking.updatedAt || new Date())}`,
+        `DTSTART:${formatDateTime(start)}`,
+        `DTEND:${formatDateTime(end)}`,
+        `SUMMARY:${escapeText(hcs.name ? `${testTitle} at ${hcs.name}` : testTitle)}`,
+        `DESCRIPTION:${escapeText(description.join('\n'))}`,
+        `LOCATION:${escapeText(location)}`,
+        `STATUS:${EVENT_STATUS[booking.status] || 'CONFIRMED'}`,
+        'END:VEVENT'
+    ];
+};
+
+// Build a complete calendar document from bookings
+const buildCalendar = (name, bookings, options = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const booking of bookings) {
+        lines.push(...bookingToEvent(booking, options));
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Send a calendar document as a response
+const sendCalendar = (res, filename, body) => {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${filename}"`
+    });
+    res.status(200).send(body);
+};
+
+module.exports = {
+    buildCalendar,
+    sendCalendar
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Reference range lookup and flagging for structured lab results
+
+// Age in whole years on a given date
+const getAgeInYears = (dateOfBirth, at = new Date()) => {
+    if (!dateOfBirth) {
+        return null;
+    }
+    const birth = new Date(dateOfBirth);
+    const date = new Date(at);
+    let age = date.getUTCFullYear() - birth.getUTCFullYear();
+    const birthdayPassed = date.getUTCMonth() > birth.getUTCMonth()
+        || (date.getUTCMonth() === birth.getUTCMonth() && date.getUTCDate() >= birth.getUTCDate());
+    if (!birthdayPassed) {
+        age--;
+    }
+    return age;
+};
+
+// Find the reference range of an analyte that fits a patient. Ranges limited to a
+// sex or age only match when that detail is known; the most specific match wins.
+const findReferenceRange = (analyte, { sex, age }) => {
+    let best = null;
+    let bestScore = -1;
+
+    for (const range of analyte.referenceRanges || []) {
+        const sexMatches = !range.sex || range.sex === 'any' || range.sex === sex;
+        const minAgeMatches = range.minAge === undefined || range.minAge === null || (age !== null && age >= range.minAge);
+        const maxAgeMatches = range.maxAge === undefined || range.maxAge === null || (age !== null && age < range.maxAge);
+        if (!sexMatches || !minAgeMatches || !maxAgeMatches) {
+            continue;
+        }
+
+        const score = (range.sex && range.sex !== 'any' ? 2 : 0)
+            + (range.minAge !== undefined && range.minAge !== null ? 1 : 0)
+            + (range.maxAge !== undefined && range.maxAge !== null ? 1 : 0);
+        if (score > bestScore) {
+            best = range;
+            bestScore = score;
+        }
+    }
+
+    return best;
+};
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Flag a value against a reference range: critical, low, high or normal.
+// Returns null when there is no range to compare with.
+const flagValue = (value, range) => {
+    if (!range) {
+        return null;
+    }
+    if ((isSet(range.criticalLow) && value < range.criticalLow) || (isSet(range.criticalHigh) && value > range.criticalHigh)) {
+        return 'critical';
+    }
+    if (isSet(range.low) && value < range.low) {
+        return 'low';
+    }
+    if (isSet(range.high) && value > range.high) {
+        return 'high';
+    }
+    return 'normal';
+};
+
+module.exports = {
+    getAgeInYears,
+    findReferenceRange,
+    flagValue
+};
\ No newline at end of file
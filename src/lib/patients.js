@@ -0,0 +1,29 @@
+// Resolve the patient a booking is for from an optional patient id.
+// No id, or the account holder's own id, means the account holder; any other
+// id must be one of their dependents. Returns null when the id is unknown.
+const resolvePatient = (user, patientId) => {
+    if (!patientId || patientId.toString() === user._id.toString()) {
+        return {
+            dependent: null,
+            name: user.name,
+            relationship: 'self'
+        };
+    }
+
+    const dependent = (user.dependents || []).find(item => item._id.toString() === patientId.toString());
+    if (!dependent) {
+        return null;
+    }
+
+    return {
+        dependent: dependent._id,
+        name: dependent.name,
+        dateOfBirth: dependent.dateOfBirth,
+        sex: dependent.sex,
+        relationship: dependent.relationship
+    };
+};
+
+module.exports = {
+    resolvePatient
+};
\ No newline at end of file
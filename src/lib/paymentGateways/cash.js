@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Cash taken or handed back at the HCS counter. Staff record the payment once
+// the money has changed hands, so charges and refunds succeed straight away.
+module.exports = {
+    name: 'cash',
+
+    async charge() {
+        return {
+            status: 'succeeded',
+            reference: `cash_${crypto.randomBytes(8).toString('hex')}`
+        };
+    },
+
+    async refund() {
+        return {
+            status: 'succeeded',
+            reference: `cash_refund_${crypto.randomBytes(8).toString('hex')}`
+        };
+    }
+};
\ No newline at end of file
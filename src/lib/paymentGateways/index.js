@@ -0,0 +1,27 @@
+// Payment gateway adapters. Every adapter exposes:
+//   name                         - stored on Payment.gateway
+//   charge({ payment, invoice }) - start a payment; resolves to { status, reference, checkoutUrl? }
+//   refund({ payment, amount })  - start a refund; resolves to { status, reference }
+//   parseWebhook({ headers, rawBody, body }) - optional; returns { type, reference, reason } or null
+// A status of 'succeeded' settles at once; 'pending' waits for a webhook callback.
+const cash = require('./cash');
+const mockCard = require('./mockCard');
+
+const gateways = {
+    [cash.name]: cash,
+    [mockCard.name]: mockCard
+};
+
+// Payment methods customers and staff choose from, mapped to the adapter that handles them
+const METHOD_GATEWAYS = {
+    cash: cash.name,
+    card: mockCard.name
+};
+
+// Get an adapter by name, or undefined when there is none
+const getGateway = (name) => gateways[name];
+
+module.exports = {
+    getGateway,
+    METHOD_GATEWAYS
+};
\ No newline at end of file
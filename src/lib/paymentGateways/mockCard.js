@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Stand-in for a hosted card gateway. Charges and refunds start out pending and
+// are settled later by a signed webhook callback, the way a real gateway works.
+// Webhook bodies look like { type: 'payment.succeeded', data: { reference } } and
+// are signed with an HMAC-SHA256 of the raw body in the X-Mock-Signature header.
+
+const getWebhookSecret = () => process.env.MOCK_CARD_WEBHOOK_SECRET;
+
+// Sign a webhook body the way the gateway does
+const signWebhook = (rawBody) => crypto
+    .createHmac('sha256', getWebhookSecret() || '')
+    .update(rawBody)
+    .digest('hex');
+
+const WEBHOOK_EVENTS = ['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'];
+
+module.exports = {
+    name: 'mock-card',
+
+    async charge({ payment }) {
+        const reference = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+        const checkoutBase = process.env.MOCK_CARD_CHECKOUT_URL || 'https://checkout.mock-card.test/pay';
+
+        return {
+            status: 'pending',
+            reference,
+            checkoutUrl: `${checkoutBase}/${reference}?amount=${payment.amount}&currency=${payment.currency}`
+        };
+    },
+
+    async refund() {
+        return {
+            status: 'pending',
+            reference: `mock_re_${crypto.randomBytes(12).toString('hex')}`
+        };
+    },
+
+    // Check a webhook came from the gateway and turn it into an event.
+    // Returns null when the signature or body is not valid.
+    parseWebhook({ headers, rawBody, body }) {
+        const signature = headers['x-mock-signature'];
+        if (!getWebhookSecret() || !signature || !rawBody) {
+            return null;
+        }
+
+        const expected = Buffer.from(signWebhook(rawBody));
+        const received = Buffer.from(String(signature));
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return null;
+        }
+
+        if (!body || !WEBHOOK_EVENTS.includes(body.type) || !body.data || !body.data.reference) {
+            return null;
+        }
+
+        return {
+            type: body.type,
+            reference: body.data.reference,
+            reason: body.data.reason
+        };
+    },
+
+    signWebhook
+};
\ No newline at end of file
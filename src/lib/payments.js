@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const { getGateway } = require('./paymentGateways');
+
+// Currency all invoices and payments are in
+const getCurrency = () => process.env.PAYMENT_CURRENCY || 'BDT';
+
+// Round an amount to two decimal places
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Build an error carrying the HTTP status a controller should answer with
+const paymentError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Give an invoice the next number in its healthcare center's sequence, once.
+// The sequence only moves in the transaction that numbers the invoice, so a
+// request that loses a race leaves no gap behind.
+const assignInvoiceNumber = async (invoice) => {
+    if (invoice.number) {
+        return invoice;
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+        // Another request numbered it first
+        const unnumbered = await Invoice.exists({ _id: invoice._id, number: { $exists: false } }).session(session);
+        if (!unnumbered) {
+            return;
+        }
+
+        const hcs = await HealthcareCenter.findByIdAndUpdate(
+            invoice.hcs,
+            { $inc: { invoiceSequence: 1 } },
+            { new: true, select: 'invoiceSequence', session }
+        );
+        if (!hcs) {
+            throw paymentError('Healthcare center not found', 404);
+        }
+
+        const sequence = hcs.invoiceSequence;
+        const number = `INV-${hcs._id.toString().slice(-6).toUpperCase()}-${String(sequence).padStart(6, '0')}`;
+        await Invoice.updateOne({ _id: invoice._id }, { number, sequence }, { session });
+    });
+
+    return Invoice.findById(invoice._id);
+};
+
+// Get the invoice for a booking, creating it the first time it is needed.
+// It stays unnumbered until a payment against it settles.
+const getOrCreateInvoice = async (booking) => {
+    const existing = await Invoice.findOne({ booking: booking._id });
+    if (existing) {
+        return existing;
+    }
+
+    try {
+        return await Invoice.create({
+            booking: booking._id,
+            user: booking.user,
+            hcs: booking.hcs,
+            amount: booking.priceAtBooking || 0,
+            currency: getCurrency()
+        });
+    } catch (error) {
+        // Another request created it first
+        if (error.code === 11000) {
+            return getOrCreateInvoice(booking);
+        }
+        throw error;
+    }
+};
+
+// Recalculate an invoice's totals and status from its payments, number it
+// once money has been received, and copy the status onto the booking for listings
+const refreshInvoice = async (invoiceId) => {
+    let invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+        return null;
+    }
+
+    const payments = await Payment.find({ invoice: invoice._id });
+    let amountPaid = 0;
+    let amountRefunded = 0;
+
+    for (const payment of payments) {
+        if (payment.status === 'succeeded') {
+            amountPaid += payment.amount;
+        }
+        payment.refunds
+            .filter(refund => refund.status === 'succeeded')
+            .forEach(refund => {
+                amountRefunded += refund.amount;
+            });
+    }
+
+    invoice.amountPaid = roundAmount(amountPaid);
+    invoice.amountRefunded = roundAmount(amountRefunded);
+    invoice.status = invoice.computeStatus();
+    if (invoice.status === 'paid' && !invoice.paidAt) {
+        invoice.paidAt = new Date();
+    }
+    await invoice.save();
+
+    if (invoice.amountPaid > 0) {
+        invoice = await assignInvoiceNumber(invoice);
+    }
+
+    await Booking.updateOne({ _id: invoice.booking }, { paymentStatus: invoice.status });
+
+    return invoice;
+};
+
+// Start paying the outstanding balance of a booking through a gateway.
+// Cash payments settle at once; card payments wait for the gateway's webhook.
+const startPayment = async ({ booking, gateway: gatewayName, receivedBy }) => {
+    const gateway = getGateway(gatewayName);
+    if (!gateway) {
+        throw paymentError('Unsupported payment method');
+    }
+
+    if (['canceled', 'no-show'].includes(booking.status)) {
+        throw paymentError(`Cannot take payment for a ${booking.status} booking`);
+    }
+
+    const invoice = await getOrCreateInvoice(booking);
+    const balance = roundAmount(invoice.amount - invoice.amountPaid);
+    if (balance <= 0) {
+        throw paymentError('This booking has already been paid');
+    }
+
+    if (await Payment.exists({ invoice: invoice._id, status: 'pending' })) {
+        throw paymentError('A payment for this booking is already in progress');
+    }
+
+    const payment = new Payment({
+        invoice: invoice._id,
+        booking: booking._id,
+        user: booking.user,
+        hcs: booking.hcs,
+        gateway: gateway.name,
+        amount: balance,
+        currency: invoice.currency,
+        receivedBy
+    });
+
+    const result = await gateway.charge({ payment, invoice });
+    payment.status = result.status;
+    payment.gatewayReference = result.reference;
+    payment.checkoutUrl = result.checkoutUrl;
+    if (result.status === 'succeeded') {
+        payment.paidAt = new Date();
+    }
+    await payment.save();
+
+    return {
+        payment,
+        invoice: result.status === 'succeeded' ? await refreshInvoice(invoice._id) : invoice
+    };
+};
+
+// Start refunding part or all of a payment through the gateway that took it
+const startRefund = async ({ payment, amount, reason, requestedBy }) => {
+    const refundable = payment.getRefundableAmount();
+    const refundAmount = roundAmount(amount === undefined ? refundable : Number(amount));
+
+    if (!(refundAmount > 0)) {
+        throw paymentError('Refund amount must be greater than zero');
+    }
+    if (refundAmount > refundable) {
+        throw paymentError(`Refund amount cannot exceed the refundable ${refundable}`);
+    }
+
+    const gateway = getGateway(payment.gateway);
+    const result = await gateway.refund({ payment, amount: refundAmount });
+
+    payment.refunds.push({
+        amount: refundAmount,
+        status: result.status,
+        gatewayReference: result.reference,
+        reason,
+        requestedBy,
+        completedAt: result.status === 'succeeded' ? new Date() : undefined
+    });
+    await payment.save();
+
+    if (result.status === 'succeeded') {
+        await refreshInvoice(payment.invoice);
+    }
+
+    return payment.refunds[payment.refunds.length - 1];
+};
+
+// Refund what a customer paid for a canceled booking, keeping any cancellation fee.
+// Each payment is refunded through its own gateway. Returns the total refunded.
+// Card payments still pending are refunded when their webhook arrives.
+const refundCanceledBooking = async (booking, requestedBy) => {
+    const payments = await Payment.find({ booking: booking._id, status: 'succeeded' }).sort({ paidAt: 1 });
+    if (payments.length === 0) {
+        return 0;
+    }
+
+    let feeToKeep = (booking.cancellation && booking.cancellation.fee) || 0;
+    let refunded = 0;
+
+    for (const payment of payments) {
+        const refundable = payment.getRefundableAmount();
+        const kept = Math.min(feeToKeep, refundable);
+        feeToKeep -= kept;
+
+        const amount = roundAmount(refundable - kept);
+        if (amount > 0) {
+            await startRefund({
+                payment,
+                amount,
+                reason: 'Booking canceled',
+                requestedBy
+            });
+            refunded += amount;
+        }
+    }
+
+    return roundAmount(refunded);
+};
+
+// Apply a verified gateway webhook event to the payment or refund it refers to.
+// Returns the updated payment, or null when no payment matches.
+const applyWebhookEvent = async (gatewayName, event) => {
+    if (event.type.startsWith('payment.')) {
+        const payment = await Payment.findOne({ gateway: gatewayName, gatewayReference: event.reference });
+        if (!payment) {
+            return null;
+        }
+
+        // Gateways can send the same event more than once
+        if (payment.status === 'pending') {
+            if (event.type === 'payment.succeeded') {
+                payment.status = 'succeeded';
+                payment.paidAt = new Date();
+            } else {
+                payment.status = 'failed';
+                payment.failureReason = event.reason;
+            }
+            await payment.save();
+            await refreshInvoice(payment.invoice);
+
+            // Money that arrives after the booking was canceled goes straight back
+            const booking = await Booking.findById(payment.booking);
+            if (payment.status === 'succeeded' && booking && booking.status === 'canceled') {
+                await startRefund({ payment, reason: 'Booking canceled before payment completed' });
+            }
+        }
+        return payment;
+    }
+
+    const payment = await Payment.findOne({ gateway: gatewayName, 'refunds.gatewayReference': event.reference });
+    if (!payment) {
+        return null;
+    }
+
+    const refund = payment.refunds.find(item => item.gatewayReference === event.reference);
+    if (refund.status === 'pending') {
+        refund.status = event.type === 'refund.succeeded' ? 'succeeded' : 'failed';
+        refund.completedAt = new Date();
+        await payment.save();
+        await refreshInvoice(payment.invoice);
+    }
+    return payment;
+};
+
+module.exports = {
+    getOrCreateInvoice,
+    refreshInvoice,
+    startPayment,
+    startRefund,
+    refundCanceledBooking,
+    applyWebhookEvent
+};
\ No newline at end of file
@@ -0,0 +1,248 @@
+const PDFDocument = require('pdfkit');
+
+// PDF receipts and statements for bookings. Both share one layout: a header with
+// the issuer, a details block, a table of line items and a totals block.
+
+const PAGE_MARGIN = 50;
+const MUTED_COLOR = '#666666';
+
+// Format an amount with its currency, e.g. BDT 1,250.00
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+})}`;
+
+// Format a date on the given timezone's calendar, e.g. 20 Oct 2026
+const formatDate = (date, timeZone) => new Date(date).toLocaleDateString('en-GB', {
+    timeZone,
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Render a document and resolve to its bytes
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        draw(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+// Issuer name and contact lines on the left, document title and reference on the right
+const drawHeader = (doc, { issuer, issuerLines, title, reference }) => {
+    const top = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(issuer, PAGE_MARGIN, top, { width: 300 });
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+    issuerLines.filter(Boolean).forEach(line => doc.text(line, { width: 300 }));
+    const issuerBottom = doc.y;
+
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(18)
+        .text(title, 350, top, { width: 195, align: 'right' });
+    doc.font('Helvetica').fontSize(10).text(reference, { width: 195, align: 'right' });
+
+    doc.y = Math.max(issuerBottom, doc.y) + 20;
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(545, doc.y).strokeColor('#cccccc').stroke();
+    doc.moveDown();
+};
+
+// Label and value pairs in two columns
+const drawDetails = (doc, details) => {
+    details.filter(([, value]) => value).forEach(([label, value]) => {
+        const top = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).fillColor('black').text(label, PAGE_MARGIN, top, { width: 120 });
+        doc.font('Helvetica').text(String(value), 175, top, { width: 370 });
+        doc.moveDown(0.3);
+    });
+    doc.moveDown();
+};
+
+// A table with a description column and right-aligned columns after it
+const drawTable = (doc, columns, rows) => {
+    const widths = columns.map(column => column.width);
+    const drawRow = (cells, font) => {
+        if (doc.y > doc.page.height - PAGE_MARGIN - 40) {
+            doc.addPage();
+        }
+        const top = doc.y;
+        let x = PAGE_MARGIN;
+        let bottom = top;
+
+        doc.font(font).fontSize(10).fillColor('black');
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), x, top, {
+                width: widths[index],
+                align: index === 0 ? 'left' : 'right'
+            });
+            bottom = Math.max(bottom, doc.y);
+            x += widths[index];
+        });
+        doc.y = bottom + 6;
+    };
+
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+    rows.forEach(row => drawRow(row, 'Helvetica'));
+    doc.moveDown(0.5);
+};
+
+// Totals aligned to the right edge; the last one is emphasised
+const drawTotals = (doc, totals) => {
+    totals.forEach(([label, value], index) => {
+        const top = doc.y;
+        const font = index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+        doc.font(font).fontSize(10).fillColor('black')
+            .text(label, 300, top, { width: 130, align: 'right' })
+            .text(value, 430, top, { width: 115, align: 'right' });
+        doc.moveDown(0.3);
+    });
+};
+
+// Small centred note under the content
+const drawFooter = (doc, text) => {
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+        .text(text, PAGE_MARGIN, doc.y, { width: 495, align: 'center' });
+};
+
+// Build a receipt for one booking from its invoice. The booking needs user, test
+// and hcs populated; payments are the invoice's payments.
+const buildReceipt = ({ invoice, booking, payments, timeZone }) => renderPdf((doc) => {
+    const { currency } = invoice;
+    const hcs = booking.hcs || {};
+    const user = booking.user || {};
+    const testTitle = booking.test ? booking.test.title : 'Medical test';
+    const homeVisitFee = booking.homeVisitFee || 0;
+    const originalPrice = booking.originalPrice !== undefined ? booking.originalPrice : invoice.amount;
+
+    drawHeader(doc, {
+        issuer: hcs.name || 'Healthcare center',
+        issuerLines: [hcs.address, hcs.contact, hcs.email],
+        title: invoice.status === 'unpaid' ? 'INVOICE' : 'RECEIPT',
+        reference: invoice.number
+    });
+
+    drawDetails(doc, [
+        ['Issued', formatDate(invoice.createdAt, timeZone)],
+        ['Billed to', [user.name, user.email].filter(Boolean).join(' - ')],
+        ['Patient', booking.patient && booking.patient.name],
+        ['Booking', booking._id.toString()],
+        ['Appointment', `${formatDate(booking.scheduledAt, timeZone)}, ${new Date(booking.scheduledAt).toLocaleTimeString('en-US', {
+            timeZone,
+            hour: 'numeric',
+            minute: '2-digit'
+        })}`],
+        ['Status', invoice.status]
+    ]);
+
+    const rows = [[testTitle, formatMoney(originalPrice - homeVisitFee, currency)]];
+    if (homeVisitFee > 0) {
+        rows.push(['Home sample collection', formatMoney(homeVisitFee, currency)]);
+    }
+    if (booking.discount > 0) {
+        rows.push([
+            booking.promoCode ? `Discount (${booking.promoCode})` : 'Discount',
+            `-${formatMoney(booking.discount, currency)}`
+        ]);
+    }
+    drawTable(doc, [
+        { label: 'Description', width: 380 },
+        { label: 'Amount', width: 115 }
+    ], rows);
+
+    const totals = [
+        ['Total', formatMoney(invoice.amount, currency)],
+        ['Paid', formatMoney(invoice.amountPaid, currency)]
+    ];
+    if (invoice.amountRefunded > 0) {
+        totals.push(['Refunded', formatMoney(invoice.amountRefunded, currency)]);
+    }
+    totals.push(['Balance due', formatMoney(Math.max(0, invoice.amount - invoice.amountPaid), currency)]);
+    drawTotals(doc, totals);
+
+    const settled = (payments || []).filter(payment => payment.status === 'succeeded');
+    if (settled.length > 0) {
+        doc.moveDown();
+        drawTable(doc, [
+            { label: 'Payment', width: 230 },
+            { label: 'Date', width: 150 },
+            { label: 'Amount', width: 115 }
+        ], settled.map(payment => [
+            payment.gateway === 'cash' ? 'Cash' : 'Card',
+            formatDate(payment.paidAt, timeZone),
+            formatMoney(payment.amount, payment.currency)
+        ]));
+    }
+
+    drawFooter(doc, 'This receipt was generated electronically and is valid without a signature.');
+});
+
+// Build a statement of a customer's paid invoices for a month, e.g. month '2026-10'.
+// Invoices need booking (with test), and hcs (with timezone) populated; each payment
+// date is shown on its own center's calendar.
+const buildStatement = ({ user, month, invoices, timeZone }) => renderPdf((doc) => {
+    const currency = invoices.length > 0 ? invoices[0].currency : (process.env.PAYMENT_CURRENCY || 'BDT');
+    const [year, monthNumber] = month.split('-').map(Number);
+    const monthName = new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        month: 'long',
+        year: 'numeric'
+    });
+
+    drawHeader(doc, {
+        issuer: 'EWEL-HCS',
+        issuerLines: ['Statement of paid bookings'],
+        title: 'STATEMENT',
+        reference: monthName
+    });
+
+    drawDetails(doc, [
+        ['Customer', user.name],
+        ['Email', user.email],
+        ['Issued', formatDate(new Date(), timeZone)]
+    ]);
+
+    drawTable(doc, [
+        { label: 'Invoice / Test', width: 185 },
+        { label: 'Center', width: 120 },
+        { label: 'Paid on', width: 80 },
+        { label: 'Amount', width: 110 }
+    ], invoices.map(invoice => [
+        `${invoice.number || '-'}\n${invoice.booking && invoice.booking.test ? invoice.booking.test.title : 'Medical test'}`,
+        invoice.hcs ? invoice.hcs.name : '',
+        formatDate(invoice.paidAt, (invoice.hcs && invoice.hcs.timezone) || timeZone),
+        formatMoney(invoice.amountPaid - invoice.amountRefunded, invoice.currency)
+    ]));
+
+    const total = invoices.reduce((sum, invoice) => sum + invoice.amountPaid - invoice.amountRefunded, 0);
+    drawTotals(doc, [
+        ['Bookings', String(invoices.length)],
+        ['Total paid', formatMoney(total, currency)]
+    ]);
+
+    drawFooter(doc, 'Amounts are net of refunds. Individual receipts are available for each booking.');
+});
+
+// Send a PDF document as a download
+const sendPdf = (res, filename, body) => {
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': body.length
+    });
+    res.status(200).send(body);
+};
+
+module.exports = {
+    buildReceipt,
+    buildStatement,
+    sendPdf
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Pre-appointment checklist built from a test's preparation (see Test.getPreparation)
+const buildPreparationChecklist = (preparation) => {
+    const items = [];
+
+    if (preparation.fastingHours > 0) {
+        items.push({
+            kind: 'fasting',
+            label: `Fast for ${preparation.fastingHours} hour(s) before your appointment`
+        });
+    }
+    preparation.documents.forEach(document => items.push({
+        kind: 'document',
+        label: `Bring ${document}`
+    }));
+    preparation.avoid.forEach(item => items.push({
+        kind: 'avoid',
+        label: `Avoid ${item}`
+    }));
+
+    return items;
+};
+
+module.exports = {
+    buildPreparationChecklist
+};
\ No newline at end of file
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const TestCategory = require('../models/TestCategory');
+
+// Round an amount to two decimal places
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Work out the discount a promotion takes off a price; never more than the price itself
+const calculateDiscount = (promotion, price) => {
+    let discount = promotion.discountType === 'percentage'
+        ? price * promotion.discountValue / 100
+        : promotion.discountValue;
+
+    if (promotion.discountType === 'percentage' && promotion.maxDiscount != null) {
+        discount = Math.min(discount, promotion.maxDiscount);
+    }
+
+    return roundAmount(Math.min(discount, price));
+};
+
+// Check a promo code can be used by a customer for a test at an HCS.
+// Returns { promotion } when it can, or { error } explaining why not.
+const checkPromoCode = async ({ code, userId, test, hcsId }) => {
+    const promotion = await Promotion.findOne({ code: String(code).trim().toUpperCase() });
+    if (!promotion || !promotion.active) {
+        return { error: 'Invalid promo code' };
+    }
+
+    const now = new Date();
+    if (now < promotion.validFrom) {
+        return { error: 'This promo code is not active yet' };
+    }
+    if (now > promotion.validUntil) {
+        return { error: 'This promo code has expired' };
+    }
+
+    if (promotion.usageLimit != null && promotion.usedCount >= promotion.usageLimit) {
+        return { error: 'This promo code has reached its usage limit' };
+    }
+    if (promotion.getUsesByUser(userId) >= promotion.perUserLimit) {
+        return { error: 'You have already used this promo code the maximum number of times' };
+    }
+
+    const { tests = [], categories = [], hcs = [] } = promotion.scope || {};
+    if (tests.length > 0 && !tests.some(id => id.toString() === test._id.toString())) {
+        return { error: 'This promo code does not apply to the selected test' };
+    }
+    if (categories.length > 0) {
+        // The test's own category or any category above it must be in scope
+        const category = test.category && await TestCategory.findById(test.category._id || test.category);
+        const testCategories = category ? [category._id, ...category.ancestors].map(id => id.toString()) : [];
+        if (!categories.some(id => testCategories.includes(id.toString()))) {
+            return { error: 'This promo code does not apply to tests in this category' };
+        }
+    }
+    if (hcs.length > 0 && !hcs.some(id => id.toString() === hcsId.toString())) {
+        return { error: 'This promo code does not apply at the selected healthcare center' };
+    }
+
+    return { promotion };
+};
+
+// Atomically record a use of a promotion, re-checking the global and per-user
+// limits in the same update so parallel bookings can't overuse a code.
+// Returns true when the use was recorded.
+const redeemPromotion = async ({ promotion, userId, bookingId }) => {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const now = new Date();
+
+    const updated = await Promotion.findOneAndUpdate(
+        {
+            _id: promotion._id,
+            active: true,
+            validFrom: { $lte: now },
+            validUntil: { $gte: now },
+            $expr: {
+                $and: [
+                    {
+                        $or: [
+                            { $eq: ['$usageLimit', null] },
+                            { $lt: ['$usedCount', '$usageLimit'] }
+                        ]
+                    },
+                    {
+                        $lt: [
+                            { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', user] } } } },
+                            '$perUserLimit'
+                        ]
+                    }
+                ]
+            }
+        },
+        {
+            $inc: { usedCount: 1 },
+            $push: { redemptions: { user, booking: bookingId } }
+        },
+        { new: true }
+    );
+
+    return !!updated;
+};
+
+// Give back the use a booking made of a promotion, e.g. when it is canceled
+const releasePromotion = async (booking) => {
+    if (!booking.promotion) {
+        return;
+    }
+
+    await Promotion.updateOne(
+        { _id: booking.promotion, 'redemptions.booking': booking._id },
+        {
+            $inc: { usedCount: -1 },
+            $pull: { redemptions: { booking: booking._id } }
+        }
+    );
+};
+
+module.exports = {
+    calculateDiscount,
+    checkPromoCode,
+    redeemPromotion,
+    releasePromotion
+};
\ No newline at end of file
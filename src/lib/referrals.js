@@ -0,0 +1,58 @@
+const Referral = require('../models/Referral');
+
+// Bookings in these statuses no longer use up a referred test
+const INACTIVE_BOOKING_STATUSES = ['canceled', 'no-show'];
+
+// Check a customer can book a test from a referral. The referral's tests need
+// their bookings populated (status only). Returns an error message or null.
+const getReferralBookingError = (referral, testId) => {
+    if (!referral) {
+        return 'Referral not found';
+    }
+    if (!referral.isOpen()) {
+        return 'This referral has expired or was canceled';
+    }
+
+    const item = referral.tests.find(entry => (entry.test._id || entry.test).toString() === testId.toString());
+    if (!item) {
+        return 'This test is not part of the referral';
+    }
+    if (item.booking && !INACTIVE_BOOKING_STATUSES.includes(item.booking.status)) {
+        return 'This referred test has already been booked';
+    }
+    return null;
+};
+
+// Link a new booking to its referred test. Only succeeds when the test still has
+// the booking the caller saw, so two parallel bookings can't both claim it.
+const claimReferralTest = async ({ referral, testId, bookingId }) => {
+    const item = referral.tests.find(entry => (entry.test._id || entry.test).toString() === testId.toString());
+    const previous = item.booking ? (item.booking._id || item.booking) : null;
+
+    const result = await Referral.updateOne(
+        {
+            _id: referral._id,
+            tests: { $elemMatch: { test: item.test._id || item.test, booking: previous } }
+        },
+        { $set: { 'tests.$.booking': bookingId } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Unlink a booking that was never created from its referred test
+const releaseReferralTest = async (booking) => {
+    if (!booking.referral) {
+        return;
+    }
+    await Referral.updateOne(
+        { _id: booking.referral, 'tests.booking': booking._id },
+        { $set: { 'tests.$.booking': null } }
+    );
+};
+
+module.exports = {
+    INACTIVE_BOOKING_STATUSES,
+    getReferralBookingError,
+    claimReferralTest,
+    releaseReferralTest
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Report files are kept outside the public /uploads folder so they can only be
+// reached through the authenticated report endpoints
+const REPORTS_DIR = path.resolve(process.env.REPORTS_DIR || path.join(__dirname, '../../storage/reports'));
+
+// File types accepted as reports, with the extension they are stored under
+const REPORT_FILE_TYPES = {
+    'application/pdf': '.pdf',
+    'image/jpeg': '.jpg',
+    'image/png': '.png'
+};
+
+// Work out a file's type from its first bytes rather than trusting the upload's mimetype
+const detectReportType = (buffer) => {
+    if (buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return 'application/pdf';
+    }
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    return null;
+};
+
+// Resolve a stored name to its absolute path, refusing anything outside report storage
+const getReportFilePath = (storedName) => {
+    const filePath = path.resolve(REPORTS_DIR, storedName);
+    if (!filePath.startsWith(REPORTS_DIR + path.sep)) {
+        throw new Error('Invalid report file path');
+    }
+    return filePath;
+};
+
+// Write a report file under its booking's folder and return its stored name
+const saveReportFile = async (bookingId, buffer, mimeType) => {
+    const storedName = path.join(
+        bookingId.toString(),
+        `${crypto.randomBytes(16).toString('hex')}${REPORT_FILE_TYPES[mimeType]}`
+    );
+    const filePath = getReportFilePath(storedName);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+    return storedName;
+};
+
+// Remove a report file; a file that is already gone is not an error
+const deleteReportFile = async (storedName) => {
+    try {
+        await fs.promises.unlink(getReportFilePath(storedName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+};
+
+// Send a report file as a download; the report must include its stored name
+const sendReportFile = (res, report) => {
+    // Results are private; keep them out of shared caches
+    res.set('Cache-Control', 'private, no-store');
+    res.type(report.mimeType);
+    res.download(getReportFilePath(report.storedName), report.originalName, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Report file is missing'
+            });
+        }
+    });
+};
+
+module.exports = {
+    REPORT_FILE_TYPES,
+    detectReportType,
+    getReportFilePath,
+    saveReportFile,
+    deleteReportFile,
+    sendReportFile
+};
\ No newline at end of file
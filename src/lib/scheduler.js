@@ -0,0 +1,73 @@
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const { expireWaitlistOffers } = require('./waitlist');
+const { markNoShows, cancelStalePendingBookings } = require('./bookingJobs');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const LOCK_NAME = 'booking-jobs';
+const INTERVAL_MS = 60 * 1000;
+
+// Jobs run in order on every tick
+const jobs = [
+    { name: 'Expire waitlist offers', run: expireWaitlistOffers },
+    { name: 'Mark no-shows', run: markNoShows },
+    { name: 'Cancel stale pending bookings', run: cancelStalePendingBookings }
+];
+
+// Take or renew the job lease. Only one instance holds it at a time;
+// if that instance dies the lease runs out and another one takes over.
+const acquireLock = async (ttlMs) => {
+    const now = new Date();
+
+    try {
+        const lock = await JobLock.findOneAndUpdate(
+            {
+                name: LOCK_NAME,
+                $or: [
+                    { lockedUntil: { $lte: now } },
+                    { lockedBy: INSTANCE_ID }
+                ]
+            },
+            {
+                lockedBy: INSTANCE_ID,
+                lockedUntil: new Date(now.getTime() + ttlMs)
+            },
+            { upsert: true, new: true }
+        );
+        return !!lock;
+    } catch (error) {
+        // Another instance holds the lease, so the upsert hit the unique name
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const runJobs = async () => {
+    // Hold the lease a little longer than one interval so it survives a slow tick
+    const hasLock = await acquireLock(INTERVAL_MS * 2);
+    if (!hasLock) {
+        return;
+    }
+
+    for (const job of jobs) {
+        try {
+            await job.run();
+        } catch (error) {
+            console.error(`Error running job "${job.name}":`, error);
+        }
+    }
+};
+
+// Start the background scheduler inside the server process
+const startScheduler = () => {
+    return setInterval(() => {
+        runJobs().catch(error => console.error('Error running scheduled jobs:', error));
+    }, INTERVAL_MS);
+};
+
+module.exports = {
+    startScheduler,
+    runJobs
+};
\ No newline at end of file
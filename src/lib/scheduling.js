@@ -0,0 +1,209 @@
+const Booking = require('../models/Booking');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const { DEFAULT_TIMEZONE, formatDay, formatTime, parseDay, addDays } = require('./timezone');
+
+// All calendar days and times below are wall-clock values in the healthcare
+// center's own timezone, never the server's.
+
+// Turn a request date into a day key: a bare YYYY-MM-DD is taken as is,
+// anything else is read as an instant and placed on the center's calendar.
+// Returns null when the value is not a date.
+const toDayKey = (value, timeZone = DEFAULT_TIMEZONE) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return isNaN(new Date(value).getTime()) ? null : value;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : formatDay(date, timeZone);
+};
+
+// Get the start and end of the calendar day containing a date
+const getDayBounds = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const day = formatDay(date, timeZone);
+    const startOfDay = parseDay(day, timeZone);
+    const endOfDay = new Date(parseDay(addDays(day, 1), timeZone).getTime() - 1);
+
+    return { startOfDay, endOfDay };
+};
+
+// Look up the timezone of an HCS by id
+const getCenterTimeZone = async (hcsId) => {
+    const hcs = await HealthcareCenter.findById(hcsId).select('timezone');
+    return (hcs && hcs.timezone) || DEFAULT_TIMEZONE;
+};
+
+// Count at-center bookings for a specific date at an HCS, optionally for a single test
+const countBookingsForDate = async (hcs, date, testId) => {
+    const { startOfDay, endOfDay } = getDayBounds(date, hcs.timezone);
+
+    const query = {
+        hcs: hcs._id,
+        scheduledAt: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        },
+        status: { $ne: 'canceled' }, // Don't count canceled bookings
+        collectionType: { $ne: 'home' } // Home visits have their own capacity
+    };
+
+    if (testId) {
+        query.test = testId;
+    }
+
+    return await Booking.countDocuments(query);
+};
+
+// Count at-center bookings per HCS and calendar day between two dates in one aggregation,
+// optionally for a single test. Each booking is placed on its own center's calendar.
+// Returns a Map keyed by "hcsId:YYYY-MM-DD".
+const countBookingsByDay = async ({ from, to, centers, testId }) => {
+    const match = {
+        hcs: { $in: centers.map(hcs => hcs._id) },
+        scheduledAt: {
+            $gte: from,
+            $lte: to
+        },
+        status: { $ne: 'canceled' },
+        collectionType: { $ne: 'home' }
+    };
+
+    // Aggregation pipelines skip schema casting, so the test id must already be an ObjectId
+    if (testId) {
+        match.test = testId;
+    }
+
+    // Pick each booking's zone from its center; $switch needs at least one branch
+    const branches = centers
+        .filter(hcs => hcs.timezone && hcs.timezone !== DEFAULT_TIMEZONE)
+        .map(hcs => ({ case: { $eq: ['$hcs', hcs._id] }, then: hcs.timezone }));
+    const timezone = branches.length > 0
+        ? { $switch: { branches, default: DEFAULT_TIMEZONE } }
+        : DEFAULT_TIMEZONE;
+
+    const groups = await Booking.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    hcs: '$hcs',
+                    day: {
+                        $dateToString: {
+                            format: '%Y-%m-%d',
+                            date: '$scheduledAt',
+                            timezone
+                        }
+                    }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const counts = new Map();
+    for (const group of groups) {
+        counts.set(`${group._id.hcs}:${group._id.day}`, group.count);
+    }
+    return counts;
+};
+
+// Get the start times already taken for a test at an HCS on a date
+const getBookedTimes = async (hcs, testId, date, excludeBookingId) => {
+    const { startOfDay, endOfDay } = getDayBounds(date, hcs.timezone);
+
+    const query = {
+        hcs: hcs._id,
+        test: testId,
+        scheduledAt: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        },
+        status: { $ne: 'canceled' },
+        collectionType: { $ne: 'home' }
+    };
+
+    if (excludeBookingId) {
+        query._id = { $ne: excludeBookingId };
+    }
+
+    const bookings = await Booking.find(query).select('scheduledAt');
+    return bookings.map(booking => new Date(booking.scheduledAt));
+};
+
+// Check whether an appointment starting at `start` overlaps any of the booked start times
+const overlapsBookedTime = (start, bookedTimes, duration) => {
+    const length = duration * 60 * 1000;
+    return bookedTimes.some(booked => Math.abs(booked.getTime() - start.getTime()) < length);
+};
+
+// Get the free appointment start times for a test at an HCS on a date
+const getFreeTimeSlots = async (hcs, test, date) => {
+    const slots = hcs.getTimeSlots(date, test.duration);
+    const bookedTimes = await getBookedTimes(hcs, test._id, date);
+    const now = new Date();
+
+    return slots.filter(slot => slot > now && !overlapsBookedTime(slot, bookedTimes, test.duration));
+};
+
+// Check a requested appointment time is a valid future date.
+// Returns an error message, or null when the date is acceptable.
+const validateScheduledDate = (scheduledDate) => {
+    if (isNaN(scheduledDate.getTime())) {
+        return 'Invalid date format provided';
+    }
+
+    if (scheduledDate <= new Date()) {
+        return 'Scheduled time must be in the future';
+    }
+
+    return null;
+};
+
+// Check an HCS is open on the day of a date.
+// Returns an error message, or null when the center is open.
+const validateOpenDay = (hcs, date) => {
+    const hours = hcs.getHoursForDate(date);
+    if (hours.closed) {
+        return `The healthcare center is closed on ${formatDay(date, hcs.timezone)}. ${hours.reason}.`;
+    }
+    return null;
+};
+
+// Validate that `start` is a free grid slot for a test at an HCS.
+// Returns an error message, or null when the time can be booked.
+const validateTimeSlot = async (hcs, test, start, excludeBookingId) => {
+    const closedError = validateOpenDay(hcs, start);
+    if (closedError) {
+        return closedError;
+    }
+
+    const slots = hcs.getTimeSlots(start, test.duration);
+    const onGrid = slots.some(slot => slot.getTime() === start.getTime());
+
+    if (!onGrid) {
+        const { open, close } = hcs.getHoursForDate(start);
+        return `Selected time is not a valid appointment slot. Appointments for this test start every ${test.duration} minutes between ${open} and ${close}.`;
+    }
+
+    const bookedTimes = await getBookedTimes(hcs, test._id, start, excludeBookingId);
+    if (overlapsBookedTime(start, bookedTimes, test.duration)) {
+        return 'The selected time overlaps an existing booking. Please choose another time.';
+    }
+
+    return null;
+};
+
+module.exports = {
+    getDayBounds,
+    formatDay,
+    parseDay,
+    addDays,
+    toDayKey,
+    formatTime,
+    getCenterTimeZone,
+    countBookingsForDate,
+    countBookingsByDay,
+    getBookedTimes,
+    getFreeTimeSlots,
+    validateScheduledDate,
+    validateOpenDay,
+    validateTimeSlot
+};
\ No newline at end of file
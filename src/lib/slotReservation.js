@@ -0,0 +1,305 @@
+const SlotReservation = require('../models/SlotReservation');
+const Booking = require('../models/Booking');
+const { getDayBounds, formatDay, getCenterTimeZone, countBookingsByDay } = require('./scheduling');
+
+// Get the reservation day key for a date on the HCS's own calendar
+const getReservationDay = async (hcsId, date) => formatDay(date, await getCenterTimeZone(hcsId));
+
+// Make sure a reservation document exists for the HCS/test/day and return its day key.
+// A null test means the HCS's home collection capacity for the day.
+// A new document is seeded from the bookings that already exist for that day;
+// the unique index guarantees only one seed wins if two requests race here.
+// Pass `session` to seed inside a transaction, so an aborted checkout leaves nothing behind.
+const ensureReservation = async (hcsId, testId, date, session) => {
+    const timeZone = await getCenterTimeZone(hcsId);
+    const day = formatDay(date, timeZone);
+
+    const existing = await SlotReservation.exists({ hcs: hcsId, test: testId, day }).session(session || null);
+    if (existing) {
+        return day;
+    }
+
+    const { startOfDay, endOfDay } = getDayBounds(date, timeZone);
+    const query = {
+        hcs: hcsId,
+        scheduledAt: {
+            $gte: startOfDay,
+            $lte: endOfDay
+        },
+        status: { $ne: 'canceled' }
+    };
+
+    if (testId) {
+        query.test = testId;
+        query.collectionType = { $ne: 'home' };
+    } else {
+        query.collectionType = 'home';
+    }
+
+    const bookings = await Booking.find(query).select('scheduledAt').session(session || null);
+
+    try {
+        await SlotReservation.updateOne(
+            { hcs: hcsId, test: testId, day },
+            {
+                $setOnInsert: {
+                    count: bookings.length,
+                    // Home visits don't use the center's time grid
+                    times: testId ? bookings.map(booking => booking.scheduledAt) : []
+                }
+            },
+            { upsert: true, session }
+        );
+    } catch (error) {
+        // Another request seeded the document first
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    return day;
+};
+
+// Get how much of a day's capacity is taken for a test: booked slots plus
+// slots held for outstanding waitlist offers. This is the count `reserveSlot` checks.
+const getReservedCount = async ({ hcs, test, date }) => {
+    const day = await ensureReservation(hcs, test, date);
+    const reservation = await SlotReservation.findOne({ hcs, test, day }).select('count');
+    return reservation ? reservation.count : 0;
+};
+
+// Count the capacity taken per HCS and calendar day in a range, as a Map keyed
+// "hcsId:YYYY-MM-DD" like `countBookingsByDay`. For a test this is the count
+// `reserveSlot` checks wherever a reservation exists; across all tests it is the
+// booked slots plus the waitlist holds that have no start time yet.
+const countReservedByDay = async ({ from, to, days, centers, testId }) => {
+    const counts = await countBookingsByDay({ from, to, centers, testId });
+
+    const reservations = await SlotReservation.find({
+        hcs: { $in: centers.map(hcs => hcs._id) },
+        test: testId || { $ne: null },
+        day: { $in: days }
+    }).select('hcs day count times');
+
+    for (const reservation of reservations) {
+        const key = `${reservation.hcs}:${reservation.day}`;
+        if (testId) {
+            counts.set(key, reservation.count);
+        } else {
+            const held = Math.max(0, reservation.count - reservation.times.length);
+            counts.set(key, (counts.get(key) || 0) + held);
+        }
+    }
+
+    return counts;
+};
+
+// Match reservations with no booked start time within `duration` minutes of
+// `start`, so two appointments that would overlap can't both be reserved.
+// `ignore` leaves out one start time, e.g. the booking's own when it moves.
+const freeTimeCondition = (start, duration, ignore) => {
+    const length = Math.max(duration || 0, 1) * 60 * 1000;
+    const overlapping = {
+        $gt: new Date(start.getTime() - length),
+        $lt: new Date(start.getTime() + length)
+    };
+    if (ignore) {
+        overlapping.$ne = new Date(ignore);
+    }
+    return { $not: { $elemMatch: overlapping } };
+};
+
+// Atomically reserve the slot starting at `scheduledAt` for a test lasting `duration` minutes.
+// Succeeds only while the day is under capacity and no booked appointment overlaps it.
+// Returns null on success, or the reason the slot could not be reserved.
+const reserveSlot = async ({ hcs, test, scheduledAt, duration, capacity, session }) => {
+    const start = new Date(scheduledAt);
+    const day = await ensureReservation(hcs, test, start, session);
+
+    const reservation = await SlotReservation.findOneAndUpdate(
+        {
+            hcs,
+            test,
+            day,
+            count: { $lt: capacity },
+            times: freeTimeCondition(start, duration)
+        },
+        {
+            $inc: { count: 1 },
+            $push: { times: start }
+        },
+        { new: true, session }
+    );
+
+    if (reservation) {
+        return null;
+    }
+
+    const current = await SlotReservation.findOne({ hcs, test, day }).session(session || null);
+    if (current && current.count >= capacity) {
+        return 'full';
+    }
+    return 'taken';
+};
+
+// Atomically reserve one of the HCS's home collection visits for the day.
+// Returns true when a visit was reserved.
+const reserveHomeVisit = async ({ hcs, date, capacity, session }) => {
+    const day = await ensureReservation(hcs, null, date, session);
+
+    const reservation = await SlotReservation.findOneAndUpdate(
+        {
+            hcs,
+            test: null,
+            day,
+            count: { $lt: capacity }
+        },
+        { $inc: { count: 1 } },
+        { new: true, session }
+    );
+
+    return !!reservation;
+};
+
+// Give back a home collection visit taken by `reserveHomeVisit`
+const releaseHomeVisit = async ({ hcs, date, session }) => {
+    await SlotReservation.updateOne(
+        {
+            hcs,
+            test: null,
+            day: await getReservationDay(hcs, date),
+            count: { $gt: 0 }
+        },
+        { $inc: { count: -1 } },
+        { session }
+    );
+};
+
+// Give back whatever capacity a booking holds
+const releaseBookingSlot = async (booking) => {
+    if (booking.collectionType === 'home') {
+        await releaseHomeVisit({ hcs: booking.hcs, date: booking.scheduledAt });
+    } else {
+        await releaseSlot({ hcs: booking.hcs, test: booking.test, scheduledAt: booking.scheduledAt });
+    }
+};
+
+// Explain why `reserveSlot` failed
+const slotUnavailableMessage = (reason, availableSlots) => {
+    if (reason === 'full') {
+        return `No available slots for the selected date. Maximum ${availableSlots} bookings allowed per day for this test.`;
+    }
+    return 'The selected time has just been booked. Please choose another time.';
+};
+
+// Give back a slot previously taken by `reserveSlot`
+const releaseSlot = async ({ hcs, test, scheduledAt, session }) => {
+    const start = new Date(scheduledAt);
+
+    await SlotReservation.updateOne(
+        {
+            hcs,
+            test,
+            day: await getReservationDay(hcs, start),
+            times: start
+        },
+        {
+            $inc: { count: -1 },
+            $pull: { times: start }
+        },
+        { session }
+    );
+};
+
+// Hold one unit of a day's capacity without choosing a start time yet,
+// e.g. while a waitlisted customer decides whether to claim an offer.
+// Returns true when the hold was taken.
+const holdSlot = async ({ hcs, test, date, capacity }) => {
+    const day = await ensureReservation(hcs, test, date);
+
+    const reservation = await SlotReservation.findOneAndUpdate(
+        {
+            hcs,
+            test,
+            day,
+            count: { $lt: capacity }
+        },
+        { $inc: { count: 1 } },
+        { new: true }
+    );
+
+    return !!reservation;
+};
+
+// Give back a hold taken by `holdSlot` that was never claimed
+const releaseHold = async ({ hcs, test, date }) => {
+    await SlotReservation.updateOne(
+        {
+            hcs,
+            test,
+            day: await getReservationDay(hcs, date),
+            count: { $gt: 0 }
+        },
+        { $inc: { count: -1 } }
+    );
+};
+
+// Take a start time on its day without counting it against the day's capacity,
+// for bookings whose capacity is already counted: a claimed waitlist hold, or a
+// booking moved to another time on the same day (pass its old time as `ignore`).
+// Returns true when no booked appointment overlaps it.
+const takeSlotTime = async ({ hcs, test, scheduledAt, duration, ignore }) => {
+    const start = new Date(scheduledAt);
+    const day = await ensureReservation(hcs, test, start);
+
+    const reservation = await SlotReservation.findOneAndUpdate(
+        {
+            hcs,
+            test,
+            day,
+            times: freeTimeCondition(start, duration, ignore)
+        },
+        { $push: { times: start } },
+        { new: true }
+    );
+
+    return !!reservation;
+};
+
+// Give back a start time taken by `takeSlotTime`, leaving the day's count as it is
+const releaseSlotTime = async ({ hcs, test, scheduledAt }) => {
+    const start = new Date(scheduledAt);
+
+    await SlotReservation.updateOne(
+        {
+            hcs,
+            test,
+            day: await getReservationDay(hcs, start)
+        },
+        { $pull: { times: start } }
+    );
+};
+
+// Turn a hold into a booked start time. The capacity was already counted by
+// the hold, so only the start time is taken. Returns true when it was free.
+const claimHeldSlot = takeSlotTime;
+
+// Undo `claimHeldSlot`, leaving the hold in place
+const unclaimHeldSlot = releaseSlotTime;
+
+module.exports = {
+    getReservedCount,
+    countReservedByDay,
+    reserveSlot,
+    releaseSlot,
+    reserveHomeVisit,
+    releaseHomeVisit,
+    releaseBookingSlot,
+    slotUnavailableMessage,
+    holdSlot,
+    releaseHold,
+    takeSlotTime,
+    releaseSlotTime,
+    claimHeldSlot,
+    unclaimHeldSlot
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const TestCategory = require('../models/TestCategory');
+
+// Case-insensitive matching for category names
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Find a category by id or by name. Names are accepted so clients that still
+// send the old type strings keep working; a top-level category wins a name tie.
+const findCategory = async (value) => {
+    if (!value) {
+        return null;
+    }
+    if (mongoose.isObjectIdOrHexString(value)) {
+        return TestCategory.findById(value);
+    }
+
+    const name = String(value).trim();
+    return await TestCategory.findOne({ name, parent: null }).collation(NAME_COLLATION)
+        || await TestCategory.findOne({ name }).collation(NAME_COLLATION);
+};
+
+// Build a query condition matching tests in a category or any category below it.
+// Returns null when the category doesn't exist.
+const getCategoryCondition = async (value) => {
+    const category = await findCategory(value);
+    if (!category) {
+        return null;
+    }
+    return { $in: await TestCategory.getSubtreeIds(category._id) };
+};
+
+// Nest a flat list of categories under their parents, keeping the list's order
+const buildCategoryTree = (categories) => {
+    const nodes = new Map(categories.map(category => [
+        category._id.toString(),
+        { ...category.toObject(), children: [] }
+    ]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+};
+
+module.exports = {
+    NAME_COLLATION,
+    findCategory,
+    getCategoryCondition,
+    buildCategoryTree
+};
\ No newline at end of file
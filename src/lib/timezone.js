@@ -0,0 +1,110 @@
+// Timezone used for healthcare centers that have not set their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Dhaka';
+
+// Formatters are expensive to build, so keep one per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check a string is an IANA timezone name the runtime knows, e.g. "Asia/Dhaka"
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Get the wall-clock calendar fields of a date as seen in a timezone
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+};
+
+// Get how far a timezone is ahead of UTC at a given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Get the instant a wall-clock time happens in a timezone.
+// The offset is checked a second time so times next to a DST change land correctly.
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone = DEFAULT_TIMEZONE) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const firstGuess = asUtc - getTimeZoneOffset(new Date(asUtc), timeZone);
+    const offset = getTimeZoneOffset(new Date(firstGuess), timeZone);
+    return new Date(asUtc - offset);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Format a date as a YYYY-MM-DD calendar day key
+const formatDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { year, month, day } = getZonedParts(new Date(date), timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Format a date as a 24h "HH:mm" time label
+const formatTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+    const { hour, minute } = getZonedParts(new Date(date), timeZone);
+    return `${pad(hour)}:${pad(minute)}`;
+};
+
+// Get the instant a YYYY-MM-DD day starts, or a "HH:mm" time on that day
+const parseDay = (day, timeZone = DEFAULT_TIMEZONE, time = '00:00') => {
+    const [year, month, date] = day.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return zonedTimeToDate({ year, month, day: date, hour, minute }, timeZone);
+};
+
+// Get the YYYY-MM-DD day key `count` days after another
+const addDays = (day, count) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + count)).toISOString().split('T')[0];
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToDate,
+    formatDay,
+    formatTime,
+    parseDay,
+    addDays
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const HealthcareCenter = require('../models/HealthcareCenter');
+const { holdSlot, releaseHold } = require('./slotReservation');
+const { formatDay, parseDay, getCenterTimeZone } = require('./scheduling');
+
+// How long a waitlisted customer has to claim an offered slot
+const getOfferWindowMs = () => (parseInt(process.env.WAITLIST_OFFER_MINUTES) || 60) * 60 * 1000;
+
+// Offer freed capacity on a day to the customers at the front of the queue.
+// Each offer holds one slot until it is claimed, declined or expires.
+// Returns the number of offers made.
+const offerWaitlistSlots = async (hcsId, testId, day) => {
+    const hcs = await HealthcareCenter.findById(hcsId);
+    if (!hcs || day < formatDay(new Date(), hcs.timezone)) {
+        return 0;
+    }
+
+    const date = parseDay(day, hcs.timezone);
+    if (hcs.getHoursForDate(date).closed) {
+        return 0;
+    }
+
+    const capacity = hcs.getSlotsForTest(testId);
+    let offered = 0;
+
+    while (true) {
+        const next = await WaitlistEntry.findOne({
+            hcs: hcsId,
+            test: testId,
+            day,
+            status: 'waiting'
+        }).sort({ createdAt: 1 });
+
+        if (!next) {
+            break;
+        }
+
+        const held = await holdSlot({ hcs: hcsId, test: testId, date, capacity });
+        if (!held) {
+            break;
+        }
+
+        const now = new Date();
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { _id: next._id, status: 'waiting' },
+            {
+                status: 'offered',
+                offeredAt: now,
+                offerExpiresAt: new Date(now.getTime() + getOfferWindowMs())
+            },
+            { new: true }
+        );
+
+        // The customer left the queue in the meantime; give the hold to the next one
+        if (!entry) {
+            await releaseHold({ hcs: hcsId, test: testId, date });
+            continue;
+        }
+
+        offered++;
+    }
+
+    return offered;
+};
+
+// Offer slots on every upcoming day that has customers waiting for a test at an HCS
+const offerWaitlistSlotsForTest = async (hcsId, testId) => {
+    const timeZone = await getCenterTimeZone(hcsId);
+    const days = await WaitlistEntry.distinct('day', {
+        hcs: hcsId,
+        test: testId,
+        status: 'waiting',
+        day: { $gte: formatDay(new Date(), timeZone) }
+    });
+
+    for (const day of days) {
+        await offerWaitlistSlots(hcsId, testId, day);
+    }
+};
+
+// Release a held offer and pass the slot on to the next customer in the queue
+const releaseOffer = async (entry) => {
+    const timeZone = await getCenterTimeZone(entry.hcs);
+    await releaseHold({ hcs: entry.hcs, test: entry.test, date: parseDay(entry.day, timeZone) });
+    await offerWaitlistSlots(entry.hcs, entry.test, entry.day);
+};
+
+// Expire offers that were not claimed in time and move on to the next customer
+const expireWaitlistOffers = async () => {
+    const dueOffers = await WaitlistEntry.find({
+        status: 'offered',
+        offerExpiresAt: { $lte: new Date() }
+    });
+
+    let expired = 0;
+    for (const due of dueOffers) {
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            { _id: due._id, status: 'offered' },
+            { status: 'expired' },
+            { new: true }
+        );
+
+        if (entry) {
+            await releaseOffer(entry);
+            expired++;
+        }
+    }
+
+    return expired;
+};
+
+module.exports = {
+    offerWaitlistSlots,
+    offerWaitlistSlotsForTest,
+    releaseOffer,
+    expireWaitlistOffers
+};
\ No newline at end of file
@@ -24,6 +24,37 @@ const upload = multer({
     }
 });
 
+// Report uploads: PDFs and images, checked again by content before saving
+const MAX_REPORT_FILES = 5;
+
+const reportUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (['application/pdf', 'image/jpeg', 'image/png'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only PDF, JPEG and PNG report files are allowed'), false);
+        }
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+        files: MAX_REPORT_FILES
+    }
+});
+
+// Middleware to handle report file uploads, answering upload errors with a 400
+const uploadReportFiles = (req, res, next) => {
+    reportUpload.array('reports', MAX_REPORT_FILES)(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next();
+    });
+};
+
 // Image compression and save function
 const compressAndSaveImage = async (buffer, filename, destination) => {
     try {
@@ -98,5 +129,6 @@ module.exports = {
     uploadProfilePhoto,
     processProfilePhoto,
     deleteOldProfilePhoto,
-    compressAndSaveImage
+    compressAndSaveImage,
+    uploadReportFiles
 };
\ No newline at end of file
@@ -1,10 +1,10 @@
 const mongoose = require('mongoose');
 
 const activityLogSchema = new mongoose.Schema({
+    // Empty when the action was performed by the system, e.g. by a scheduled job
     user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: [true, 'User is required']
+        ref: 'User'
     },
     action: {
         type: String,
@@ -18,6 +18,7 @@ const activityLogSchema = new mongoose.Schema({
 
             // Booking actions
             'BOOKING_CREATE', 'BOOKING_UPDATE', 'BOOKING_DELETE', 'BOOKING_VIEW', 'BOOKING_STATUS_CHANGE',
+            'BOOKING_NO_SHOW', 'BOOKING_AUTO_CANCEL',
 
             // Healthcare Center actions
             'HCS_CREATE', 'HCS_UPDATE', 'HCS_DELETE', 'HCS_VIEW',
@@ -28,8 +29,14 @@ const activityLogSchema = new mongoose.Schema({
             // Review actions
             'REVIEW_CREATE', 'REVIEW_UPDATE', 'REVIEW_DELETE', 'REVIEW_VIEW', 'REVIEW_STATUS_CHANGE',
 
+            // Payment actions
+            'PAYMENT_CREATE', 'PAYMENT_REFUND',
+
+            // Result sharing actions
+            'CONSENT_CREATE', 'CONSENT_REVOKE', 'CONSENT_ACCESS',
+
             // Report actions
-            'REPORT_VIEW', 'REPORT_EXPORT',
+            'REPORT_VIEW', 'REPORT_EXPORT', 'REPORT_UPLOAD', 'REPORT_DOWNLOAD', 'REPORT_DELETE',
 
             // Dashboard actions
             'DASHBOARD_VIEW',
@@ -46,7 +53,7 @@ const activityLogSchema = new mongoose.Schema({
         required: [true, 'Resource is required'],
         enum: [
             'USER', 'BOOKING', 'HEALTHCARE_CENTER', 'TEST', 'REVIEW',
-            'DASHBOARD', 'PROFILE', 'REPORT', 'AUTH', 'SYSTEM'
+            'DASHBOARD', 'PROFILE', 'REPORT', 'AUTH', 'SYSTEM', 'PAYMENT', 'CONSENT'
         ]
     },
     resourceId: {
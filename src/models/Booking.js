@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; completed, canceled and no-show are terminal
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'canceled'],
+    confirmed: ['completed', 'canceled', 'no-show'],
+    completed: [],
+    canceled: [],
+    'no-show': []
+};
+
 const bookingSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +27,7 @@ const bookingSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'completed', 'canceled'],
+        enum: ['pending', 'confirmed', 'completed', 'canceled', 'no-show'],
         default: 'pending'
     },
     scheduledAt: {
@@ -30,6 +39,194 @@ const bookingSchema = new mongoose.Schema({
         type: Number
         // Removed required validation since it's set automatically in pre-save hook
     },
+    // Price before any promo discount; priceAtBooking is what the customer pays
+    originalPrice: {
+        type: Number
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Discount cannot be negative']
+    },
+    promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion',
+        default: null
+    },
+    promoCode: {
+        type: String
+    },
+    // The doctor's referral this booking was made from, if any
+    referral: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Referral',
+        default: null
+    },
+    // Copied from the booking's invoice whenever a payment or refund settles
+    paymentStatus: {
+        type: String,
+        enum: ['unpaid', 'paid', 'refunded', 'partially-refunded'],
+        default: 'unpaid'
+    },
+    // Who the test is for: the account holder or one of their dependents.
+    // Details are copied at booking time so later profile edits don't change history.
+    patient: {
+        dependent: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        name: {
+            type: String,
+            trim: true
+        },
+        dateOfBirth: {
+            type: Date
+        },
+        sex: {
+            type: String,
+            enum: ['male', 'female', 'other']
+        },
+        relationship: {
+            type: String,
+            default: 'self'
+        }
+    },
+    // Whether the sample is taken at the center or by a home visit
+    collectionType: {
+        type: String,
+        enum: ['at-center', 'home'],
+        default: 'at-center'
+    },
+    // Where the home visit takes place (home collection only)
+    collectionAddress: {
+        type: String,
+        maxlength: [200, 'Address cannot be more than 200 characters'],
+        trim: true
+    },
+    collectionLocation: {
+        lat: {
+            type: Number,
+            min: [-90, 'Latitude must be between -90 and 90'],
+            max: [90, 'Latitude must be between -90 and 90']
+        },
+        lng: {
+            type: Number,
+            min: [-180, 'Longitude must be between -180 and 180'],
+            max: [180, 'Longitude must be between -180 and 180']
+        }
+    },
+    // Home visit fee included in priceAtBooking
+    homeVisitFee: {
+        type: Number,
+        default: 0,
+        min: [0, 'Home visit fee cannot be negative']
+    },
+    // Issued when the booking is confirmed; shown at the front desk on arrival
+    checkInCode: {
+        type: String
+    },
+    // Signed payload for the check-in QR code
+    checkInToken: {
+        type: String
+    },
+    checkedInAt: {
+        type: Date
+    },
+    checkedInBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Preparation steps the customer ticks off before the appointment,
+    // built from the test's preparation when the booking is made
+    preparationChecklist: [{
+        kind: {
+            type: String,
+            enum: ['fasting', 'document', 'avoid'],
+            required: true
+        },
+        label: {
+            type: String,
+            required: true
+        },
+        done: {
+            type: Boolean,
+            default: false
+        },
+        doneAt: {
+            type: Date
+        }
+    }],
+    // Details of the cancellation, set when the booking is canceled
+    cancellation: {
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot be more than 500 characters']
+        },
+        // Late cancellation fee charged under the HCS cancellation policy
+        fee: {
+            type: Number,
+            min: [0, 'Cancellation fee cannot be negative']
+        },
+        late: {
+            type: Boolean
+        },
+        canceledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        canceledAt: {
+            type: Date
+        }
+    },
+    // Set when the booking was created as part of a multi-test order
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    // Every status change, oldest first
+    statusHistory: [{
+        from: {
+            type: String
+        },
+        to: {
+            type: String,
+            required: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Reason cannot be more than 500 characters']
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Every change of appointment time, oldest first
+    rescheduleHistory: [{
+        from: {
+            type: Date,
+            required: true
+        },
+        to: {
+            type: Date,
+            required: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     extraFields: {
         type: Map,
         of: mongoose.Schema.Types.Mixed,
@@ -39,9 +236,26 @@ const bookingSchema = new mongoose.Schema({
     timestamps: true
 });
 
+bookingSchema.index({ checkInCode: 1 });
+bookingSchema.index({ hcs: 1, scheduledAt: 1 });
+
+// Issue check-in credentials the first time a booking is confirmed
+bookingSchema.pre('save', function (next) {
+    if (this.isModified('status') && this.status === 'confirmed' && !this.checkInCode) {
+        const { generateCheckInCode, signCheckInToken } = require('../lib/checkIn');
+        this.checkInCode = generateCheckInCode();
+        this.checkInToken = signCheckInToken(this);
+    }
+    next();
+});
+
 // Before saving, set the price at booking
 bookingSchema.pre('save', async function (next) {
     if (this.isNew) {
+        if (this.statusHistory.length === 0) {
+            this.statusHistory.push({ to: this.status, changedBy: this.user });
+        }
+
         // Get the test and HCS to determine the price
         const Test = require('./Test');
         const test = await Test.findById(this.test);
@@ -50,12 +264,37 @@ bookingSchema.pre('save', async function (next) {
             const hcsPricing = test.hcsPricing.find(
                 pricing => pricing.hcs.toString() === this.hcs.toString() && pricing.status === 'approved'
             );
-            this.priceAtBooking = hcsPricing ? hcsPricing.price : test.price;
+            this.originalPrice = (hcsPricing ? hcsPricing.price : test.price) + (this.homeVisitFee || 0);
+            this.priceAtBooking = Math.max(0, this.originalPrice - (this.discount || 0));
+
+            if (this.preparationChecklist.length === 0) {
+                const { buildPreparationChecklist } = require('../lib/preparation');
+                this.preparationChecklist = buildPreparationChecklist(test.getPreparation(this.hcs));
+            }
         } else {
+            this.originalPrice = 0;
             this.priceAtBooking = 0;
         }
     }
     next();
 });
 
+// Method to check whether the booking may move to a new status
+bookingSchema.methods.canTransitionTo = function (status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status and record the transition in the history
+bookingSchema.methods.transitionTo = function (status, changedBy, reason) {
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy,
+        reason
+    });
+    this.status = status;
+};
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
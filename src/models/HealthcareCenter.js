@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone, getZonedParts, formatDay, parseDay } = require('../lib/timezone');
+
+// 24h "HH:mm" time of day
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const healthcareCenterSchema = new mongoose.Schema({
     name: {
@@ -53,6 +57,176 @@ const healthcareCenterSchema = new mongoose.Schema({
             max: [100, 'Available slots cannot exceed 100 per day']
         }
     }],
+    // Daily opening hours used to build the appointment time grid (24h "HH:mm")
+    openingHours: {
+        open: {
+            type: String,
+            default: '09:00',
+            match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+        },
+        close: {
+            type: String,
+            default: '17:00',
+            match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+        }
+    },
+    // IANA timezone the center's days, opening hours and closures are in
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: 'Timezone must be a valid IANA timezone name, e.g. Asia/Dhaka'
+        }
+    },
+    // Per-weekday hours overriding openingHours (0 = Sunday ... 6 = Saturday)
+    weeklyHours: [{
+        dayOfWeek: {
+            type: Number,
+            required: true,
+            min: [0, 'Day of week must be between 0 and 6'],
+            max: [6, 'Day of week must be between 0 and 6']
+        },
+        open: {
+            type: String,
+            match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+        },
+        close: {
+            type: String,
+            match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+        },
+        closed: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    // Dated exceptions to the weekly hours: holidays, maintenance and half days
+    closures: [{
+        // Calendar day in YYYY-MM-DD format
+        date: {
+            type: String,
+            required: [true, 'Closure date is required'],
+            match: [/^\d{4}-\d{2}-\d{2}$/, 'Closure date must be in YYYY-MM-DD format']
+        },
+        type: {
+            type: String,
+            enum: ['holiday', 'maintenance', 'half-day'],
+            default: 'holiday'
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Reason cannot be more than 200 characters']
+        },
+        // Reduced hours for half days
+        open: {
+            type: String,
+            match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+        },
+        close: {
+            type: String,
+            match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+        }
+    }],
+    // Coordinates of the center, used for the home collection service area and routes
+    location: {
+        lat: {
+            type: Number,
+            min: [-90, 'Latitude must be between -90 and 90'],
+            max: [90, 'Latitude must be between -90 and 90']
+        },
+        lng: {
+            type: Number,
+            min: [-180, 'Longitude must be between -180 and 180'],
+            max: [180, 'Longitude must be between -180 and 180']
+        }
+    },
+    // Home sample collection by a visiting phlebotomist
+    homeCollection: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        fee: {
+            type: Number,
+            default: 0,
+            min: [0, 'Home visit fee cannot be negative']
+        },
+        // Home visits per day, separate from the center's test slots
+        dailyCapacity: {
+            type: Number,
+            default: 0,
+            min: [0, 'Daily capacity cannot be negative'],
+            max: [100, 'Daily capacity cannot exceed 100 per day']
+        },
+        // Service area: distance from the center's location
+        serviceRadiusKm: {
+            type: Number,
+            default: 10,
+            min: [0, 'Service radius cannot be negative']
+        }
+    },
+    // Restrictions on who may book at this HCS
+    bookingRestrictions: {
+        // Customers with this many no-shows here can't book again; 0 disables the check
+        maxNoShows: {
+            type: Number,
+            default: 0,
+            min: [0, 'Maximum no-shows cannot be negative']
+        }
+    },
+    // Rules for customer cancellations
+    cancellationPolicy: {
+        // Customers can cancel free of charge until this many hours before the appointment
+        freeCancelCutoffHours: {
+            type: Number,
+            default: 24,
+            min: [0, 'Free cancellation cutoff cannot be negative']
+        },
+        // Charged for cancellations after the cutoff
+        lateCancelFee: {
+            type: {
+                type: String,
+                enum: ['percentage', 'fixed'],
+                default: 'percentage'
+            },
+            amount: {
+                type: Number,
+                default: 0,
+                min: [0, 'Late cancellation fee cannot be negative']
+            }
+        },
+        // Whether customers may still cancel once the HCS has confirmed the booking
+        allowCustomerCancelAfterConfirmation: {
+            type: Boolean,
+            default: true
+        }
+    },
+    // Limits on how customers may reschedule their bookings
+    reschedulePolicy: {
+        maxReschedules: {
+            type: Number,
+            default: 2,
+            min: [0, 'Maximum reschedules cannot be negative']
+        },
+        // Reschedules are not allowed within this many hours of the appointment
+        minHoursBeforeAppointment: {
+            type: Number,
+            default: 24,
+            min: [0, 'Minimum hours before appointment cannot be negative']
+        }
+    },
+    // Secret in the center's read-only calendar feed URL
+    calendarFeedToken: {
+        type: String,
+        select: false
+    },
+    // Last invoice number issued by the center; incremented atomically per invoice
+    invoiceSequence: {
+        type: Number,
+        default: 0,
+        select: false
+    },
     extraFields: {
         type: Map,
         of: mongoose.Schema.Types.Mixed,
@@ -78,4 +252,93 @@ healthcareCenterSchema.methods.setSlotsForTest = function (testId, slots) {
     }
 };
 
+// Method to get the hours the center is open on a date.
+// Dated closures win over weekly hours, which win over the default opening hours.
+healthcareCenterSchema.methods.getHoursForDate = function (date) {
+    const day = formatDay(date, this.timezone);
+    const { open = '09:00', close = '17:00' } = this.openingHours || {};
+
+    const closure = (this.closures || []).find(item => item.date === day);
+    if (closure) {
+        if (closure.type === 'half-day' && closure.open && closure.close) {
+            return { closed: false, open: closure.open, close: closure.close, reason: closure.reason || 'Half day' };
+        }
+        const label = closure.type === 'maintenance' ? 'Closed for maintenance' : 'Closed for a holiday';
+        return { closed: true, reason: closure.reason ? `${label}: ${closure.reason}` : label };
+    }
+
+    const { weekday: dayOfWeek } = getZonedParts(new Date(date), this.timezone);
+    const weekday = (this.weeklyHours || []).find(item => item.dayOfWeek === dayOfWeek);
+    if (weekday) {
+        if (weekday.closed) {
+            return { closed: true, reason: 'Closed on this day of the week' };
+        }
+        return { closed: false, open: weekday.open || open, close: weekday.close || close, reason: null };
+    }
+
+    return { closed: false, open, close, reason: null };
+};
+
+// Method to get the appointment start times for a test of the given duration on a date.
+// Slots are laid back to back from opening time; the last one must finish by closing time.
+healthcareCenterSchema.methods.getTimeSlots = function (date, duration) {
+    const hours = this.getHoursForDate(date);
+    if (hours.closed) {
+        return [];
+    }
+    const day = formatDay(date, this.timezone);
+    const openAt = parseDay(day, this.timezone, hours.open);
+    const closeAt = parseDay(day, this.timezone, hours.close);
+
+    const slots = [];
+    const step = duration * 60 * 1000;
+    for (let start = openAt.getTime(); start + step <= closeAt.getTime(); start += step) {
+        slots.push(new Date(start));
+    }
+    return slots;
+};
+
+// Method to work out what canceling a booking would cost under the cancellation policy.
+// Only customer cancellations are restricted or charged.
+healthcareCenterSchema.methods.getCancellationTerms = function (booking, byCustomer) {
+    const {
+        freeCancelCutoffHours = 24,
+        lateCancelFee = {},
+        allowCustomerCancelAfterConfirmation = true
+    } = this.cancellationPolicy || {};
+
+    const scheduledAt = new Date(booking.scheduledAt);
+    const freeCancelUntil = new Date(scheduledAt.getTime() - freeCancelCutoffHours * 3600 * 1000);
+    const terms = {
+        allowed: true,
+        message: null,
+        late: false,
+        fee: 0,
+        freeCancelUntil
+    };
+
+    if (!byCustomer) {
+        return terms;
+    }
+
+    if (booking.status === 'confirmed' && !allowCustomerCancelAfterConfirmation) {
+        terms.allowed = false;
+        terms.message = 'This healthcare center does not allow customers to cancel confirmed bookings. Please contact the center.';
+        return terms;
+    }
+
+    if (new Date() > freeCancelUntil) {
+        const price = booking.priceAtBooking || 0;
+        const amount = lateCancelFee.amount || 0;
+        const fee = lateCancelFee.type === 'fixed' ? Math.min(amount, price) : price * amount / 100;
+
+        terms.late = true;
+        terms.fee = Math.round(fee * 100) / 100;
+    }
+
+    return terms;
+};
+
+healthcareCenterSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('HealthcareCenter', healthcareCenterSchema);
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// What a customer owes for one booking and how much of it has been paid or refunded.
+// Amounts are totals of the succeeded payments and refunds recorded against it.
+const invoiceSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    // Sequential per healthcare center, e.g. INV-3F9A1C-000042
+    number: {
+        type: String
+    },
+    sequence: {
+        type: Number
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'BDT'
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['unpaid', 'paid', 'refunded', 'partially-refunded'],
+        default: 'unpaid'
+    },
+    paidAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+invoiceSchema.index({ hcs: 1, status: 1 });
+invoiceSchema.index(
+    { hcs: 1, sequence: 1 },
+    { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+invoiceSchema.index({ user: 1, paidAt: 1 });
+
+// Work out the invoice status from the amounts paid and refunded
+invoiceSchema.methods.computeStatus = function () {
+    if (this.amountPaid > 0 && this.amountRefunded >= this.amountPaid) {
+        return 'refunded';
+    }
+    if (this.amountRefunded > 0) {
+        return 'partially-refunded';
+    }
+    if (this.amountPaid > 0 && this.amountPaid >= this.amount) {
+        return 'paid';
+    }
+    return 'unpaid';
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
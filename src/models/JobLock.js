@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Lease that lets only one server instance run a scheduled job at a time
+const jobLockSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Lock name is required'],
+        unique: true
+    },
+    // Instance currently holding the lease
+    lockedBy: {
+        type: String,
+        required: [true, 'Lock owner is required']
+    },
+    lockedUntil: {
+        type: Date,
+        required: [true, 'Lock expiry is required']
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One analyte value measured for a booking. The unit and reference range are
+// copied from the test when entered so later test edits don't change history.
+const labResultSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    test: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Test',
+        required: [true, 'Test is required']
+    },
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    // The dependent the booking was for; null for the account holder
+    dependent: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Analyte code from the test, see Test.analytes
+    analyte: {
+        type: String,
+        required: [true, 'Analyte is required'],
+        lowercase: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    unit: {
+        type: String
+    },
+    value: {
+        type: Number,
+        required: [true, 'Value is required']
+    },
+    // Empty when the test has no reference range for the patient
+    flag: {
+        type: String,
+        enum: ['low', 'normal', 'high', 'critical', null],
+        default: null
+    },
+    referenceRange: {
+        low: Number,
+        high: Number,
+        criticalLow: Number,
+        criticalHigh: Number
+    },
+    comment: {
+        type: String,
+        maxlength: [500, 'Comment cannot be more than 500 characters'],
+        trim: true
+    },
+    // When the sample was taken, used to order a patient's history
+    collectedAt: {
+        type: Date,
+        required: true
+    },
+    enteredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+labResultSchema.index({ booking: 1, analyte: 1 }, { unique: true });
+labResultSchema.index({ user: 1, dependent: 1, analyte: 1, collectedAt: 1 });
+
+module.exports = mongoose.model('LabResult', labResultSchema);
\ No newline at end of file
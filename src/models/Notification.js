@@ -30,7 +30,7 @@ const notificationSchema = new mongoose.Schema({
     relatedResource: {
         type: {
             type: String,
-            enum: ['booking', 'test', 'hcs', 'review']
+            enum: ['booking', 'test', 'hcs', 'review', 'waitlist']
         },
         id: {
             type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A customer's checkout of several tests at one HCS on the same visit.
+// Every line gets its own Booking; the bookings are created together or not at all.
+const orderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    // Calendar day of the visit in YYYY-MM-DD format
+    day: {
+        type: String,
+        required: [true, 'Day is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be in YYYY-MM-DD format']
+    },
+    lines: [{
+        test: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Test',
+            required: true
+        },
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            required: true
+        },
+        scheduledAt: {
+            type: Date,
+            required: true
+        },
+        // Approved HCS price of the test when the order was placed
+        price: {
+            type: Number,
+            required: true,
+            min: [0, 'Price cannot be negative']
+        }
+    }],
+    total: {
+        type: Number,
+        required: true,
+        min: [0, 'Total cannot be negative']
+    }
+}, {
+    timestamps: true
+});
+
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ hcs: 1, day: 1 });
+
+module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
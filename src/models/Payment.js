@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// One attempt to pay an invoice through a payment gateway, with any refunds made against it
+const paymentSchema = new mongoose.Schema({
+    invoice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice',
+        required: [true, 'Invoice is required']
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    // Adapter that handled the payment, see lib/paymentGateways
+    gateway: {
+        type: String,
+        enum: ['cash', 'mock-card'],
+        required: [true, 'Payment gateway is required']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0.01, 'Amount must be greater than zero']
+    },
+    currency: {
+        type: String,
+        default: 'BDT'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    // The gateway's id for the payment, used to match webhook callbacks
+    gatewayReference: {
+        type: String
+    },
+    // Where the customer completes a card payment
+    checkoutUrl: {
+        type: String
+    },
+    // Staff member who took a cash payment at the counter
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    paidAt: {
+        type: Date
+    },
+    failureReason: {
+        type: String
+    },
+    refunds: [{
+        amount: {
+            type: Number,
+            required: true,
+            min: [0.01, 'Refund amount must be greater than zero']
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'succeeded', 'failed'],
+            default: 'pending'
+        },
+        gatewayReference: {
+            type: String
+        },
+        reason: {
+            type: String,
+            maxlength: [500, 'Reason cannot be more than 500 characters']
+        },
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        completedAt: {
+            type: Date
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ gateway: 1, gatewayReference: 1 });
+paymentSchema.index({ gateway: 1, 'refunds.gatewayReference': 1 });
+paymentSchema.index({ booking: 1 });
+
+// Method to get how much of the payment can still be refunded
+paymentSchema.methods.getRefundableAmount = function () {
+    if (this.status !== 'succeeded') {
+        return 0;
+    }
+    const refunded = this.refunds
+        .filter(refund => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+    return Math.max(0, Math.round((this.amount - refunded) * 100) / 100);
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
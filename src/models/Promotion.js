@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// A marketing campaign code giving a discount on bookings.
+// Empty scope lists mean the promotion applies to every test, test category or HCS.
+const promotionSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Promo code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, dashes or underscores']
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description cannot be more than 200 characters']
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        required: [true, 'Discount type is required']
+    },
+    // Percent off for percentage discounts, amount off for fixed ones
+    discountValue: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: [0, 'Discount value cannot be negative']
+    },
+    // Optional ceiling on the amount a percentage discount can take off
+    maxDiscount: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative'],
+        default: null
+    },
+    validFrom: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    validUntil: {
+        type: Date,
+        required: [true, 'End date is required']
+    },
+    // Total uses across all customers; null means unlimited
+    usageLimit: {
+        type: Number,
+        min: [1, 'Usage limit must be at least 1'],
+        default: null
+    },
+    perUserLimit: {
+        type: Number,
+        min: [1, 'Per-user limit must be at least 1'],
+        default: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    scope: {
+        tests: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Test'
+        }],
+        // A category also covers every category below it
+        categories: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TestCategory'
+        }],
+        hcs: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'HealthcareCenter'
+        }]
+    },
+    // One entry per booking that used the code, for the per-user limit
+    redemptions: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            required: true
+        },
+        redeemedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+promotionSchema.pre('validate', function (next) {
+    if (this.discountType === 'percentage' && this.discountValue > 100) {
+        this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+    }
+    if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+        this.invalidate('validUntil', 'End date must be after start date');
+    }
+    next();
+});
+
+// Method to count how many times a customer has used the code
+promotionSchema.methods.getUsesByUser = function (userId) {
+    return this.redemptions.filter(redemption => redemption.user.toString() === userId.toString()).length;
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
\ No newline at end of file
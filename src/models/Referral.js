@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// How long a referral can be booked from when the doctor doesn't set a date
+const DEFAULT_VALID_DAYS = 90;
+
+// A doctor's referral (prescription) of tests for a customer. Each test is
+// booked separately; the booking made for it is linked here.
+const referralSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor is required']
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Customer is required']
+    },
+    // The account holder or one of their dependents, copied like Booking.patient
+    patient: {
+        dependent: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        name: {
+            type: String,
+            trim: true
+        }
+    },
+    tests: {
+        type: [{
+            test: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Test',
+                required: [true, 'Test is required']
+            },
+            // The latest booking made for this test; a canceled one can be replaced
+            booking: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Booking',
+                default: null
+            }
+        }],
+        validate: {
+            validator: (tests) => tests.length > 0,
+            message: 'A referral needs at least one test'
+        }
+    },
+    notes: {
+        type: String,
+        required: [true, 'Clinical notes are required'],
+        trim: true,
+        maxlength: [2000, 'Notes cannot be more than 2000 characters']
+    },
+    status: {
+        type: String,
+        enum: ['open', 'canceled'],
+        default: 'open'
+    },
+    validUntil: {
+        type: Date,
+        default: () => new Date(Date.now() + DEFAULT_VALID_DAYS * 24 * 60 * 60 * 1000)
+    },
+    canceledAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+referralSchema.index({ doctor: 1, createdAt: -1 });
+referralSchema.index({ customer: 1, status: 1 });
+
+// Check the same test isn't referred twice
+referralSchema.pre('validate', function (next) {
+    const testIds = this.tests.map(item => item.test && item.test.toString());
+    if (new Set(testIds).size !== testIds.length) {
+        this.invalidate('tests', 'Each test can only be referred once');
+    }
+    next();
+});
+
+// Method to check whether the referral can still be booked from
+referralSchema.methods.isOpen = function (now = new Date()) {
+    return this.status === 'open' && (!this.validUntil || this.validUntil > now);
+};
+
+module.exports = mongoose.model('Referral', referralSchema);
\ No newline at end of file
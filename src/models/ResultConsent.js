@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// How long a share link keeps working after it is first opened
+const LINK_SESSION_MINUTES = parseInt(process.env.SHARE_LINK_SESSION_MINUTES) || 30;
+
+// A customer's permission for someone to read the results of selected bookings:
+// either a Doctor user, or whoever holds a one-time share link
+const resultConsentSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Customer is required']
+    },
+    type: {
+        type: String,
+        enum: ['doctor', 'link'],
+        required: [true, 'Consent type is required']
+    },
+    // The doctor given access (doctor consents only)
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Secret in the share link URL (link consents only)
+    token: {
+        type: String,
+        select: false
+    },
+    bookings: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking'
+        }],
+        validate: {
+            validator: (bookings) => bookings.length > 0,
+            message: 'Select at least one booking to share'
+        }
+    },
+    // Optional for doctors; required for share links
+    expiresAt: {
+        type: Date
+    },
+    // When a share link was first opened; it stops working a short while after
+    firstUsedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot be more than 200 characters']
+    }
+}, {
+    timestamps: true
+});
+
+resultConsentSchema.index({ customer: 1, createdAt: -1 });
+resultConsentSchema.index({ doctor: 1, revokedAt: 1 });
+resultConsentSchema.index({ token: 1 }, { unique: true, sparse: true });
+
+// Check each consent type has who it is for
+resultConsentSchema.pre('validate', function (next) {
+    if (this.type === 'doctor' && !this.doctor) {
+        this.invalidate('doctor', 'Doctor is required');
+    }
+    if (this.type === 'link' && (!this.token || !this.expiresAt)) {
+        this.invalidate('expiresAt', 'Share links need a token and an expiry time');
+    }
+    next();
+});
+
+// Method to get whether the consent is active, revoked, expired or used up
+resultConsentSchema.methods.getStatus = function (now = new Date()) {
+    if (this.revokedAt) {
+        return 'revoked';
+    }
+    if (this.expiresAt && this.expiresAt <= now) {
+        return 'expired';
+    }
+    if (this.type === 'link' && this.firstUsedAt
+        && now.getTime() - this.firstUsedAt.getTime() > LINK_SESSION_MINUTES * 60 * 1000) {
+        return 'used';
+    }
+    return 'active';
+};
+
+module.exports = mongoose.model('ResultConsent', resultConsentSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Running tally of the slots taken for one test at one HCS on one day,
+// or of the home collection visits booked at one HCS on one day.
+// Bookings reserve capacity here with a single conditional update so that
+// concurrent requests can never take more slots than the HCS allows.
+const slotReservationSchema = new mongoose.Schema({
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    // Null for the HCS's home collection capacity, which is shared by all tests
+    test: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Test',
+        default: null
+    },
+    // Calendar day in YYYY-MM-DD format
+    day: {
+        type: String,
+        required: [true, 'Day is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be in YYYY-MM-DD format']
+    },
+    count: {
+        type: Number,
+        default: 0,
+        min: [0, 'Reserved count cannot be negative']
+    },
+    // Start times that are already taken on this day
+    times: [{
+        type: Date
+    }]
+}, {
+    timestamps: true
+});
+
+slotReservationSchema.index({ hcs: 1, test: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
\ No newline at end of file
@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 
+// What a patient needs to do before the test. Used on the test itself and as an
+// optional per-HCS override, where only the fields given replace the test's.
+const preparationSchema = new mongoose.Schema({
+    fastingHours: {
+        type: Number,
+        min: [0, 'Fasting hours cannot be negative'],
+        max: [72, 'Fasting hours cannot be more than 72']
+    },
+    documents: {
+        type: [{
+            type: String,
+            trim: true,
+            maxlength: [200, 'Document cannot be more than 200 characters']
+        }],
+        default: undefined
+    },
+    avoid: {
+        type: [{
+            type: String,
+            trim: true,
+            maxlength: [200, 'Item to avoid cannot be more than 200 characters']
+        }],
+        default: undefined
+    },
+    instructions: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Instructions cannot be more than 1000 characters']
+    }
+}, { _id: false });
+
 const testSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -12,11 +43,14 @@ const testSchema = new mongoose.Schema({
         required: [true, 'Test description is required'],
         maxlength: [500, 'Description cannot be more than 500 characters']
     },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TestCategory'
+    },
+    // Name of the category, kept in step with it for clients that still read type
     type: {
         type: String,
-        required: [true, 'Test type is required'],
-        enum: ['Blood Test', 'X-Ray', 'MRI', 'CT Scan', 'Ultrasound', 'ECG', 'Other'],
-        default: 'Blood Test'
+        trim: true
     },
     // Base price for the test (can be overridden by HCS-specific pricing)
     price: {
@@ -41,13 +75,60 @@ const testSchema = new mongoose.Schema({
             type: String,
             enum: ['pending', 'approved', 'rejected'],
             default: 'approved'
-        }
+        },
+        // Preparation this HCS asks for instead of the test's own
+        preparation: preparationSchema
     }],
     duration: {
         type: Number,
         required: [true, 'Test duration is required'],
         min: [1, 'Duration must be at least 1 minute']
     },
+    preparation: preparationSchema,
+    // Values measured by the test, entered per booking as structured results
+    analytes: [{
+        // Stable identifier shared by tests that measure the same thing, e.g. hemoglobin
+        code: {
+            type: String,
+            required: [true, 'Analyte code is required'],
+            lowercase: true,
+            trim: true,
+            match: [/^[a-z0-9][a-z0-9_-]*$/, 'Analyte code may only contain letters, numbers, dashes and underscores'],
+            maxlength: [50, 'Analyte code cannot be more than 50 characters']
+        },
+        name: {
+            type: String,
+            required: [true, 'Analyte name is required'],
+            trim: true,
+            maxlength: [100, 'Analyte name cannot be more than 100 characters']
+        },
+        unit: {
+            type: String,
+            trim: true,
+            maxlength: [30, 'Unit cannot be more than 30 characters']
+        },
+        // The most specific range matching the patient's sex and age is used
+        referenceRanges: [{
+            sex: {
+                type: String,
+                enum: ['male', 'female', 'any'],
+                default: 'any'
+            },
+            // Age in years; minAge is inclusive and maxAge exclusive
+            minAge: {
+                type: Number,
+                min: [0, 'Age cannot be negative']
+            },
+            maxAge: {
+                type: Number,
+                min: [0, 'Age cannot be negative']
+            },
+            low: Number,
+            high: Number,
+            criticalLow: Number,
+            criticalHigh: Number
+        }]
+    }],
     extraFields: {
         type: Map,
         of: mongoose.Schema.Types.Mixed,
@@ -57,4 +138,47 @@ const testSchema = new mongoose.Schema({
     timestamps: true
 });
 
+testSchema.index({ category: 1 });
+
+// Check analyte codes are unique within the test and reference ranges make sense
+testSchema.pre('validate', function (next) {
+    const codes = new Set();
+
+    (this.analytes || []).forEach((analyte, index) => {
+        if (codes.has(analyte.code)) {
+            this.invalidate(`analytes.${index}.code`, `Analyte code ${analyte.code} is used more than once`);
+        }
+        codes.add(analyte.code);
+
+        analyte.referenceRanges.forEach((range, rangeIndex) => {
+            const path = `analytes.${index}.referenceRanges.${rangeIndex}`;
+            if (range.low === undefined && range.high === undefined) {
+                this.invalidate(path, `Reference ranges for ${analyte.name} need a low or high value`);
+            } else if (range.low !== undefined && range.high !== undefined && range.low > range.high) {
+                this.invalidate(path, `Reference range low cannot be above high for ${analyte.name}`);
+            } else if (range.minAge !== undefined && range.maxAge !== undefined && range.minAge >= range.maxAge) {
+                this.invalidate(path, `Reference range minimum age must be below maximum age for ${analyte.name}`);
+            }
+        });
+    });
+    next();
+});
+
+// Method to get the preparation for the test at an HCS, applying the HCS's override
+testSchema.methods.getPreparation = function (hcsId) {
+    const base = this.preparation || {};
+    const pricing = hcsId && this.hcsPricing.find(
+        item => (item.hcs._id || item.hcs).toString() === hcsId.toString()
+    );
+    const override = (pricing && pricing.preparation) || {};
+    const pick = (field) => (override[field] !== undefined && override[field] !== null ? override[field] : base[field]);
+
+    return {
+        fastingHours: pick('fastingHours') || 0,
+        documents: pick('documents') || [],
+        avoid: pick('avoid') || [],
+        instructions: pick('instructions') || ''
+    };
+};
+
 module.exports = mongoose.model('Test', testSchema);
\ No newline at end of file
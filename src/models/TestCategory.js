@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A category tests are filed under, e.g. Imaging -> MRI -> Brain MRI.
+// ancestors holds every category above this one, root first, so a subtree can
+// be found with one query on ancestors.
+const testCategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TestCategory',
+        default: null
+    },
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TestCategory'
+    }],
+    // Icon name or image URL for the client to show next to the category
+    icon: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Icon cannot be more than 200 characters']
+    },
+    // Lower numbers are listed first among categories with the same parent
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    // Inactive categories are hidden from customers but keep their tests
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+testCategorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+testCategorySchema.index({ ancestors: 1 });
+
+// Get the ids of a category and every category below it
+testCategorySchema.statics.getSubtreeIds = async function (categoryId) {
+    const descendants = await this.find({ ancestors: categoryId }).select('_id');
+    return [categoryId, ...descendants.map(category => category._id)];
+};
+
+module.exports = mongoose.model('TestCategory', testCategorySchema);
\ No newline at end of file
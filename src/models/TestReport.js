@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A result file an HCS attached to a completed booking. The file itself lives in
+// private storage (see lib/reportStorage) and is only served through the API.
+const testReportSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    // Name of the file as uploaded, used for downloads
+    originalName: {
+        type: String,
+        required: [true, 'File name is required'],
+        maxlength: [255, 'File name cannot be more than 255 characters']
+    },
+    // Path of the file inside report storage; never sent to clients
+    storedName: {
+        type: String,
+        required: true,
+        select: false
+    },
+    mimeType: {
+        type: String,
+        enum: ['application/pdf', 'image/jpeg', 'image/png'],
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot be more than 500 characters'],
+        trim: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+testReportSchema.index({ booking: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TestReport', testReportSchema);
\ No newline at end of file
@@ -44,8 +44,36 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    // Family members the account holder books tests for
+    dependents: [{
+        name: {
+            type: String,
+            required: [true, 'Dependent name is required'],
+            trim: true,
+            maxlength: [50, 'Name cannot be more than 50 characters']
+        },
+        dateOfBirth: {
+            type: Date,
+            required: [true, 'Date of birth is required']
+        },
+        sex: {
+            type: String,
+            required: [true, 'Sex is required'],
+            enum: ['male', 'female', 'other']
+        },
+        relationship: {
+            type: String,
+            required: [true, 'Relationship is required'],
+            enum: ['child', 'parent', 'spouse', 'sibling', 'grandparent', 'other']
+        }
+    }],
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Secret in the customer's read-only calendar feed URL
+    calendarFeedToken: {
+        type: String,
+        select: false
+    },
     extraFields: {
         type: Map,
         of: mongoose.Schema.Types.Mixed,
@@ -70,4 +98,6 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    test: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Test',
+        required: [true, 'Test is required']
+    },
+    hcs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HealthcareCenter',
+        required: [true, 'Healthcare center is required']
+    },
+    // Calendar day in YYYY-MM-DD format
+    day: {
+        type: String,
+        required: [true, 'Day is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be in YYYY-MM-DD format']
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'offered', 'claimed', 'expired', 'canceled'],
+        default: 'waiting'
+    },
+    // Set while a slot is being held for this customer
+    offeredAt: {
+        type: Date
+    },
+    offerExpiresAt: {
+        type: Date
+    },
+    // Booking created when the offer was claimed
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for efficient queries
+waitlistEntrySchema.index({ hcs: 1, test: 1, day: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Move tests and promotions from the old fixed type strings to test categories.
+// Safe to run more than once: existing categories are reused and tests that
+// already have a category are left alone.
+//
+// Usage: npm run migrate:test-categories
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../lib/db');
+const Test = require('../models/Test');
+const Promotion = require('../models/Promotion');
+const TestCategory = require('../models/TestCategory');
+const { NAME_COLLATION } = require('../lib/testCategories');
+
+dotenv.config({ path: './.env' });
+
+// The values Test.type used to be limited to, in their old order
+const LEGACY_TYPES = ['Blood Test', 'X-Ray', 'MRI', 'CT Scan', 'Ultrasound', 'ECG', 'Other'];
+
+// Find the top-level category with a name, creating it if needed
+const findOrCreateCategory = async (name, sortOrder) => {
+    const existing = await TestCategory.findOne({ name, parent: null }).collation(NAME_COLLATION);
+    if (existing) {
+        return { category: existing, created: false };
+    }
+    return { category: await TestCategory.create({ name, sortOrder }), created: true };
+};
+
+const migrate = async () => {
+    await connectDB();
+
+    // Raw reads, since scope.testTypes is no longer part of the Promotion schema
+    const [testTypes, promotionTypes] = await Promise.all([
+        Test.distinct('type', { category: null }),
+        Promotion.collection.distinct('scope.testTypes')
+    ]);
+    const names = [...new Set([...LEGACY_TYPES, ...testTypes, ...promotionTypes].filter(Boolean))];
+
+    const categories = new Map();
+    let createdCount = 0;
+    for (const [index, name] of names.entries()) {
+        const { category, created } = await findOrCreateCategory(name, index * 10);
+        categories.set(name, category);
+        if (created) {
+            createdCount++;
+        }
+    }
+    console.log(`Categories: ${createdCount} created, ${names.length - createdCount} already existed`);
+
+    let testCount = 0;
+    for (const [name, category] of categories) {
+        const result = await Test.updateMany(
+            { category: null, type: name },
+            { category: category._id, type: category.name }
+        );
+        testCount += result.modifiedCount;
+    }
+    console.log(`Tests: ${testCount} moved to categories`);
+
+    const uncategorized = await Test.countDocuments({ category: null });
+    if (uncategorized > 0) {
+        console.warn(`Tests: ${uncategorized} have no type and still need a category`);
+    }
+
+    const promotions = await Promotion.collection
+        .find({ 'scope.testTypes.0': { $exists: true } })
+        .project({ 'scope.testTypes': 1 })
+        .toArray();
+    for (const promotion of promotions) {
+        const categoryIds = promotion.scope.testTypes
+            .filter(name => categories.has(name))
+            .map(name => categories.get(name)._id);
+
+        await Promotion.collection.updateOne(
+            { _id: promotion._id },
+            {
+                $addToSet: { 'scope.categories': { $each: categoryIds } },
+                $unset: { 'scope.testTypes': '' }
+            }
+        );
+    }
+    console.log(`Promotions: ${promotions.length} scoped by category instead of type`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Test category migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -0,0 +1,84 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { holdSlot } = require('../src/lib/slotReservation');
+const {
+    checkAvailability,
+    checkAllAvailability,
+    getAvailabilityCalendar
+} = require('../src/controllers/hcsController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A center with two slots a day for a test a week from now: one booked, one held for a waitlist offer
+const setUpDay = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 2);
+    const customer = await createUser();
+    await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 7, '09:00')
+    });
+    await holdSlot({ hcs: hcs._id, test: test._id, date: centerTime(hcs, 7, '00:00'), capacity: 2 });
+
+    const day = addDays(formatDay(new Date(), hcs.timezone), 7);
+    return { hcs, test, day };
+};
+
+describe('availability', () => {
+    it('counts slots held for waitlist offers as taken for a center', async () => {
+        const { hcs, test, day } = await setUpDay();
+
+        const { statusCode, body } = await callController(checkAvailability, {
+            params: { id: hcs._id.toString() },
+            query: { date: day, test: test._id.toString() }
+        });
+
+        expect(statusCode).toBe(200);
+        expect(body.data.booked).toBe(2);
+        expect(body.data.available).toBe(0);
+    });
+
+    it('counts held slots across all centers', async () => {
+        const { test, day } = await setUpDay();
+
+        const { body } = await callController(checkAllAvailability, {
+            query: { date: day, test: test._id.toString() }
+        });
+
+        expect(body.data.total).toBe(2);
+        expect(body.data.available).toBe(0);
+    });
+
+    it('counts held slots in the calendar, with or without a test', async () => {
+        const { test, day } = await setUpDay();
+
+        const forTest = await callController(getAvailabilityCalendar, {
+            query: { from: day, to: day, test: test._id.toString() }
+        });
+        expect(forTest.body.data[0].booked).toBe(2);
+        expect(forTest.body.data[0].available).toBe(0);
+
+        const overall = await callController(getAvailabilityCalendar, {
+            query: { from: day, to: day }
+        });
+        expect(overall.body.data[0].booked).toBe(2);
+    });
+
+    it('rejects a request without a date', async () => {
+        const { hcs } = await setUpDay();
+
+        const { statusCode, body } = await callController(checkAvailability, {
+            params: { id: hcs._id.toString() }
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Date parameter is required');
+    });
+});
\ No newline at end of file
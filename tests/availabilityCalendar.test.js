@@ -0,0 +1,74 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { getAvailabilityCalendar } = require('../src/controllers/hcsController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const getCalendar = (query) => callController(getAvailabilityCalendar, { query });
+
+// Two centers offering a test with three slots a day; the first is closed on the third day
+const setUpCenters = async () => {
+    const today = formatDay(new Date());
+    const from = addDays(today, 7);
+    const first = await createCenter({ closures: [{ date: addDays(from, 2), type: 'holiday' }] });
+    const second = await createCenter();
+    const test = await createTest(first, 3);
+    test.hcsPricing.push({ hcs: second._id, price: 450, status: 'approved' });
+    await test.save();
+    second.setSlotsForTest(test._id, 3);
+    await second.save();
+
+    const customer = await createUser();
+    await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: first._id,
+        scheduledAt: centerTime(first, 7, '09:00')
+    });
+
+    return { first, second, test, from };
+};
+
+describe('getAvailabilityCalendar', () => {
+    it('lists every day in the range with per-center totals', async () => {
+        const { first, test, from } = await setUpCenters();
+
+        const { statusCode, body } = await getCalendar({ from, to: addDays(from, 2), test: test._id.toString() });
+
+        expect(statusCode).toBe(200);
+        expect(body.count).toBe(3);
+        expect(body.data.map(day => day.date)).toEqual([from, addDays(from, 1), addDays(from, 2)]);
+        expect(body.data[0]).toMatchObject({ total: 6, booked: 1, available: 5 });
+        expect(body.data[1]).toMatchObject({ total: 6, booked: 0, available: 6 });
+
+        const closedDay = body.data[2].centers.find(center => center.hcs.toString() === first._id.toString());
+        expect(closedDay).toMatchObject({ closed: true, total: 0, available: 0 });
+    });
+
+    it('narrows the calendar to one center', async () => {
+        const { second, from } = await setUpCenters();
+
+        const { body } = await getCalendar({ from, to: from, hcs: second._id.toString() });
+
+        expect(body.data[0].centers).toHaveLength(1);
+        expect(body.data[0].booked).toBe(0);
+    });
+
+    it('rejects ranges that are reversed, too long or badly formatted', async () => {
+        const { from } = await setUpCenters();
+
+        const reversed = await getCalendar({ from: addDays(from, 1), to: from });
+        const tooLong = await getCalendar({ from, to: addDays(from, 60) });
+        const badFormat = await getCalendar({ from: '20261101', to: from });
+
+        expect(reversed.statusCode).toBe(400);
+        expect(tooLong.statusCode).toBe(400);
+        expect(tooLong.body.message).toBe('Date range cannot be longer than 60 days');
+        expect(badFormat.statusCode).toBe(400);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const ActivityLog = require('../src/models/ActivityLog');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { bulkUpdateBookings } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// Create a pending booking at a center a few days from now
+const createBooking = async (hcs, test, customer, time) => Booking.create({
+    user: customer._id,
+    test: test._id,
+    hcs: hcs._id,
+    scheduledAt: centerTime(hcs, 3, time)
+});
+
+// Two centers with pending bookings, and the first center's admin
+const setUpBookings = async () => {
+    const hcs = await createCenter();
+    const otherHcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const admin = await User.findById(hcs.admin);
+
+    const own = [
+        await createBooking(hcs, test, customer, '09:00'),
+        await createBooking(hcs, test, customer, '10:00')
+    ];
+    const foreign = await createBooking(otherHcs, test, customer, '09:00');
+
+    const bulk = (body, user = admin) => callController(bulkUpdateBookings, { body, user });
+
+    return { own, foreign, bulk };
+};
+
+describe('bulkUpdateBookings', () => {
+    it('confirms every booking it is given and logs each change', async () => {
+        const { own, bulk } = await setUpBookings();
+
+        const { statusCode, body } = await bulk({ ids: own.map(booking => booking._id.toString()), status: 'confirmed' });
+
+        expect(statusCode).toBe(200);
+        expect(body.summary).toEqual({ requested: 2, succeeded: 2, failed: 0 });
+        const updated = await Booking.find({ _id: { $in: own.map(booking => booking._id) } });
+        updated.forEach(booking => expect(booking.status).toBe('confirmed'));
+        expect(await ActivityLog.countDocuments({ action: 'BOOKING_STATUS_CHANGE', success: true })).toBe(2);
+    });
+
+    it('reports bookings it may not or cannot change without stopping the rest', async () => {
+        const { own, foreign, bulk } = await setUpBookings();
+
+        const { body } = await bulk({
+            ids: [own[0]._id.toString(), foreign._id.toString(), 'not-an-id'],
+            status: 'completed'
+        });
+
+        expect(body.summary).toEqual({ requested: 3, succeeded: 0, failed: 3 });
+        expect(body.data[1].message).toBe('Not authorized to update this booking');
+        expect(body.data[2].message).toBe('Booking not found');
+        expect((await Booking.findById(foreign._id)).status).toBe('pending');
+    });
+
+    it('rejects statuses that cannot be set in bulk', async () => {
+        const { own, bulk } = await setUpBookings();
+
+        const { statusCode, body } = await bulk({ ids: [own[0]._id.toString()], status: 'no-show' });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Status must be one of: confirmed, completed, canceled');
+    });
+});
\ No newline at end of file
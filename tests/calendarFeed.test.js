@@ -0,0 +1,77 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { getCalendarFeed, getHcsFeed, getCustomerFeed } = require('../src/controllers/calendarController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// Get the token out of the caller's feed URL
+const getFeedToken = async (user) => {
+    const { body } = await callController(getCalendarFeed, {
+        protocol: 'https',
+        get: () => 'api.example.com',
+        user
+    });
+    return body.data.url.match(/\/([0-9a-f]+)\.ics$/)[1];
+};
+
+// A confirmed booking, which carries a check-in code, and a booking by another customer
+const setUpBookings = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const other = await createUser();
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 3, '09:00'),
+        status: 'confirmed'
+    });
+    await Booking.create({
+        user: other._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 3, '10:00')
+    });
+    const admin = await User.findById(hcs.admin);
+
+    return { booking, customer, admin };
+};
+
+describe('calendar feeds', () => {
+    it('serves the center\'s schedule without check-in codes', async () => {
+        const { booking, admin } = await setUpBookings();
+        const token = await getFeedToken(admin);
+
+        const { statusCode, headers, body } = await callController(getHcsFeed, { params: { token } });
+
+        expect(statusCode).toBe(200);
+        expect(headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+        expect(body).toContain(`UID:booking-${booking._id}@ewel-hcs`);
+        expect(body).not.toContain(booking.checkInCode);
+    });
+
+    it('serves only the customer\'s own bookings in their feed', async () => {
+        const { booking, customer } = await setUpBookings();
+        const token = await getFeedToken(customer);
+
+        const { body } = await callController(getCustomerFeed, { params: { token } });
+
+        expect(body.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+        expect(body).toContain(`UID:booking-${booking._id}@ewel-hcs`);
+    });
+
+    it('does not serve a feed for an unknown token', async () => {
+        await setUpBookings();
+
+        const { statusCode, body } = await callController(getHcsFeed, { params: { token: 'not-a-feed' } });
+
+        expect(statusCode).toBe(404);
+        expect(body.message).toBe('Calendar feed not found');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { cancelBooking } = require('../src/controllers/bookingController');
+const { updateCancellationPolicy } = require('../src/controllers/hcsController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const HOUR = 60 * 60 * 1000;
+
+// A center charging 20% for cancellations less than 24 hours ahead, with a booking at the given time
+const setUpBooking = async (scheduledAt, policy = {}) => {
+    const hcs = await createCenter({
+        cancellationPolicy: {
+            freeCancelCutoffHours: 24,
+            lateCancelFee: { type: 'percentage', amount: 20 },
+            ...policy
+        }
+    });
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: scheduledAt(hcs)
+    });
+
+    const cancel = (user = customer, query = {}) => callController(cancelBooking, {
+        params: { id: booking._id.toString() },
+        query,
+        body: { reason: 'Plans changed' },
+        user
+    });
+
+    return { hcs, booking, cancel };
+};
+
+describe('cancellation policy', () => {
+    it('previews a free cancellation before the cutoff without canceling', async () => {
+        const { booking, cancel } = await setUpBooking(hcs => centerTime(hcs, 7, '09:00'));
+
+        const { statusCode, body } = await cancel(undefined, { dryRun: 'true' });
+
+        expect(statusCode).toBe(200);
+        expect(body.data).toMatchObject({ allowed: true, late: false, fee: 0 });
+        expect((await Booking.findById(booking._id)).status).toBe('pending');
+    });
+
+    it('charges the late fee when a customer cancels after the cutoff', async () => {
+        const { booking, cancel } = await setUpBooking(() => new Date(Date.now() + 2 * HOUR));
+
+        const { statusCode } = await cancel();
+
+        expect(statusCode).toBe(200);
+        const canceled = await Booking.findById(booking._id);
+        expect(canceled.status).toBe('canceled');
+        expect(canceled.cancellation.late).toBe(true);
+        expect(canceled.cancellation.fee).toBe(100);
+    });
+
+    it('does not charge the center\'s admin for a late cancellation', async () => {
+        const { hcs, booking, cancel } = await setUpBooking(() => new Date(Date.now() + 2 * HOUR));
+        const admin = await User.findById(hcs.admin);
+
+        const { statusCode } = await cancel(admin);
+
+        expect(statusCode).toBe(200);
+        expect((await Booking.findById(booking._id)).cancellation.fee).toBe(0);
+    });
+
+    it('stops customers canceling confirmed bookings when the center does not allow it', async () => {
+        const { booking, cancel } = await setUpBooking(
+            hcs => centerTime(hcs, 7, '09:00'),
+            { allowCustomerCancelAfterConfirmation: false }
+        );
+        await Booking.updateOne({ _id: booking._id }, { status: 'confirmed' });
+
+        const { statusCode, body } = await cancel();
+
+        expect(statusCode).toBe(403);
+        expect(body.message).toMatch(/does not allow customers to cancel confirmed bookings/);
+    });
+
+    it('does not let another customer cancel the booking', async () => {
+        const { cancel } = await setUpBooking(hcs => centerTime(hcs, 7, '09:00'));
+        const other = await createUser();
+
+        const { statusCode } = await cancel(other);
+
+        expect(statusCode).toBe(403);
+    });
+
+    it('lets only the center\'s own admin change the policy, within limits', async () => {
+        const { hcs } = await setUpBooking(center => centerTime(center, 7, '09:00'));
+        const admin = await User.findById(hcs.admin);
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+        const update = (body, user) => callController(updateCancellationPolicy, {
+            params: { id: hcs._id.toString() },
+            body,
+            user
+        });
+
+        const tooHigh = await update({ lateCancelFee: { type: 'percentage', amount: 150 } }, admin);
+        const notOwner = await update({ freeCancelCutoffHours: 6 }, otherAdmin);
+        const updated = await update({ freeCancelCutoffHours: 6, lateCancelFee: { type: 'fixed', amount: 50 } }, admin);
+
+        expect(tooHigh.statusCode).toBe(400);
+        expect(notOwner.statusCode).toBe(403);
+        expect(updated.statusCode).toBe(200);
+        expect(updated.body.data.freeCancelCutoffHours).toBe(6);
+        expect(updated.body.data.lateCancelFee.type).toBe('fixed');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { checkInBooking } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A confirmed booking at a center, today unless another day is given
+const setUpBooking = async (daysAhead = 0) => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, daysAhead, '12:00'),
+        status: 'confirmed'
+    });
+    const admin = await User.findById(hcs.admin);
+
+    const checkIn = (body) => callController(checkInBooking, { body, user: admin });
+
+    return { booking, checkIn };
+};
+
+describe('checkInBooking', () => {
+    it('issues a check-in code and QR token when a booking is confirmed', async () => {
+        const { booking } = await setUpBooking();
+
+        expect(booking.checkInCode).toMatch(/^[A-Z2-9]{6}$/);
+        expect(booking.checkInToken).toBeTruthy();
+    });
+
+    it('checks a patient in by code, once', async () => {
+        const { booking, checkIn } = await setUpBooking();
+
+        const first = await checkIn({ code: booking.checkInCode.toLowerCase() });
+        const second = await checkIn({ code: booking.checkInCode });
+
+        expect(first.statusCode).toBe(200);
+        expect(first.body.data.checkedInAt).toBeTruthy();
+        expect(second.statusCode).toBe(400);
+        expect(second.body.message).toMatch(/already checked in/);
+    });
+
+    it('checks a patient in by QR token and rejects tampered tokens', async () => {
+        const { booking, checkIn } = await setUpBooking();
+
+        const tampered = await checkIn({ qrToken: `${booking.checkInToken}x` });
+        const scanned = await checkIn({ qrToken: booking.checkInToken });
+
+        expect(tampered.statusCode).toBe(400);
+        expect(tampered.body.message).toBe('Invalid QR code');
+        expect(scanned.statusCode).toBe(200);
+    });
+
+    it('only checks in bookings for today', async () => {
+        const { booking, checkIn } = await setUpBooking(1);
+
+        const { statusCode, body } = await checkIn({ code: booking.checkInCode });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/not today/);
+    });
+
+    it('does not let another center\'s admin check the patient in', async () => {
+        const { booking } = await setUpBooking();
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const { statusCode, body } = await callController(checkInBooking, {
+            body: { code: booking.checkInCode },
+            user: otherAdmin
+        });
+
+        expect(statusCode).toBe(403);
+        expect(body.message).toBe('This check-in code belongs to another healthcare center');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const WaitlistEntry = require('../src/models/WaitlistEntry');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { holdSlot } = require('../src/lib/slotReservation');
+const { claimWaitlistOffer } = require('../src/controllers/waitlistController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A customer with a dependent holding an open offer for a slot a week from now
+const setUpOffer = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 1);
+    const customer = await createUser('Customer', {
+        dependents: [{ name: 'Rafi', dateOfBirth: new Date('2015-03-01'), sex: 'male', relationship: 'child' }]
+    });
+
+    await holdSlot({ hcs: hcs._id, test: test._id, date: centerTime(hcs, 7, '00:00'), capacity: 1 });
+    const entry = await WaitlistEntry.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        day: addDays(formatDay(new Date(), hcs.timezone), 7),
+        status: 'offered',
+        offeredAt: new Date(),
+        offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const claim = (body = {}, user = customer) => callController(claimWaitlistOffer, {
+        params: { id: entry._id.toString() },
+        body: { scheduledAt: centerTime(hcs, 7, '09:00').toISOString(), ...body },
+        user
+    });
+
+    return { customer, entry, claim };
+};
+
+describe('claimWaitlistOffer', () => {
+    it('books the claimed slot for the account holder by default', async () => {
+        const { customer, claim } = await setUpOffer();
+
+        const { statusCode, body } = await claim();
+
+        expect(statusCode).toBe(201);
+        expect(body.data.patient.name).toBe(customer.name);
+        expect(body.data.patient.dependent).toBeNull();
+    });
+
+    it('books the claimed slot for one of the customer\'s dependents', async () => {
+        const { customer, entry, claim } = await setUpOffer();
+        const dependent = customer.dependents[0];
+
+        const { statusCode, body } = await claim({ patient: dependent._id.toString() });
+
+        expect(statusCode).toBe(201);
+        expect(body.data.patient.name).toBe('Rafi');
+        expect(body.data.patient.dependent.toString()).toBe(dependent._id.toString());
+
+        const claimed = await WaitlistEntry.findById(entry._id);
+        expect(claimed.status).toBe('claimed');
+    });
+
+    it('rejects a patient who is not one of the customer\'s dependents and keeps the offer open', async () => {
+        const { entry, claim } = await setUpOffer();
+        const stranger = await createUser('Customer', {
+            dependents: [{ name: 'Nila', dateOfBirth: new Date('2012-05-01'), sex: 'female', relationship: 'child' }]
+        });
+
+        const { statusCode, body } = await claim({ patient: stranger.dependents[0]._id.toString() });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Patient must be you or one of your dependents');
+
+        const unchanged = await WaitlistEntry.findById(entry._id);
+        expect(unchanged.status).toBe('offered');
+    });
+
+    it('does not let another customer claim the offer', async () => {
+        const { claim } = await setUpOffer();
+        const other = await createUser('Customer');
+
+        const { statusCode } = await claim({}, other);
+
+        expect(statusCode).toBe(403);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { addClosure, checkAvailability } = require('../src/controllers/hcsController');
+const { createBooking } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A center with a booking a week from now, and a way for an admin to close that day
+const setUpCenter = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const admin = await User.findById(hcs.admin);
+    const day = addDays(formatDay(new Date(), hcs.timezone), 7);
+    await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 7, '09:00')
+    });
+
+    const close = (body, user = admin) => callController(addClosure, {
+        params: { id: hcs._id.toString() },
+        body: { date: day, ...body },
+        user
+    });
+
+    return { hcs, test, customer, day, close };
+};
+
+describe('closures', () => {
+    it('closes the day to new bookings and reports the bookings already on it', async () => {
+        const { hcs, test, customer, day, close } = await setUpCenter();
+
+        const closed = await close({ type: 'holiday', reason: 'Eid' });
+        expect(closed.statusCode).toBe(201);
+        expect(closed.body.affectedBookings).toBe(1);
+
+        const availability = await callController(checkAvailability, {
+            params: { id: hcs._id.toString() },
+            query: { date: day }
+        });
+        expect(availability.body.data).toMatchObject({ closed: true, available: 0, closedReason: 'Closed for a holiday: Eid' });
+
+        const booking = await callController(createBooking, {
+            body: {
+                test: test._id.toString(),
+                hcs: hcs._id.toString(),
+                scheduledAt: centerTime(hcs, 7, '10:00').toISOString()
+            },
+            user: customer
+        });
+        expect(booking.statusCode).toBe(400);
+    });
+
+    it('needs opening and closing times for a half day', async () => {
+        const { close } = await setUpCenter();
+
+        const { statusCode, body } = await close({ type: 'half-day', open: '12:00' });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/Half-day closures need opening and closing times/);
+    });
+
+    it('does not let another center\'s admin close the day', async () => {
+        const { close } = await setUpCenter();
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const { statusCode } = await close({ type: 'holiday' }, otherAdmin);
+
+        expect(statusCode).toBe(403);
+    });
+});
\ No newline at end of file
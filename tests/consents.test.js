@@ -0,0 +1,144 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const ResultConsent = require('../src/models/ResultConsent');
+const {
+    createConsent,
+    revokeConsent,
+    getConsentViews,
+    getSharedWithMe,
+    getConsentResults,
+    getLinkResults
+} = require('../src/controllers/consentController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A customer with a completed booking, and a doctor they can share it with
+const setUp = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const doctor = await createUser('Doctor');
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, -1, '09:00'),
+        status: 'completed'
+    });
+
+    const share = (body, user = customer) => callController(createConsent, {
+        body: { bookings: [booking._id.toString()], ...body },
+        protocol: 'https',
+        get: () => 'api.example.com',
+        user
+    });
+
+    const readAsDoctor = consent => callController(getConsentResults, {
+        params: { id: consent._id.toString() },
+        user: doctor
+    });
+
+    return { customer, doctor, booking, share, readAsDoctor };
+};
+
+// The token at the end of a share link's URL
+const tokenOf = shareUrl => shareUrl.split('/').pop();
+
+describe('result consents', () => {
+    it('lets a doctor read shared results and shows the customer who looked', async () => {
+        const { customer, doctor, booking, share, readAsDoctor } = await setUp();
+
+        const created = await share({ type: 'doctor', doctor: doctor._id.toString() });
+        expect(created.statusCode).toBe(201);
+        expect(created.body.data.status).toBe('active');
+
+        const read = await readAsDoctor(created.body.data);
+        expect(read.statusCode).toBe(200);
+        expect(read.body.data.map(item => item.booking._id.toString())).toEqual([booking._id.toString()]);
+
+        const views = await callController(getConsentViews, {
+            query: { consent: created.body.data._id.toString() },
+            user: customer
+        });
+        expect(views.body.count).toBe(1);
+        expect(views.body.data[0].viewer.name).toBe(doctor.name);
+    });
+
+    it('stops a doctor reading results once the consent is revoked', async () => {
+        const { customer, doctor, share, readAsDoctor } = await setUp();
+        const { body } = await share({ type: 'doctor', doctor: doctor._id.toString() });
+
+        const revoked = await callController(revokeConsent, {
+            params: { id: body.data._id.toString() },
+            user: customer
+        });
+        const read = await readAsDoctor(body.data);
+        const shared = await callController(getSharedWithMe, { user: doctor });
+
+        expect(revoked.body.data.status).toBe('revoked');
+        expect(read.statusCode).toBe(404);
+        expect(shared.body.count).toBe(0);
+    });
+
+    it('stops a doctor reading results once the consent expires', async () => {
+        const { doctor, share, readAsDoctor } = await setUp();
+        const { body } = await share({
+            type: 'doctor',
+            doctor: doctor._id.toString(),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        });
+        await ResultConsent.updateOne({ _id: body.data._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+        const read = await readAsDoctor(body.data);
+        const shared = await callController(getSharedWithMe, { user: doctor });
+
+        expect(read.statusCode).toBe(404);
+        expect(shared.body.count).toBe(0);
+    });
+
+    it('opens a share link until it expires or is revoked', async () => {
+        const { customer, share } = await setUp();
+        const expiring = await share({ type: 'link', expiresInHours: 2 });
+        const revoking = await share({ type: 'link' });
+        const open = token => callController(getLinkResults, { params: { token } });
+
+        expect(expiring.body.data.token).toBeUndefined();
+        expect((await open(tokenOf(expiring.body.data.shareUrl))).statusCode).toBe(200);
+
+        await ResultConsent.updateOne({ _id: expiring.body.data._id }, { expiresAt: new Date(Date.now() - 1000) });
+        await callController(revokeConsent, { params: { id: revoking.body.data._id.toString() }, user: customer });
+
+        const expired = await open(tokenOf(expiring.body.data.shareUrl));
+        const revoked = await open(tokenOf(revoking.body.data.shareUrl));
+        expect(expired.statusCode).toBe(404);
+        expect(revoked.statusCode).toBe(404);
+        expect(revoked.body.message).toBe('This share link is invalid, expired or has been revoked');
+    });
+
+    it('only lets customers share their own bookings', async () => {
+        const { doctor, share } = await setUp();
+        const other = await createUser();
+
+        const { statusCode, body } = await share({ type: 'doctor', doctor: doctor._id.toString() }, other);
+
+        expect(statusCode).toBe(403);
+        expect(body.message).toBe('You can only share results of your own bookings');
+        expect(await ResultConsent.countDocuments()).toBe(0);
+    });
+
+    it('rejects a malformed consent id when listing views', async () => {
+        const { customer } = await setUp();
+
+        const { statusCode, body } = await callController(getConsentViews, {
+            query: { consent: 'not-an-id' },
+            user: customer
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body).toEqual({ success: false, message: 'Invalid consent id' });
+    });
+});
\ No newline at end of file
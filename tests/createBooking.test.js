@@ -0,0 +1,57 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const { createBooking } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// Book a test at a center through the controller, as POST /api/bookings does
+const book = (customer, hcs, test, scheduledAt) => callController(createBooking, {
+    body: {
+        test: test._id.toString(),
+        hcs: hcs._id.toString(),
+        scheduledAt: scheduledAt.toISOString()
+    },
+    user: customer
+});
+
+describe('createBooking', () => {
+    it('never books more than the daily limit when requests arrive in parallel', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs, 3);
+        const customer = await createUser();
+        const times = Array.from({ length: 8 }, (_, index) => centerTime(hcs, 7, `${String(9 + index).padStart(2, '0')}:00`));
+
+        const responses = await Promise.all(times.map(scheduledAt => book(customer, hcs, test, scheduledAt)));
+
+        expect(responses.filter(response => response.statusCode === 201)).toHaveLength(3);
+        const refused = responses.filter(response => response.statusCode === 400);
+        expect(refused).toHaveLength(5);
+        refused.forEach(({ body }) => expect(body.canJoinWaitlist).toBe(true));
+        expect(await Booking.countDocuments({ hcs: hcs._id, test: test._id })).toBe(3);
+    });
+
+    it('books a start time only once when requests for it arrive in parallel', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs, 10);
+        const customer = await createUser();
+        const scheduledAt = centerTime(hcs, 7, '09:00');
+
+        const responses = await Promise.all(Array.from({ length: 4 }, () => book(customer, hcs, test, scheduledAt)));
+
+        expect(responses.filter(response => response.statusCode === 201)).toHaveLength(1);
+        expect(await Booking.countDocuments({ hcs: hcs._id, test: test._id })).toBe(1);
+    });
+
+    it('requires a test, center and date', async () => {
+        const customer = await createUser();
+
+        const { statusCode, body } = await callController(createBooking, { body: {}, user: customer });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Test, healthcare center, and scheduled date are required');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const Order = require('../src/models/Order');
+const SlotReservation = require('../src/models/SlotReservation');
+const { createOrder } = require('../src/controllers/orderController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A center offering two tests, the second with a single slot a day
+const setUpOrder = async () => {
+    const hcs = await createCenter();
+    const blood = await createTest(hcs, 5);
+    const xray = await createTest(hcs, 1);
+    const customer = await createUser();
+
+    const checkOut = (fields = {}) => callController(createOrder, {
+        body: {
+            hcs: hcs._id.toString(),
+            lines: [
+                { test: blood._id.toString(), scheduledAt: centerTime(hcs, 7, '09:00').toISOString() },
+                { test: xray._id.toString(), scheduledAt: centerTime(hcs, 7, '10:00').toISOString() }
+            ],
+            ...fields
+        },
+        user: customer
+    });
+
+    return { hcs, blood, xray, customer, checkOut };
+};
+
+describe('createOrder', () => {
+    it('books every test in the order and reserves their slots', async () => {
+        const { blood, xray, checkOut } = await setUpOrder();
+
+        const { statusCode, body } = await checkOut();
+
+        expect(statusCode).toBe(201);
+        expect(body.data.lines).toHaveLength(2);
+        expect(body.data.total).toBe(1000);
+        expect(await Booking.countDocuments({ order: body.data._id })).toBe(2);
+
+        const reservations = await SlotReservation.find({ test: { $in: [blood._id, xray._id] } });
+        expect(reservations.map(reservation => reservation.count)).toEqual([1, 1]);
+    });
+
+    it('rolls back the whole order when one test has no capacity left', async () => {
+        const { hcs, blood, xray, customer, checkOut } = await setUpOrder();
+        await Booking.create({
+            user: customer._id,
+            test: xray._id,
+            hcs: hcs._id,
+            scheduledAt: centerTime(hcs, 7, '14:00')
+        });
+
+        const { statusCode, body } = await checkOut();
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/No available slots/);
+        expect(await Order.countDocuments()).toBe(0);
+        expect(await Booking.countDocuments({ test: blood._id })).toBe(0);
+
+        // The reservation seeded for the first line went away with the transaction
+        expect(await SlotReservation.exists({ test: blood._id })).toBeNull();
+    });
+
+    it('rejects a patient who is not one of the customer\'s dependents', async () => {
+        const { checkOut } = await setUpOrder();
+        const stranger = await createUser();
+
+        const { statusCode, body } = await checkOut({ patient: stranger._id.toString() });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Patient must be you or one of your dependents');
+        expect(await Order.countDocuments()).toBe(0);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Referral = require('../src/models/Referral');
+const { createReferral } = require('../src/controllers/referralController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A doctor, a customer and a test the doctor can refer them for
+const setUp = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const doctor = await createUser('Doctor');
+    const customer = await createUser('Customer');
+
+    const refer = tests => callController(createReferral, {
+        body: {
+            customer: customer._id.toString(),
+            tests,
+            notes: 'Suspected anaemia, please check hemoglobin'
+        },
+        user: doctor
+    });
+
+    return { test, customer, refer };
+};
+
+describe('createReferral', () => {
+    it('refers a test listed more than once only once', async () => {
+        const { test, refer } = await setUp();
+        const testId = test._id.toString();
+
+        const { statusCode, body } = await refer([testId, testId]);
+
+        expect(statusCode).toBe(201);
+        expect(body.data.tests).toHaveLength(1);
+        const referral = await Referral.findById(body.data._id);
+        expect(referral.tests.map(item => item.test.toString())).toEqual([testId]);
+    });
+
+    it('rejects tests that do not exist', async () => {
+        const { test, refer } = await setUp();
+
+        const { statusCode, body } = await refer([test._id.toString(), new mongoose.Types.ObjectId().toString()]);
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('One or more tests were not found');
+        expect(await Referral.countDocuments()).toBe(0);
+    });
+});
\ No newline at end of file
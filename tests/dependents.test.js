@@ -0,0 +1,93 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const { addDependent, updateDependent, deleteDependent } = require('../src/controllers/userController');
+const { createBooking } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const CHILD = { name: 'Rafi', dateOfBirth: '2015-03-01', sex: 'male', relationship: 'child' };
+
+describe('dependents', () => {
+    it('adds a dependent to the customer\'s profile', async () => {
+        const customer = await createUser();
+
+        const { statusCode, body } = await callController(addDependent, { body: CHILD, user: customer });
+
+        expect(statusCode).toBe(201);
+        expect(body.data.name).toBe('Rafi');
+        expect(body.data.relationship).toBe('child');
+    });
+
+    it('rejects a dependent with missing details', async () => {
+        const customer = await createUser();
+
+        const { statusCode, body } = await callController(addDependent, {
+            body: { name: 'Rafi', relationship: 'child' },
+            user: customer
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/Date of birth is required/);
+    });
+
+    it('does not let customers change or remove someone else\'s dependent', async () => {
+        const owner = await createUser('Customer', { dependents: [CHILD] });
+        const other = await createUser();
+        const dependentId = owner.dependents[0]._id.toString();
+
+        const updated = await callController(updateDependent, {
+            params: { dependentId },
+            body: { name: 'Someone else' },
+            user: other
+        });
+        const removed = await callController(deleteDependent, { params: { dependentId }, user: other });
+
+        expect(updated.statusCode).toBe(404);
+        expect(removed.statusCode).toBe(404);
+    });
+
+    it('books a test for a dependent with a copy of their details', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs);
+        const customer = await createUser('Customer', { dependents: [CHILD] });
+        const dependent = customer.dependents[0];
+
+        const { statusCode, body } = await callController(createBooking, {
+            body: {
+                test: test._id.toString(),
+                hcs: hcs._id.toString(),
+                scheduledAt: centerTime(hcs, 7, '09:00').toISOString(),
+                patient: dependent._id.toString()
+            },
+            user: customer
+        });
+
+        expect(statusCode).toBe(201);
+        expect(body.data.patient.dependent.toString()).toBe(dependent._id.toString());
+        expect(body.data.patient.name).toBe('Rafi');
+        expect(body.data.patient.relationship).toBe('child');
+    });
+
+    it('does not book for a dependent of another customer', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs);
+        const owner = await createUser('Customer', { dependents: [CHILD] });
+        const other = await createUser();
+
+        const { statusCode, body } = await callController(createBooking, {
+            body: {
+                test: test._id.toString(),
+                hcs: hcs._id.toString(),
+                scheduledAt: centerTime(hcs, 7, '09:00').toISOString(),
+                patient: owner.dependents[0]._id.toString()
+            },
+            user: other
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Patient must be you or one of your dependents');
+    });
+});
\ No newline at end of file
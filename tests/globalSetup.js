@@ -0,0 +1,7 @@
+// Run the suite with the server clock in UTC, as in production, so tests catch
+// any code that reads the server's timezone instead of the center's
+module.exports = () => {
+    process.env.TZ = 'UTC';
+    // Check-in QR codes and share links are signed with the app's secret
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+};
\ No newline at end of file
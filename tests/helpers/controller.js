@@ -0,0 +1,43 @@
+const fs = require('fs');
+
+// Call an Express handler with a fake request and resolve with what it sends
+// back, JSON, a body or a file download. Errors passed to next() reject the promise.
+const callController = (handler, req) => new Promise((resolve, reject) => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        set(field, value) {
+            Object.assign(this.headers, typeof field === 'string' ? { [field]: value } : field);
+            return this;
+        },
+        type(contentType) {
+            return this.set('Content-Type', contentType);
+        },
+        json(body) {
+            resolve({ statusCode: this.statusCode, body });
+            return this;
+        },
+        send(body) {
+            resolve({ statusCode: this.statusCode, headers: this.headers, body });
+            return this;
+        },
+        // Reads the file into the body; a missing file goes to the callback like Express does
+        download(filePath, filename, callback) {
+            fs.promises.readFile(filePath).then((body) => {
+                this.set('Content-Disposition', `attachment; filename="${filename}"`);
+                this.send(body);
+            }, error => (callback ? callback(error) : reject(error)));
+            return this;
+        }
+    };
+
+    Promise.resolve(handler({ params: {}, query: {}, body: {}, ...req }, res, reject)).catch(reject);
+});
+
+module.exports = {
+    callController
+};
\ No newline at end of file
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Tests run against MONGO_TEST_URI when it is set (e.g. a local replica set),
+// otherwise against a throwaway single-node in-memory replica set, whose mongod
+// binary is downloaded on first use (version pinned in package.json). Orders use
+// transactions, which only work on a replica set. Each test file gets its own database.
+let server;
+
+const connect = async () => {
+    let uri = process.env.MONGO_TEST_URI;
+    if (!uri) {
+        try {
+            server = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+        } catch (error) {
+            throw new Error(`Could not start an in-memory MongoDB (${error.message}). `
+                + 'Set MONGO_TEST_URI to a running MongoDB replica set to run the tests offline.');
+        }
+        uri = server.getUri();
+    }
+
+    await mongoose.connect(uri, { dbName: `ewel-test-${crypto.randomBytes(4).toString('hex')}` });
+
+    // Unique indexes are part of what keeps bookings consistent, so build them before any test runs
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+// Empty every collection between tests
+const clear = async () => {
+    if (mongoose.connection.readyState !== 1) {
+        return;
+    }
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    if (mongoose.connection.readyState === 1) {
+        await mongoose.connection.dropDatabase();
+    }
+    await mongoose.disconnect();
+    if (server) {
+        await server.stop();
+    }
+};
+
+module.exports = {
+    connect,
+    clear,
+    disconnect
+};
\ No newline at end of file
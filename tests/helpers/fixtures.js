@@ -0,0 +1,64 @@
+const HealthcareCenter = require('../../src/models/HealthcareCenter');
+const Test = require('../../src/models/Test');
+const User = require('../../src/models/User');
+const { addDays, formatDay, parseDay } = require('../../src/lib/scheduling');
+
+let sequence = 0;
+
+// Create a user with the given role
+const createUser = (role = 'Customer', overrides = {}) => {
+    sequence++;
+    return User.create({
+        name: `${role} ${sequence}`,
+        email: `user${sequence}@example.com`,
+        password: 'password123',
+        role,
+        phone: '+8801700000000',
+        address: 'House 1, Road 1, Dhaka',
+        ...overrides
+    });
+};
+
+// Create a healthcare center open around the clock, so any time on the grid can be booked
+const createCenter = async (overrides = {}) => {
+    const admin = await createUser('HCS Admin');
+    return HealthcareCenter.create({
+        name: `Center ${sequence}`,
+        address: 'Road 2, Dhaka',
+        contact: '+8801700000001',
+        email: `center${sequence}@example.com`,
+        admin: admin._id,
+        openingHours: { open: '00:00', close: '23:30' },
+        ...overrides
+    });
+};
+
+// Create a 30 minute test offered at a center with a daily capacity
+const createTest = async (hcs, slotsPerDay = 10, overrides = {}) => {
+    const test = await Test.create({
+        title: `Test ${++sequence}`,
+        description: 'A test used by the test suite',
+        price: 500,
+        duration: 30,
+        hcsPricing: [{ hcs: hcs._id, price: 500, status: 'approved' }],
+        ...overrides
+    });
+
+    hcs.setSlotsForTest(test._id, slotsPerDay);
+    await hcs.save();
+
+    return test;
+};
+
+// Get the instant of a wall-clock time at a center a number of days from today
+const centerTime = (hcs, daysAhead, time) => {
+    const today = formatDay(new Date(), hcs.timezone);
+    return parseDay(addDays(today, daysAhead), hcs.timezone, time);
+};
+
+module.exports = {
+    createUser,
+    createCenter,
+    createTest,
+    centerTime
+};
\ No newline at end of file
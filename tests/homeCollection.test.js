@@ -0,0 +1,111 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const HealthcareCenter = require('../src/models/HealthcareCenter');
+const User = require('../src/models/User');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { createBooking } = require('../src/controllers/bookingController');
+const { getHomeVisitRoute } = require('../src/controllers/hcsController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const NEAR = { lat: 23.7900, lng: 90.2850 };
+const NEARER = { lat: 23.7820, lng: 90.2800 };
+const FAR = { lat: 23.8100, lng: 90.4100 };
+
+// A center offering two home visits a day within 5 km, for a 200 fee
+const setUpCenter = async () => {
+    const hcs = await createCenter({
+        location: { lat: 23.7806, lng: 90.2794 },
+        homeCollection: { enabled: true, fee: 200, dailyCapacity: 2, serviceRadiusKm: 5 }
+    });
+    const test = await createTest(hcs, 10);
+    const customer = await createUser();
+
+    const bookHome = (collectionLocation, time = '09:00') => callController(createBooking, {
+        body: {
+            test: test._id.toString(),
+            hcs: hcs._id.toString(),
+            scheduledAt: centerTime(hcs, 7, time).toISOString(),
+            collectionType: 'home',
+            collectionLocation
+        },
+        user: customer
+    });
+
+    return { hcs, bookHome };
+};
+
+describe('home sample collection', () => {
+    it('books a home visit inside the service area and adds the visit fee', async () => {
+        const { bookHome } = await setUpCenter();
+
+        const { statusCode, body } = await bookHome(NEAR);
+
+        expect(statusCode).toBe(201);
+        expect(body.data.collectionType).toBe('home');
+        expect(body.data.homeVisitFee).toBe(200);
+        expect(body.data.priceAtBooking).toBe(700);
+    });
+
+    it('rejects addresses outside the service area', async () => {
+        const { bookHome } = await setUpCenter();
+
+        const { statusCode, body } = await bookHome(FAR);
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/outside the service area \(5 km\)/);
+    });
+
+    it('rejects centers that do not offer home collection', async () => {
+        const { hcs, bookHome } = await setUpCenter();
+        await HealthcareCenter.updateOne({ _id: hcs._id }, { 'homeCollection.enabled': false });
+
+        const { statusCode, body } = await bookHome(NEAR);
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('The selected healthcare center does not offer home sample collection');
+    });
+
+    it('stops taking home visits once the day\'s visits are booked', async () => {
+        const { bookHome } = await setUpCenter();
+        await bookHome(NEAR, '09:00');
+        await bookHome(NEAR, '10:00');
+
+        const { statusCode, body } = await bookHome(NEAR, '11:00');
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/No home collection visits available/);
+    });
+
+    it('lists the day\'s visits for the center\'s admin, nearest stop first', async () => {
+        const { hcs, bookHome } = await setUpCenter();
+        await bookHome(NEAR, '09:00');
+        await bookHome(NEARER, '10:00');
+        const admin = await User.findById(hcs.admin);
+
+        const { statusCode, body } = await callController(getHomeVisitRoute, {
+            query: { date: addDays(formatDay(new Date(), hcs.timezone), 7) },
+            user: admin
+        });
+
+        expect(statusCode).toBe(200);
+        expect(body.count).toBe(2);
+        expect(body.data.stops[0].booking.collectionLocation.lat).toBe(NEARER.lat);
+        expect(body.data.stops[1].booking.collectionLocation.lat).toBe(NEAR.lat);
+    });
+
+    it('does not list visits for users who run no center', async () => {
+        await setUpCenter();
+        const stranger = await createUser('HCS Admin');
+
+        const { statusCode } = await callController(getHomeVisitRoute, {
+            query: {},
+            user: stranger
+        });
+
+        expect(statusCode).toBe(404);
+    });
+});
\ No newline at end of file
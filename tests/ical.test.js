@@ -0,0 +1,44 @@
+const { buildCalendar } = require('../src/lib/ical');
+
+// A confirmed booking with its test and center populated, as the controllers load it
+const booking = {
+    _id: '64b7f0c2a1b2c3d4e5f60718',
+    scheduledAt: new Date('2026-10-20T03:30:00Z'),
+    updatedAt: new Date('2026-10-19T10:00:00Z'),
+    status: 'confirmed',
+    checkInCode: 'K7P2QX',
+    patient: { name: 'Rafi Ahmed' },
+    test: { title: 'Lipid profile, fasting', duration: 45 },
+    hcs: { name: 'Dhanmondi Lab', address: 'Road 2; Dhaka' }
+};
+
+// Join folded lines back together so values can be matched whole
+const unfold = (calendar) => calendar.replace(/\r\n /g, '');
+
+describe('buildCalendar', () => {
+    it('builds an event for each booking with its time, place and status', () => {
+        const calendar = unfold(buildCalendar('Appointments', [booking]));
+
+        expect(calendar).toMatch(/^BEGIN:VCALENDAR\r\n/);
+        expect(calendar).toMatch(/\r\nEND:VCALENDAR\r\n$/);
+        expect(calendar).toContain('UID:booking-64b7f0c2a1b2c3d4e5f60718@ewel-hcs');
+        expect(calendar).toContain('DTSTART:20261020T033000Z');
+        expect(calendar).toContain('DTEND:20261020T041500Z');
+        expect(calendar).toContain('STATUS:CONFIRMED');
+        expect(calendar).toContain('LOCATION:Dhanmondi Lab\\, Road 2\\; Dhaka');
+    });
+
+    it('leaves check-in codes out unless asked for', () => {
+        expect(unfold(buildCalendar('Schedule', [booking]))).not.toContain('K7P2QX');
+        expect(unfold(buildCalendar('Appointments', [booking], { includeCheckInCode: true }))).toContain('Check-in code: K7P2QX');
+    });
+
+    it('folds lines longer than 75 octets', () => {
+        const longTitle = { ...booking, test: { title: 'Comprehensive metabolic panel with extended lipid and thyroid profile', duration: 30 } };
+
+        const lines = buildCalendar('Appointments', [longTitle]).split('\r\n');
+
+        lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+        expect(lines.some(line => line.startsWith(' '))).toBe(true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { holdSlot } = require('../src/lib/slotReservation');
+const { joinWaitlist } = require('../src/controllers/waitlistController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A center with two slots a day for a test, one of them booked a week from now
+const setUpDay = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 2);
+    const customer = await createUser();
+    await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 7, '09:00')
+    });
+
+    const day = addDays(formatDay(new Date(), hcs.timezone), 7);
+    const join = () => callController(joinWaitlist, {
+        body: { test: test._id.toString(), hcs: hcs._id.toString(), date: day },
+        user: customer
+    });
+
+    return { hcs, test, join };
+};
+
+describe('joinWaitlist', () => {
+    it('sends customers to book directly while the day has room', async () => {
+        const { join } = await setUpDay();
+
+        const { statusCode, body } = await join();
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/Please book directly/);
+    });
+
+    it('counts slots held for waitlist offers as taken', async () => {
+        const { hcs, test, join } = await setUpDay();
+        const held = await holdSlot({ hcs: hcs._id, test: test._id, date: centerTime(hcs, 7, '00:00'), capacity: 2 });
+        expect(held).toBe(true);
+
+        const { statusCode } = await join();
+
+        expect(statusCode).toBe(201);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const { getAgeInYears, findReferenceRange, flagValue } = require('../src/lib/labResults');
+
+const hemoglobin = {
+    code: 'hemoglobin',
+    name: 'Hemoglobin',
+    referenceRanges: [
+        { sex: 'any', low: 11, high: 17 },
+        { sex: 'male', minAge: 18, low: 13.5, high: 17.5, criticalLow: 7 },
+        { sex: 'female', minAge: 18, low: 12, high: 15.5, criticalLow: 7 },
+        { sex: 'any', maxAge: 12, low: 11.5, high: 15.5 }
+    ]
+};
+
+describe('getAgeInYears', () => {
+    it('counts a year only once the birthday has passed', () => {
+        expect(getAgeInYears('1990-06-15', '2026-06-14')).toBe(35);
+        expect(getAgeInYears('1990-06-15', '2026-06-15')).toBe(36);
+    });
+
+    it('returns null without a date of birth', () => {
+        expect(getAgeInYears(undefined, '2026-06-15')).toBeNull();
+    });
+});
+
+describe('findReferenceRange', () => {
+    it('picks the most specific range for the patient', () => {
+        expect(findReferenceRange(hemoglobin, { sex: 'female', age: 30 })).toMatchObject({ low: 12, high: 15.5 });
+        expect(findReferenceRange(hemoglobin, { sex: 'male', age: 8 })).toMatchObject({ low: 11.5, high: 15.5 });
+    });
+
+    it('only uses ranges limited by sex or age when those are known', () => {
+        expect(findReferenceRange(hemoglobin, { sex: undefined, age: null })).toMatchObject({ low: 11, high: 17 });
+        expect(findReferenceRange(hemoglobin, { sex: 'male', age: null })).toMatchObject({ low: 11, high: 17 });
+    });
+
+    it('returns null when no range fits', () => {
+        expect(findReferenceRange({ referenceRanges: [{ sex: 'female', low: 1 }] }, { sex: 'male', age: 40 })).toBeNull();
+    });
+});
+
+describe('flagValue', () => {
+    const range = { low: 13.5, high: 17.5, criticalLow: 7, criticalHigh: 20 };
+
+    it.each([
+        [6.5, 'critical'],
+        [21, 'critical'],
+        [12, 'low'],
+        [18, 'high'],
+        [13.5, 'normal'],
+        [17.5, 'normal']
+    ])('flags %p as %s', (value, flag) => {
+        expect(flagValue(value, range)).toBe(flag);
+    });
+
+    it('leaves values without a range unflagged', () => {
+        expect(flagValue(12, null)).toBeNull();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,14 @@
+const { callController } = require('./helpers/controller');
+const { getNoShowStats } = require('../src/controllers/bookingController');
+
+describe('getNoShowStats', () => {
+    it.each(['hcs', 'user'])('rejects a malformed %s id with 400', async (field) => {
+        const { statusCode, body } = await callController(getNoShowStats, {
+            query: { [field]: 'not-an-id' },
+            user: { role: 'Superadmin' }
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body).toEqual({ success: false, message: `Invalid ${field} id` });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+const HealthcareCenter = require('../src/models/HealthcareCenter');
+const { parseDay, formatTime } = require('../src/lib/timezone');
+
+const DHAKA = 'Asia/Dhaka';
+
+// Helper function to build an unsaved center open 09:00-17:00, closed on Fridays
+// and on short hours on Saturdays
+const buildCenter = (fields = {}) => new HealthcareCenter({
+    name: 'Weekday Lab',
+    timezone: DHAKA,
+    openingHours: { open: '09:00', close: '17:00' },
+    weeklyHours: [
+        { dayOfWeek: 5, closed: true },
+        { dayOfWeek: 6, open: '10:00', close: '12:00' }
+    ],
+    ...fields
+});
+
+const at = (day, time = '12:00') => parseDay(day, DHAKA, time);
+
+describe('getHoursForDate', () => {
+    it('uses the default opening hours on ordinary days', () => {
+        expect(buildCenter().getHoursForDate(at('2026-10-20'))).toEqual({
+            closed: false, open: '09:00', close: '17:00', reason: null
+        });
+    });
+
+    it('applies weekly hours for the center\'s weekday, not the server\'s', () => {
+        const center = buildCenter();
+
+        // 00:30 Saturday in Dhaka is still Friday in UTC
+        expect(center.getHoursForDate(at('2026-10-24', '00:30'))).toMatchObject({ open: '10:00', close: '12:00' });
+        expect(center.getHoursForDate(at('2026-10-23'))).toEqual({ closed: true, reason: 'Closed on this day of the week' });
+    });
+
+    it('lets dated closures win over weekly hours', () => {
+        const center = buildCenter({
+            closures: [
+                { date: '2026-10-20', type: 'holiday', reason: 'Durga Puja' },
+                { date: '2026-10-22', type: 'maintenance' },
+                { date: '2026-10-23', type: 'half-day', open: '09:00', close: '11:00' }
+            ]
+        });
+
+        expect(center.getHoursForDate(at('2026-10-20'))).toEqual({ closed: true, reason: 'Closed for a holiday: Durga Puja' });
+        expect(center.getHoursForDate(at('2026-10-22'))).toEqual({ closed: true, reason: 'Closed for maintenance' });
+        expect(center.getHoursForDate(at('2026-10-23'))).toMatchObject({ closed: false, open: '09:00', close: '11:00' });
+    });
+});
+
+describe('getTimeSlots', () => {
+    it('lays slots back to back and keeps the last one inside closing time', () => {
+        const slots = buildCenter().getTimeSlots(at('2026-10-24'), 45);
+
+        expect(slots.map(slot => formatTime(slot, DHAKA))).toEqual(['10:00', '10:45']);
+    });
+
+    it('has no slots on closed days', () => {
+        expect(buildCenter().getTimeSlots(at('2026-10-23'), 30)).toEqual([]);
+    });
+});
\ No newline at end of file
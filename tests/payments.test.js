@@ -0,0 +1,141 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const Invoice = require('../src/models/Invoice');
+const User = require('../src/models/User');
+const mockCard = require('../src/lib/paymentGateways/mockCard');
+const { payForBooking, refundPayment, handleWebhook } = require('../src/controllers/paymentController');
+
+beforeAll(async () => {
+    process.env.MOCK_CARD_WEBHOOK_SECRET = 'whsec_test';
+    await db.connect();
+});
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// Send a webhook the way the mock card gateway does, signed unless a signature is given
+const sendWebhook = (body, signature) => {
+    const rawBody = JSON.stringify(body);
+    return callController(handleWebhook, {
+        params: { gateway: 'mock-card' },
+        headers: { 'x-mock-signature': signature || mockCard.signWebhook(rawBody) },
+        rawBody,
+        body
+    });
+};
+
+// A customer's 500 booking at a center, and the center's admin
+const setUpBooking = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const admin = await User.findById(hcs.admin);
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 3, '09:00')
+    });
+
+    const pay = (user, method) => callController(payForBooking, {
+        params: { bookingId: booking._id.toString() },
+        body: { method },
+        user
+    });
+
+    return { hcs, test, customer, admin, booking, pay };
+};
+
+describe('payments', () => {
+    it('settles a card payment when the gateway\'s signed webhook arrives', async () => {
+        const { customer, booking, pay } = await setUpBooking();
+
+        const started = await pay(customer, 'card');
+        expect(started.statusCode).toBe(201);
+        expect(started.body.data.payment.status).toBe('pending');
+        expect(started.body.data.payment.checkoutUrl).toMatch(/amount=500/);
+
+        const reference = started.body.data.payment.gatewayReference;
+        const { statusCode, body } = await sendWebhook({ type: 'payment.succeeded', data: { reference } });
+
+        expect(statusCode).toBe(200);
+        expect(body.matched).toBe(true);
+        const invoice = await Invoice.findOne({ booking: booking._id });
+        expect(invoice).toMatchObject({ status: 'paid', amountPaid: 500 });
+        expect((await Booking.findById(booking._id)).paymentStatus).toBe('paid');
+    });
+
+    it('ignores webhooks with a bad signature', async () => {
+        const { customer, booking, pay } = await setUpBooking();
+        const started = await pay(customer, 'card');
+        const body = { type: 'payment.succeeded', data: { reference: started.body.data.payment.gatewayReference } };
+
+        const { statusCode } = await sendWebhook(body, mockCard.signWebhook('{"tampered":true}'));
+
+        expect(statusCode).toBe(400);
+        expect((await Invoice.findOne({ booking: booking._id })).status).toBe('unpaid');
+    });
+
+    it('records cash at the counter and refunds part of it', async () => {
+        const { admin, booking, pay } = await setUpBooking();
+
+        const paid = await pay(admin, 'cash');
+        expect(paid.body.data.payment.status).toBe('succeeded');
+
+        const { statusCode, body } = await callController(refundPayment, {
+            params: { id: paid.body.data.payment._id.toString() },
+            body: { amount: 200, reason: 'Test not done' },
+            user: admin
+        });
+
+        expect(statusCode).toBe(200);
+        expect(body.data.refund).toMatchObject({ amount: 200, status: 'succeeded' });
+        expect((await Invoice.findOne({ booking: booking._id })).status).toBe('partially-refunded');
+    });
+
+    it('numbers invoices in sequence without gaps when payments arrive together', async () => {
+        const { hcs, test, customer, admin, pay } = await setUpBooking();
+        const second = await Booking.create({
+            user: customer._id,
+            test: test._id,
+            hcs: hcs._id,
+            scheduledAt: centerTime(hcs, 3, '10:00')
+        });
+
+        await Promise.all([
+            pay(admin, 'cash'),
+            callController(payForBooking, { params: { bookingId: second._id.toString() }, body: { method: 'cash' }, user: admin })
+        ]);
+
+        const invoices = await Invoice.find({ hcs: hcs._id }).sort({ sequence: 1 });
+        expect(invoices.map(invoice => invoice.sequence)).toEqual([1, 2]);
+    });
+
+    it('only lets customers pay by card, and only for their own bookings', async () => {
+        const { customer, pay } = await setUpBooking();
+        const other = await createUser();
+
+        const cash = await pay(customer, 'cash');
+        const notTheirs = await pay(other, 'card');
+
+        expect(cash.statusCode).toBe(400);
+        expect(cash.body.message).toBe('Payment method must be one of: card');
+        expect(notTheirs.statusCode).toBe(403);
+    });
+
+    it('does not let another center\'s admin refund a payment', async () => {
+        const { admin, pay } = await setUpBooking();
+        const paid = await pay(admin, 'cash');
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const { statusCode } = await callController(refundPayment, {
+            params: { id: paid.body.data.payment._id.toString() },
+            body: {},
+            user: otherAdmin
+        });
+
+        expect(statusCode).toBe(403);
+    });
+});
\ No newline at end of file
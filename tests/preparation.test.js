@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Test = require('../src/models/Test');
+const { buildPreparationChecklist } = require('../src/lib/preparation');
+
+const hcsId = new mongoose.Types.ObjectId();
+
+// A fasting blood test whose center asks for its own documents
+const buildTest = (override) => new Test({
+    title: 'Lipid profile',
+    description: 'Cholesterol and triglycerides',
+    price: 800,
+    duration: 15,
+    preparation: {
+        fastingHours: 12,
+        documents: ['your prescription'],
+        avoid: ['alcohol for 24 hours'],
+        instructions: 'Drink water as usual'
+    },
+    hcsPricing: [{ hcs: hcsId, price: 750, preparation: override }]
+});
+
+describe('Test.getPreparation', () => {
+    it('uses the test\'s own preparation when no center is given', () => {
+        expect(buildTest({ fastingHours: 8 }).getPreparation()).toEqual({
+            fastingHours: 12,
+            documents: ['your prescription'],
+            avoid: ['alcohol for 24 hours'],
+            instructions: 'Drink water as usual'
+        });
+    });
+
+    it('replaces only the fields a center overrides', () => {
+        const test = buildTest({ documents: ['your national ID', 'previous reports'] });
+
+        expect(test.getPreparation(hcsId)).toEqual({
+            fastingHours: 12,
+            documents: ['your national ID', 'previous reports'],
+            avoid: ['alcohol for 24 hours'],
+            instructions: 'Drink water as usual'
+        });
+    });
+
+    it('lets a center drop fasting with an override of zero hours', () => {
+        expect(buildTest({ fastingHours: 0 }).getPreparation(hcsId.toString()).fastingHours).toBe(0);
+    });
+});
+
+describe('buildPreparationChecklist', () => {
+    it('lists fasting, documents to bring and things to avoid', () => {
+        const checklist = buildPreparationChecklist(buildTest().getPreparation());
+
+        expect(checklist).toEqual([
+            { kind: 'fasting', label: 'Fast for 12 hour(s) before your appointment' },
+            { kind: 'document', label: 'Bring your prescription' },
+            { kind: 'avoid', label: 'Avoid alcohol for 24 hours' }
+        ]);
+    });
+
+    it('is empty for a test that needs no preparation', () => {
+        expect(buildPreparationChecklist({ fastingHours: 0, documents: [], avoid: [], instructions: '' })).toEqual([]);
+    });
+});
\ No newline at end of file
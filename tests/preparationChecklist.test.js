@@ -0,0 +1,110 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const User = require('../src/models/User');
+const { updateChecklist } = require('../src/controllers/bookingController');
+const { updateHcsPreparation } = require('../src/controllers/testController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A fasting test at a center, and the center's admin
+const setUpTest = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 10, {
+        preparation: { fastingHours: 10, documents: ['your prescription'] }
+    });
+    const admin = await User.findById(hcs.admin);
+
+    return { hcs, test, admin };
+};
+
+// A customer's booking of the test, made after any preparation changes
+const book = async (hcs, test, status = 'confirmed') => {
+    const customer = await createUser();
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 3, '09:00'),
+        status
+    });
+    return { customer, booking };
+};
+
+const tick = (booking, user, items) => callController(updateChecklist, {
+    params: { id: booking._id.toString() },
+    body: { items },
+    user
+});
+
+describe('preparation checklist', () => {
+    it('builds the checklist from the center\'s preparation when a booking is made', async () => {
+        const { hcs, test, admin } = await setUpTest();
+
+        const updated = await callController(updateHcsPreparation, {
+            params: { id: test._id.toString() },
+            body: { preparation: { documents: ['your national ID'] } },
+            user: admin
+        });
+        const { booking } = await book(hcs, test);
+
+        expect(updated.statusCode).toBe(200);
+        expect(updated.body.data.preparation).toMatchObject({ fastingHours: 10, documents: ['your national ID'] });
+        expect(booking.preparationChecklist.map(item => item.label)).toEqual([
+            'Fast for 10 hour(s) before your appointment',
+            'Bring your national ID'
+        ]);
+    });
+
+    it('lets the customer tick off items', async () => {
+        const { hcs, test } = await setUpTest();
+        const { customer, booking } = await book(hcs, test);
+        const [fasting] = booking.preparationChecklist;
+
+        const { statusCode, body } = await tick(booking, customer, [{ id: fasting._id.toString(), done: true }]);
+
+        expect(statusCode).toBe(200);
+        expect(body.data[0]).toMatchObject({ kind: 'fasting', done: true });
+        expect(body.data[0].doneAt).toBeInstanceOf(Date);
+        expect(body.data[1].done).toBe(false);
+    });
+
+    it('does not let anyone else tick off a booking\'s checklist', async () => {
+        const { hcs, test } = await setUpTest();
+        const { booking } = await book(hcs, test);
+        const other = await createUser();
+
+        const { statusCode } = await tick(booking, other, [{ id: booking.preparationChecklist[0]._id.toString(), done: true }]);
+
+        expect(statusCode).toBe(403);
+        expect((await Booking.findById(booking._id)).preparationChecklist[0].done).toBe(false);
+    });
+
+    it('freezes the checklist once the booking is over', async () => {
+        const { hcs, test } = await setUpTest();
+        const { customer, booking } = await book(hcs, test, 'completed');
+
+        const { statusCode, body } = await tick(booking, customer, [{ id: booking.preparationChecklist[0]._id.toString(), done: true }]);
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('The checklist can\'t be changed for a completed booking');
+    });
+
+    it('does not let a center override preparation for a test it does not offer', async () => {
+        const { test } = await setUpTest();
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const { statusCode, body } = await callController(updateHcsPreparation, {
+            params: { id: test._id.toString() },
+            body: { preparation: { fastingHours: 0 } },
+            user: otherAdmin
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Test is not assigned to this healthcare center');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Promotion = require('../src/models/Promotion');
+const { createBooking, cancelBooking } = require('../src/controllers/bookingController');
+const { validatePromoCode } = require('../src/controllers/promotionController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A 20% promotion valid this week, once per customer, at a center offering a 500 test
+const setUpPromotion = async (fields = {}) => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const promotion = await Promotion.create({
+        code: 'SAVE20',
+        discountType: 'percentage',
+        discountValue: 20,
+        validFrom: new Date(Date.now() - DAY),
+        validUntil: new Date(Date.now() + 7 * DAY),
+        ...fields
+    });
+
+    const book = (time, promoCode = 'save20') => callController(createBooking, {
+        body: {
+            test: test._id.toString(),
+            hcs: hcs._id.toString(),
+            scheduledAt: centerTime(hcs, 7, time).toISOString(),
+            promoCode
+        },
+        user: customer
+    });
+
+    const validate = (code = 'SAVE20') => callController(validatePromoCode, {
+        body: { code, test: test._id.toString(), hcs: hcs._id.toString() },
+        user: customer
+    });
+
+    return { promotion, customer, book, validate };
+};
+
+describe('promo codes', () => {
+    it('previews the discount for a test at a center', async () => {
+        const { validate } = await setUpPromotion();
+
+        const { statusCode, body } = await validate();
+
+        expect(statusCode).toBe(200);
+        expect(body.data).toMatchObject({ originalPrice: 500, discount: 100, finalPrice: 400 });
+    });
+
+    it('applies the discount to the booking price and counts the use', async () => {
+        const { promotion, book } = await setUpPromotion();
+
+        const { statusCode, body } = await book('09:00');
+
+        expect(statusCode).toBe(201);
+        expect(body.data).toMatchObject({ promoCode: 'SAVE20', discount: 100, originalPrice: 500, priceAtBooking: 400 });
+        expect((await Promotion.findById(promotion._id)).usedCount).toBe(1);
+    });
+
+    it('stops a customer using the code more often than allowed until a booking is canceled', async () => {
+        const { promotion, customer, book } = await setUpPromotion();
+        const first = await book('09:00');
+
+        const second = await book('10:00');
+        expect(second.statusCode).toBe(400);
+        expect(second.body.message).toBe('You have already used this promo code the maximum number of times');
+
+        await callController(cancelBooking, {
+            params: { id: first.body.data._id.toString() },
+            user: customer
+        });
+        expect((await Promotion.findById(promotion._id)).usedCount).toBe(0);
+        expect((await book('10:00')).statusCode).toBe(201);
+    });
+
+    it('rejects expired codes and codes for other centers', async () => {
+        const expired = await setUpPromotion({ validUntil: new Date(Date.now() - 1000), validFrom: new Date(Date.now() - DAY) });
+        const expiredCheck = await expired.validate();
+        expect(expiredCheck.statusCode).toBe(400);
+        expect(expiredCheck.body.message).toBe('This promo code has expired');
+
+        const otherCenter = await createCenter();
+        await Promotion.updateOne({ code: 'SAVE20' }, {
+            validUntil: new Date(Date.now() + DAY),
+            'scope.hcs': [otherCenter._id]
+        });
+        const scopedCheck = await expired.validate();
+        expect(scopedCheck.statusCode).toBe(400);
+        expect(scopedCheck.body.message).toBe('This promo code does not apply at the selected healthcare center');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,19 @@
+const { calculateDiscount } = require('../src/lib/promotions');
+
+describe('calculateDiscount', () => {
+    it('takes a percentage off the price', () => {
+        expect(calculateDiscount({ discountType: 'percentage', discountValue: 15 }, 1250)).toBe(187.5);
+    });
+
+    it('caps a percentage discount at the promotion\'s maximum', () => {
+        expect(calculateDiscount({ discountType: 'percentage', discountValue: 50, maxDiscount: 300 }, 1000)).toBe(300);
+    });
+
+    it('never takes off more than the price', () => {
+        expect(calculateDiscount({ discountType: 'fixed', discountValue: 800 }, 500)).toBe(500);
+    });
+
+    it('rounds to two decimal places', () => {
+        expect(calculateDiscount({ discountType: 'percentage', discountValue: 33 }, 333)).toBe(109.89);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const HealthcareCenter = require('../src/models/HealthcareCenter');
+const Invoice = require('../src/models/Invoice');
+const User = require('../src/models/User');
+const pdf = require('../src/lib/pdf');
+const { payForBooking } = require('../src/controllers/paymentController');
+const { getBookingReceipt, getMonthlyStatement } = require('../src/controllers/bookingController');
+
+// Keep the real PDFs but record which invoices went into each statement
+jest.mock('../src/lib/pdf', () => {
+    const actual = jest.requireActual('../src/lib/pdf');
+    return { ...actual, buildStatement: jest.fn(actual.buildStatement) };
+});
+
+beforeAll(db.connect);
+afterEach(async () => {
+    pdf.buildStatement.mockClear();
+    await db.clear();
+});
+afterAll(db.disconnect);
+
+// A customer's booking at a center, and the center's admin
+const setUpBooking = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const admin = await User.findById(hcs.admin);
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 3, '09:00')
+    });
+
+    const getReceipt = user => callController(getBookingReceipt, {
+        params: { id: booking._id.toString() },
+        user
+    });
+
+    return { hcs, test, customer, admin, booking, getReceipt };
+};
+
+describe('booking receipts', () => {
+    it('has no receipt, and uses no invoice number, until a payment is received', async () => {
+        const { customer, booking, getReceipt } = await setUpBooking();
+        await callController(payForBooking, {
+            params: { bookingId: booking._id.toString() },
+            body: { method: 'card' },
+            user: customer
+        });
+
+        const { statusCode, body } = await getReceipt(customer);
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('A receipt is available once a payment for this booking has been received');
+        const invoice = await Invoice.findOne({ booking: booking._id });
+        expect(invoice.number).toBeUndefined();
+        expect(invoice.sequence).toBeUndefined();
+    });
+
+    it('sends a numbered PDF receipt once the booking is paid', async () => {
+        const { customer, admin, booking, getReceipt } = await setUpBooking();
+        await callController(payForBooking, {
+            params: { bookingId: booking._id.toString() },
+            body: { method: 'cash' },
+            user: admin
+        });
+
+        const { statusCode, headers, body } = await getReceipt(customer);
+
+        const invoice = await Invoice.findOne({ booking: booking._id });
+        expect(statusCode).toBe(200);
+        expect(invoice.sequence).toBe(1);
+        expect(headers['Content-Type']).toBe('application/pdf');
+        expect(headers['Content-Disposition']).toBe(`attachment; filename="receipt-${invoice.number}.pdf"`);
+        expect(body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('does not show a receipt to another customer', async () => {
+        const { getReceipt } = await setUpBooking();
+        const other = await createUser();
+
+        const { statusCode } = await getReceipt(other);
+
+        expect(statusCode).toBe(403);
+    });
+
+    it('refuses an HCS admin when the booking\'s center has no admin', async () => {
+        const { hcs, admin, getReceipt } = await setUpBooking();
+        await HealthcareCenter.updateOne({ _id: hcs._id }, { $unset: { admin: 1 } });
+
+        const { statusCode } = await getReceipt(admin);
+
+        expect(statusCode).toBe(403);
+    });
+});
+
+describe('monthly statements', () => {
+    // A paid invoice for one of the customer's bookings, paid at the given instant
+    const createPaidInvoice = async (customer, hcs, test, paidAt) => {
+        const booking = await Booking.create({
+            user: customer._id,
+            test: test._id,
+            hcs: hcs._id,
+            scheduledAt: centerTime(hcs, 3, '09:00')
+        });
+        return Invoice.create({
+            booking: booking._id,
+            user: customer._id,
+            hcs: hcs._id,
+            amount: 500,
+            amountPaid: 500,
+            status: 'paid',
+            paidAt
+        });
+    };
+
+    const getStatement = (user, month) => callController(getMonthlyStatement, {
+        params: { month },
+        user
+    });
+
+    it('puts each payment in the month it was made at its center', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs);
+        const customer = await createUser();
+        // 2am on November 1 in Dhaka, still October in UTC
+        const november = await createPaidInvoice(customer, hcs, test, new Date('2026-10-31T20:00:00Z'));
+        const october = await createPaidInvoice(customer, hcs, test, new Date('2026-10-15T06:00:00Z'));
+
+        const octoberStatement = await getStatement(customer, '2026-10');
+        const novemberStatement = await getStatement(customer, '2026-11');
+
+        expect(octoberStatement.statusCode).toBe(200);
+        expect(novemberStatement.headers['Content-Type']).toBe('application/pdf');
+        const [octoberCall, novemberCall] = pdf.buildStatement.mock.calls;
+        expect(octoberCall[0].invoices.map(invoice => invoice._id.toString())).toEqual([october._id.toString()]);
+        expect(novemberCall[0].invoices.map(invoice => invoice._id.toString())).toEqual([november._id.toString()]);
+    });
+
+    it('rejects months that are not in YYYY-MM format', async () => {
+        const customer = await createUser();
+
+        const { statusCode, body } = await getStatement(customer, '2026-13');
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('Month must be in YYYY-MM format');
+    });
+});
\ No newline at end of file
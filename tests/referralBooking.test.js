@@ -0,0 +1,72 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Referral = require('../src/models/Referral');
+const { createBooking } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A customer holding a doctor's referral for one test offered at a center
+const setUpReferral = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 5);
+    const doctor = await createUser('Doctor');
+    const customer = await createUser('Customer');
+    const referral = await Referral.create({
+        doctor: doctor._id,
+        customer: customer._id,
+        patient: { dependent: null, name: customer.name },
+        tests: [{ test: test._id }],
+        notes: 'Suspected anaemia, please check hemoglobin'
+    });
+
+    const book = (fields = {}) => callController(createBooking, {
+        body: {
+            test: test._id.toString(),
+            hcs: hcs._id.toString(),
+            scheduledAt: centerTime(hcs, 7, '09:00').toISOString(),
+            referral: referral._id.toString(),
+            ...fields
+        },
+        user: customer
+    });
+
+    return { hcs, test, referral, book };
+};
+
+describe('createBooking from a referral', () => {
+    it('books the referred test and links the booking to the referral', async () => {
+        const { referral, book } = await setUpReferral();
+
+        const { statusCode, body } = await book();
+
+        expect(statusCode).toBe(201);
+        expect(body.data.referral.toString()).toBe(referral._id.toString());
+        expect(body.data.patient.name).toBe(referral.patient.name);
+
+        const updated = await Referral.findById(referral._id);
+        expect(updated.tests[0].booking.toString()).toBe(body.data._id.toString());
+    });
+
+    it('does not book the same referred test twice', async () => {
+        const { hcs, book } = await setUpReferral();
+        await book();
+
+        const { statusCode, body } = await book({ scheduledAt: centerTime(hcs, 7, '10:00').toISOString() });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('This referred test has already been booked');
+    });
+
+    it('rejects a test the referral does not name', async () => {
+        const { hcs, book } = await setUpReferral();
+        const otherTest = await createTest(hcs, 5);
+
+        const { statusCode, body } = await book({ test: otherTest._id.toString() });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toBe('This test is not part of the referral');
+    });
+});
\ No newline at end of file
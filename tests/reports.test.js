@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep uploaded files out of the working tree; report storage reads this when loaded
+const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ewel-reports-'));
+process.env.REPORTS_DIR = reportsDir;
+
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const ActivityLog = require('../src/models/ActivityLog');
+const Booking = require('../src/models/Booking');
+const TestReport = require('../src/models/TestReport');
+const User = require('../src/models/User');
+const { uploadReports, getReports, downloadReport } = require('../src/controllers/reportController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(async () => {
+    await db.disconnect();
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+});
+
+const PDF_FILE = Buffer.from('%PDF-1.4\n% test report\n');
+
+// A file the way multer hands it over
+const toUpload = (originalname, buffer, mimetype = 'application/pdf') => ({
+    originalname,
+    mimetype,
+    buffer,
+    size: buffer.length
+});
+
+// A customer's booking at a center, and the center's admin
+const setUpBooking = async (status = 'completed') => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const customer = await createUser();
+    const admin = await User.findById(hcs.admin);
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, -1, '09:00'),
+        status
+    });
+
+    const upload = (user, files) => callController(uploadReports, {
+        params: { id: booking._id.toString() },
+        body: { notes: 'Signed by the pathologist' },
+        files,
+        user
+    });
+
+    return { hcs, customer, admin, booking, upload };
+};
+
+describe('result reports', () => {
+    it('lets the center upload a report that only the customer can download', async () => {
+        const { customer, admin, booking, upload } = await setUpBooking();
+
+        const uploaded = await upload(admin, [toUpload('cbc.pdf', PDF_FILE)]);
+
+        expect(uploaded.statusCode).toBe(201);
+        expect(uploaded.body.count).toBe(1);
+        expect(uploaded.body.data[0]).toMatchObject({ originalName: 'cbc.pdf', mimeType: 'application/pdf' });
+        expect(uploaded.body.data[0].storedName).toBeUndefined();
+
+        const stored = await TestReport.findOne({ booking: booking._id }).select('+storedName');
+        expect(fs.existsSync(path.join(reportsDir, stored.storedName))).toBe(true);
+
+        const listed = await callController(getReports, { params: { id: booking._id.toString() }, user: customer });
+        expect(listed.body.count).toBe(1);
+
+        const downloaded = await callController(downloadReport, {
+            params: { id: booking._id.toString(), reportId: stored._id.toString() },
+            user: customer
+        });
+
+        expect(downloaded.statusCode).toBe(200);
+        expect(downloaded.body.equals(PDF_FILE)).toBe(true);
+        expect(downloaded.headers).toMatchObject({
+            'Content-Type': 'application/pdf',
+            'Cache-Control': 'private, no-store',
+            'Content-Disposition': 'attachment; filename="cbc.pdf"'
+        });
+
+        const logs = await ActivityLog.find({ resourceId: stored._id }).sort({ createdAt: 1 });
+        expect(logs.map(log => log.action)).toEqual(['REPORT_UPLOAD', 'REPORT_DOWNLOAD']);
+    });
+
+    it('rejects reports for bookings that are not completed, and files that are not reports', async () => {
+        const pending = await setUpBooking('confirmed');
+        const completed = await setUpBooking();
+
+        const early = await pending.upload(pending.admin, [toUpload('cbc.pdf', PDF_FILE)]);
+        const disguised = await completed.upload(completed.admin, [
+            toUpload('cbc.pdf', PDF_FILE),
+            toUpload('notes.pdf', Buffer.from('<script>alert(1)</script>'))
+        ]);
+
+        expect(early.statusCode).toBe(400);
+        expect(early.body.message).toBe('Reports can only be added to completed bookings');
+        expect(disguised.statusCode).toBe(400);
+        expect(disguised.body.message).toBe('notes.pdf is not a valid PDF, JPEG or PNG file');
+        expect(await TestReport.countDocuments()).toBe(0);
+    });
+
+    it('keeps reports from other customers and other centers', async () => {
+        const { admin, booking, upload } = await setUpBooking();
+        await upload(admin, [toUpload('cbc.pdf', PDF_FILE)]);
+        const report = await TestReport.findOne({ booking: booking._id });
+        const otherCustomer = await createUser();
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const download = await callController(downloadReport, {
+            params: { id: booking._id.toString(), reportId: report._id.toString() },
+            user: otherCustomer
+        });
+        const otherUpload = await upload(otherAdmin, [toUpload('cbc.pdf', PDF_FILE)]);
+
+        expect(download.statusCode).toBe(403);
+        expect(otherUpload.statusCode).toBe(403);
+        expect(await TestReport.countDocuments()).toBe(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const SlotReservation = require('../src/models/SlotReservation');
+const { rescheduleBooking } = require('../src/controllers/bookingController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A center whose test is fully booked on a day next week, at 09:00 and 09:30
+const setUpFullDay = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 2);
+    const customer = await createUser();
+    const [first, second] = await Booking.create(['09:00', '09:30'].map(time => ({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, 7, time)
+    })));
+
+    return { hcs, test, customer, first, second };
+};
+
+describe('rescheduleBooking', () => {
+    it('moves a booking to another time on a fully booked day', async () => {
+        const { hcs, test, customer, first } = await setUpFullDay();
+        const newTime = centerTime(hcs, 7, '10:00');
+
+        const { statusCode, body } = await callController(rescheduleBooking, {
+            params: { id: first._id.toString() },
+            body: { scheduledAt: newTime.toISOString() },
+            user: customer
+        });
+
+        expect(statusCode).toBe(200);
+        expect(new Date(body.data.scheduledAt)).toEqual(newTime);
+
+        const reservation = await SlotReservation.findOne({ hcs: hcs._id, test: test._id });
+        expect(reservation.count).toBe(2);
+        expect(reservation.times.map(time => time.getTime()).sort()).toEqual([
+            centerTime(hcs, 7, '09:30').getTime(),
+            newTime.getTime()
+        ]);
+    });
+
+    it('refuses a same-day move to a time that is already taken', async () => {
+        const { hcs, customer, first } = await setUpFullDay();
+
+        const { statusCode } = await callController(rescheduleBooking, {
+            params: { id: first._id.toString() },
+            body: { scheduledAt: centerTime(hcs, 7, '09:30').toISOString() },
+            user: customer
+        });
+
+        expect(statusCode).toBe(400);
+    });
+
+    it('still checks capacity when the booking moves to another day', async () => {
+        const { hcs, test, customer } = await setUpFullDay();
+        const other = await Booking.create({
+            user: customer._id,
+            test: test._id,
+            hcs: hcs._id,
+            scheduledAt: centerTime(hcs, 8, '09:00')
+        });
+
+        const { statusCode, body } = await callController(rescheduleBooking, {
+            params: { id: other._id.toString() },
+            body: { scheduledAt: centerTime(hcs, 7, '11:00').toISOString() },
+            user: customer
+        });
+
+        expect(statusCode).toBe(400);
+        expect(body.message).toMatch(/No available slots/);
+    });
+});
\ No newline at end of file
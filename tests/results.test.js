@@ -0,0 +1,134 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const LabResult = require('../src/models/LabResult');
+const User = require('../src/models/User');
+const { enterResults, getAnalyteHistory } = require('../src/controllers/reportController');
+const { createTest: createTestController, updateTestAnalytes } = require('../src/controllers/testController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const ANALYTES = [{
+    code: 'hemoglobin',
+    name: 'Hemoglobin',
+    unit: 'g/dL',
+    referenceRanges: [
+        { sex: 'any', low: 11, high: 17 },
+        { sex: 'female', minAge: 18, low: 12, high: 15.5, criticalLow: 7 }
+    ]
+}];
+
+// A completed booking of a test that reports hemoglobin, for a woman born in 1990
+const setUpBooking = async (daysAgo = 1) => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs, 10, { analytes: ANALYTES });
+    const customer = await createUser();
+    const admin = await User.findById(hcs.admin);
+    const booking = await Booking.create({
+        user: customer._id,
+        test: test._id,
+        hcs: hcs._id,
+        scheduledAt: centerTime(hcs, -daysAgo, '09:00'),
+        status: 'completed',
+        patient: { name: customer.name, sex: 'female', dateOfBirth: new Date('1990-06-15') }
+    });
+
+    const enter = (user, results) => callController(enterResults, {
+        params: { id: booking._id.toString() },
+        body: { results },
+        user
+    });
+
+    return { hcs, test, customer, admin, booking, enter };
+};
+
+describe('structured results', () => {
+    it('flags values against the range for the patient and lets the lab correct them', async () => {
+        const { admin, booking, enter } = await setUpBooking();
+
+        const first = await enter(admin, [{ analyte: 'Hemoglobin', value: '16.2' }]);
+        expect(first.statusCode).toBe(200);
+        expect(first.body.data[0]).toMatchObject({
+            analyte: 'hemoglobin',
+            value: 16.2,
+            unit: 'g/dL',
+            flag: 'high',
+            referenceRange: { low: 12, high: 15.5, criticalLow: 7 }
+        });
+
+        const corrected = await enter(admin, [{ analyte: 'hemoglobin', value: 6.8, comment: 'Repeated' }]);
+        expect(corrected.body.count).toBe(1);
+        expect(corrected.body.data[0]).toMatchObject({ value: 6.8, flag: 'critical', comment: 'Repeated' });
+        expect(await LabResult.countDocuments({ booking: booking._id })).toBe(1);
+    });
+
+    it('shows a customer their values for an analyte over time', async () => {
+        const earlier = await setUpBooking(30);
+        const later = await setUpBooking(1);
+        await Booking.updateOne({ _id: later.booking._id }, { user: earlier.customer._id });
+        await earlier.enter(earlier.admin, [{ analyte: 'hemoglobin', value: 11 }]);
+        await later.enter(later.admin, [{ analyte: 'hemoglobin', value: 13 }]);
+
+        const { statusCode, body } = await callController(getAnalyteHistory, {
+            params: { analyte: 'HEMOGLOBIN' },
+            user: earlier.customer
+        });
+
+        expect(statusCode).toBe(200);
+        expect(body).toMatchObject({ analyte: 'hemoglobin', name: 'Hemoglobin', unit: 'g/dL', count: 2 });
+        expect(body.data.map(result => [result.value, result.flag])).toEqual([[11, 'low'], [13, 'normal']]);
+    });
+
+    it('rejects unknown analytes and values that are not numbers without saving any', async () => {
+        const { test, admin, enter } = await setUpBooking();
+
+        const unknown = await enter(admin, [{ analyte: 'hemoglobin', value: 13 }, { analyte: 'glucose', value: 5 }]);
+        const notANumber = await enter(admin, [{ analyte: 'hemoglobin', value: 'high' }]);
+
+        expect(unknown.statusCode).toBe(400);
+        expect(unknown.body.message).toBe(`${test.title} has no analyte glucose`);
+        expect(notANumber.statusCode).toBe(400);
+        expect(notANumber.body.message).toBe('Value for Hemoglobin must be a number');
+        expect(await LabResult.countDocuments()).toBe(0);
+    });
+
+    it('does not let another center enter results', async () => {
+        const { enter } = await setUpBooking();
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const { statusCode } = await enter(otherAdmin, [{ analyte: 'hemoglobin', value: 13 }]);
+
+        expect(statusCode).toBe(403);
+        expect(await LabResult.countDocuments()).toBe(0);
+    });
+});
+
+describe('test analytes', () => {
+    it('only lets Superadmins define analytes', async () => {
+        const hcs = await createCenter();
+        const admin = await User.findById(hcs.admin);
+
+        const { statusCode, body } = await callController(createTestController, {
+            body: { title: 'CBC', description: 'Complete blood count', price: 400, duration: 15, analytes: ANALYTES },
+            user: admin
+        });
+
+        expect(statusCode).toBe(403);
+        expect(body.message).toBe('Only Superadmins can define test analytes');
+    });
+
+    it('refuses analytes that repeat a code', async () => {
+        const { test } = await setUpBooking();
+        const superadmin = await createUser('Superadmin');
+
+        await expect(callController(updateTestAnalytes, {
+            params: { id: test._id.toString() },
+            body: { analytes: [...ANALYTES, { code: 'hemoglobin', name: 'Hb', referenceRanges: [] }] },
+            user: superadmin
+        })).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+const HealthcareCenter = require('../src/models/HealthcareCenter');
+const { zonedTimeToDate } = require('../src/lib/timezone');
+const {
+    formatDay,
+    formatTime,
+    parseDay,
+    toDayKey,
+    getDayBounds,
+    validateOpenDay
+} = require('../src/lib/scheduling');
+
+// A UTC+6 center: late evening and just after midnight there fall on
+// different UTC days than they do locally
+const DHAKA = 'Asia/Dhaka';
+const TUESDAY_2330 = new Date('2026-10-20T17:30:00Z');
+const WEDNESDAY_0030 = new Date('2026-10-20T18:30:00Z');
+
+// Helper function to build an unsaved center in Dhaka
+const buildCenter = (fields = {}) => new HealthcareCenter({
+    name: 'Night Lab',
+    timezone: DHAKA,
+    openingHours: { open: '00:00', close: '23:59' },
+    ...fields
+});
+
+it('runs with the server clock in UTC', () => {
+    expect(new Date(2026, 9, 20).getTimezoneOffset()).toBe(0);
+});
+
+describe('zonedTimeToDate', () => {
+    it('converts wall-clock times either side of midnight in a UTC+6 center', () => {
+        expect(zonedTimeToDate({ year: 2026, month: 10, day: 20, hour: 23, minute: 30 }, DHAKA)).toEqual(TUESDAY_2330);
+        expect(zonedTimeToDate({ year: 2026, month: 10, day: 21, hour: 0, minute: 30 }, DHAKA)).toEqual(WEDNESDAY_0030);
+    });
+
+    it('lands on the right instant just after a DST change', () => {
+        expect(zonedTimeToDate({ year: 2026, month: 3, day: 8, hour: 3, minute: 30 }, 'America/New_York'))
+            .toEqual(new Date('2026-03-08T07:30:00Z'));
+    });
+});
+
+describe('formatDay and parseDay', () => {
+    it('puts bookings on the center\'s calendar day, not the UTC one', () => {
+        expect(formatDay(TUESDAY_2330, DHAKA)).toBe('2026-10-20');
+        expect(formatDay(WEDNESDAY_0030, DHAKA)).toBe('2026-10-21');
+        expect(formatTime(WEDNESDAY_0030, DHAKA)).toBe('00:30');
+        expect(toDayKey(WEDNESDAY_0030.toISOString(), DHAKA)).toBe('2026-10-21');
+    });
+
+    it('parses a day and time at the center back to the same instant', () => {
+        expect(parseDay('2026-10-21', DHAKA)).toEqual(new Date('2026-10-20T18:00:00Z'));
+        expect(parseDay('2026-10-21', DHAKA, '00:30')).toEqual(WEDNESDAY_0030);
+        expect(parseDay('2026-10-20', DHAKA, '23:30')).toEqual(TUESDAY_2330);
+    });
+
+    it('bounds the day around the center\'s midnight', () => {
+        expect(getDayBounds(WEDNESDAY_0030, DHAKA)).toEqual({
+            startOfDay: new Date('2026-10-20T18:00:00Z'),
+            endOfDay: new Date('2026-10-21T17:59:59.999Z')
+        });
+        expect(getDayBounds(TUESDAY_2330, DHAKA).startOfDay).toEqual(new Date('2026-10-19T18:00:00Z'));
+    });
+});
+
+describe('center closures and weekday hours', () => {
+    it('applies a dated closure to bookings just after local midnight only', () => {
+        const hcs = buildCenter({ closures: [{ date: '2026-10-21', type: 'holiday', reason: 'Durga Puja' }] });
+
+        expect(validateOpenDay(hcs, WEDNESDAY_0030)).toMatch(/closed on 2026-10-21/);
+        expect(validateOpenDay(hcs, TUESDAY_2330)).toBeNull();
+    });
+
+    it('uses the local weekday for weekly closed days', () => {
+        const hcs = buildCenter({ weeklyHours: [{ dayOfWeek: 3, closed: true }] });
+
+        expect(hcs.getHoursForDate(WEDNESDAY_0030)).toMatchObject({ closed: true });
+        expect(hcs.getHoursForDate(TUESDAY_2330)).toMatchObject({ closed: false });
+    });
+
+    it('builds each day\'s time grid from that day\'s local hours', () => {
+        const hcs = buildCenter({ weeklyHours: [{ dayOfWeek: 2, open: '20:00', close: '23:59' }] });
+
+        expect(hcs.getHoursForDate(TUESDAY_2330)).toMatchObject({ open: '20:00', close: '23:59' });
+
+        const tuesdaySlots = hcs.getTimeSlots(TUESDAY_2330, 15);
+        expect(tuesdaySlots[0]).toEqual(new Date('2026-10-20T14:00:00Z'));
+        expect(tuesdaySlots).toContainEqual(TUESDAY_2330);
+
+        const wednesdaySlots = hcs.getTimeSlots(WEDNESDAY_0030, 15);
+        expect(wednesdaySlots[0]).toEqual(new Date('2026-10-20T18:00:00Z'));
+        expect(wednesdaySlots).toContainEqual(WEDNESDAY_0030);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const Booking = require('../src/models/Booking');
+const SlotReservation = require('../src/models/SlotReservation');
+const { reserveSlot } = require('../src/lib/slotReservation');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// Start times half an hour apart from 09:00 on a day next week
+const startTimes = (hcs, count) => Array.from({ length: count }, (_, index) => {
+    const start = centerTime(hcs, 7, '09:00');
+    return new Date(start.getTime() + index * 30 * 60 * 1000);
+});
+
+describe('reserveSlot', () => {
+    it('never reserves more slots than the day allows when requests run in parallel', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs, 3);
+
+        const results = await Promise.all(startTimes(hcs, 12).map(scheduledAt => reserveSlot({
+            hcs: hcs._id,
+            test: test._id,
+            scheduledAt,
+            duration: test.duration,
+            capacity: 3
+        })));
+
+        expect(results.filter(result => result === null)).toHaveLength(3);
+        expect(results.filter(result => result === 'full')).toHaveLength(9);
+
+        const reservations = await SlotReservation.find({ hcs: hcs._id, test: test._id });
+        expect(reservations).toHaveLength(1);
+        expect(reservations[0].count).toBe(3);
+        expect(reservations[0].times).toHaveLength(3);
+    });
+
+    it('gives a start time to only one of several parallel requests', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs, 10);
+        const [scheduledAt] = startTimes(hcs, 1);
+
+        const results = await Promise.all(Array.from({ length: 5 }, () => reserveSlot({
+            hcs: hcs._id,
+            test: test._id,
+            scheduledAt,
+            duration: test.duration,
+            capacity: 10
+        })));
+
+        expect(results.filter(result => result === null)).toHaveLength(1);
+        expect(results.filter(result => result === 'taken')).toHaveLength(4);
+    });
+
+    it('reserves only one of two overlapping appointments requested in parallel', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs, 10, { duration: 60 });
+        const [nine, halfPastNine] = startTimes(hcs, 2);
+
+        const results = await Promise.all([nine, halfPastNine].map(scheduledAt => reserveSlot({
+            hcs: hcs._id,
+            test: test._id,
+            scheduledAt,
+            duration: 60,
+            capacity: 10
+        })));
+
+        expect(results.filter(result => result === null)).toHaveLength(1);
+        expect(results.filter(result => result === 'taken')).toHaveLength(1);
+
+        // An appointment starting as the first one ends doesn't overlap it
+        const winner = results[0] === null ? nine : halfPastNine;
+        const next = new Date(winner.getTime() + 60 * 60 * 1000);
+        expect(await reserveSlot({ hcs: hcs._id, test: test._id, scheduledAt: next, duration: 60, capacity: 10 })).toBeNull();
+    });
+
+    it('counts bookings made before the day was first reserved', async () => {
+        const hcs = await createCenter();
+        const test = await createTest(hcs, 3);
+        const customer = await createUser();
+        const times = startTimes(hcs, 8);
+
+        await Booking.create(times.slice(0, 2).map(scheduledAt => ({
+            user: customer._id,
+            test: test._id,
+            hcs: hcs._id,
+            scheduledAt
+        })));
+
+        const results = await Promise.all(times.slice(2).map(scheduledAt => reserveSlot({
+            hcs: hcs._id,
+            test: test._id,
+            scheduledAt,
+            duration: test.duration,
+            capacity: 3
+        })));
+
+        expect(results.filter(result => result === null)).toHaveLength(1);
+        expect(await SlotReservation.countDocuments({ hcs: hcs._id, test: test._id })).toBe(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Test = require('../src/models/Test');
+const TestCategory = require('../src/models/TestCategory');
+const router = require('../src/api/testCategories');
+const { superadminOnly } = require('../src/middleware/roleMiddleware');
+const {
+    getCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} = require('../src/controllers/testCategoryController');
+const { getTests } = require('../src/controllers/testController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// Create a category as a Superadmin, under a parent when one is given
+const addCategory = async (superadmin, name, parent) => {
+    const { statusCode, body } = await callController(createCategory, {
+        body: { name, parent: parent ? parent._id.toString() : undefined },
+        user: superadmin
+    });
+    expect(statusCode).toBe(201);
+    return body.data;
+};
+
+// Imaging -> MRI -> Brain MRI, and Blood tests beside Imaging
+const setUpCategories = async () => {
+    const superadmin = await createUser('Superadmin');
+    const imaging = await addCategory(superadmin, 'Imaging');
+    const mri = await addCategory(superadmin, 'MRI', imaging);
+    const brainMri = await addCategory(superadmin, 'Brain MRI', mri);
+    const blood = await addCategory(superadmin, 'Blood tests');
+
+    return { superadmin, imaging, mri, brainMri, blood };
+};
+
+describe('test categories', () => {
+    it('nests categories under their parents', async () => {
+        const { imaging, mri, brainMri } = await setUpCategories();
+
+        const { body } = await callController(getCategories, { query: { tree: 'true' } });
+
+        expect(brainMri.ancestors.map(String)).toEqual([imaging._id.toString(), mri._id.toString()]);
+        expect(body.count).toBe(4);
+        expect(body.data.map(node => node.name)).toEqual(['Blood tests', 'Imaging']);
+        const imagingNode = body.data[1];
+        expect(imagingNode.children.map(node => node.name)).toEqual(['MRI']);
+        expect(imagingNode.children[0].children.map(node => node.name)).toEqual(['Brain MRI']);
+    });
+
+    it('finds tests filed anywhere below a category', async () => {
+        const { brainMri, blood } = await setUpCategories();
+        const hcs = await createCenter();
+        const scan = await createTest(hcs, 10, { category: brainMri._id, type: brainMri.name });
+        await createTest(hcs, 10, { category: blood._id, type: blood.name });
+
+        const byName = await callController(getTests, { query: { category: 'imaging' } });
+        const unknown = await callController(getTests, { query: { category: 'Dental' } });
+
+        expect(byName.body.data.map(test => test._id.toString())).toEqual([scan._id.toString()]);
+        expect(unknown.body.count).toBe(0);
+    });
+
+    it('moves subcategories along with their parent, but not under themselves', async () => {
+        const { superadmin, imaging, mri, brainMri, blood } = await setUpCategories();
+        const move = (category, parent) => callController(updateCategory, {
+            params: { id: category._id.toString() },
+            body: { parent: parent._id.toString() },
+            user: superadmin
+        });
+
+        const moved = await move(mri, blood);
+        const loop = await move(imaging, imaging);
+
+        expect(moved.statusCode).toBe(200);
+        const brain = await TestCategory.findById(brainMri._id);
+        expect(brain.ancestors.map(String)).toEqual([blood._id.toString(), mri._id.toString()]);
+        expect(loop.statusCode).toBe(400);
+        expect(loop.body.message).toBe('A category cannot be moved under itself or one of its subcategories');
+    });
+
+    it('hides an inactive category and everything below it from customers', async () => {
+        const { superadmin, imaging } = await setUpCategories();
+        await callController(updateCategory, {
+            params: { id: imaging._id.toString() },
+            body: { active: false },
+            user: superadmin
+        });
+
+        const { body } = await callController(getCategories, {});
+
+        expect(body.data.map(category => category.name)).toEqual(['Blood tests']);
+    });
+
+    it('refuses to delete categories that have subcategories or tests', async () => {
+        const { superadmin, mri, blood } = await setUpCategories();
+        const hcs = await createCenter();
+        await createTest(hcs, 10, { category: blood._id, type: blood.name });
+        const remove = category => callController(deleteCategory, {
+            params: { id: category._id.toString() },
+            user: superadmin
+        });
+
+        const withChildren = await remove(mri);
+        const withTests = await remove(blood);
+
+        expect(withChildren.statusCode).toBe(400);
+        expect(withChildren.body.message).toBe('This category has subcategories. Move or delete them first.');
+        expect(withTests.statusCode).toBe(400);
+        expect(await TestCategory.countDocuments()).toBe(4);
+        expect(await Test.countDocuments({ category: blood._id })).toBe(1);
+    });
+
+    it('keeps category management to Superadmins', async () => {
+        const hcs = await createCenter();
+        const hcsAdmin = { role: 'HCS Admin', id: hcs.admin.toString() };
+
+        const changes = router.stack.filter(layer => layer.route && !layer.route.methods.get);
+        const { statusCode, body } = await callController(superadminOnly, { user: hcsAdmin });
+
+        expect(changes).toHaveLength(3);
+        changes.forEach(layer => {
+            expect(layer.route.stack.map(handler => handler.handle)).toContain(superadminOnly);
+        });
+        expect(statusCode).toBe(403);
+        expect(body.message).toBe('Access denied. Superadmin role required.');
+    });
+});
\ No newline at end of file
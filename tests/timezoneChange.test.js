@@ -0,0 +1,73 @@
+const db = require('./helpers/db');
+const { createCenter, createTest, createUser, centerTime } = require('./helpers/fixtures');
+const { callController } = require('./helpers/controller');
+const Booking = require('../src/models/Booking');
+const SlotReservation = require('../src/models/SlotReservation');
+const User = require('../src/models/User');
+const { addDays, formatDay } = require('../src/lib/scheduling');
+const { updateHealthcareCenter, updateOperatingHours } = require('../src/controllers/hcsController');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+// A Dhaka center and a way for its admin to move it to another timezone
+const setUpCenter = async () => {
+    const hcs = await createCenter();
+    const test = await createTest(hcs);
+    const admin = await User.findById(hcs.admin);
+
+    const moveTo = (handler, timezone, user = admin) => callController(handler, {
+        params: { id: hcs._id.toString() },
+        body: { timezone },
+        user
+    });
+
+    return { hcs, test, moveTo };
+};
+
+describe('changing a center\'s timezone', () => {
+    it('is refused while the center has upcoming bookings', async () => {
+        const { hcs, test, moveTo } = await setUpCenter();
+        const customer = await createUser();
+        await Booking.create({
+            user: customer._id,
+            test: test._id,
+            hcs: hcs._id,
+            scheduledAt: centerTime(hcs, 3, '09:00')
+        });
+
+        const viaHours = await moveTo(updateOperatingHours, 'Asia/Kolkata');
+        const viaDetails = await moveTo(updateHealthcareCenter, 'Asia/Kolkata');
+
+        expect(viaHours.statusCode).toBe(400);
+        expect(viaHours.body.message).toMatch(/upcoming bookings/);
+        expect(viaDetails.statusCode).toBe(400);
+    });
+
+    it('clears upcoming reservations so they are seeded on the new calendar', async () => {
+        const { hcs, test, moveTo } = await setUpCenter();
+        const today = formatDay(new Date(), hcs.timezone);
+        await SlotReservation.create([
+            { hcs: hcs._id, test: test._id, day: addDays(today, -10), count: 2 },
+            { hcs: hcs._id, test: test._id, day: addDays(today, 3), count: 0 }
+        ]);
+
+        const { statusCode, body } = await moveTo(updateOperatingHours, 'Asia/Kolkata');
+
+        expect(statusCode).toBe(200);
+        expect(body.data.timezone).toBe('Asia/Kolkata');
+        const remaining = await SlotReservation.find({ hcs: hcs._id });
+        expect(remaining.map(reservation => reservation.day)).toEqual([addDays(today, -10)]);
+    });
+
+    it('does not let another center\'s admin change it', async () => {
+        const { moveTo } = await setUpCenter();
+        const otherCenter = await createCenter();
+        const otherAdmin = await User.findById(otherCenter.admin);
+
+        const { statusCode } = await moveTo(updateOperatingHours, 'Asia/Kolkata', otherAdmin);
+
+        expect(statusCode).toBe(403);
+    });
+});
\ No newline at end of file